@@ -0,0 +1,36 @@
+// Copy the Foundry build of EscrowContract into the @project/contracts package.
+// Usage: (cd meetup-project && forge build) && npm run contracts:export
+const fs = require("fs");
+const path = require("path");
+
+const root = path.resolve(__dirname, "..");
+const artifactPath = path.join(root, "meetup-project/out/EscrowContract.sol/EscrowContract.json");
+const abiPath = path.join(root, "src/contracts/src/abis/MeetupContract.json");
+const bytecodePath = path.join(root, "src/contracts/src/bytecodes/MeetupContract.json");
+
+if (!fs.existsSync(artifactPath)) {
+  console.error(`Missing ${path.relative(root, artifactPath)} — run "forge build" in meetup-project first.`);
+  process.exit(1);
+}
+
+const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+const compiler = artifact.metadata?.compiler?.version;
+const optimizer = artifact.metadata?.settings?.optimizer?.enabled ?? false;
+
+fs.writeFileSync(abiPath, JSON.stringify(artifact.abi, null, "\t"));
+fs.writeFileSync(
+  bytecodePath,
+  JSON.stringify(
+    {
+      compiler: compiler ? `solc ${compiler.split("+")[0]}` : "solc",
+      optimizer,
+      bytecode: artifact.bytecode.object,
+      deployedBytecode: artifact.deployedBytecode.object,
+      immutableReferences: artifact.deployedBytecode.immutableReferences ?? {},
+    },
+    null,
+    "\t"
+  ) + "\n"
+);
+
+console.log(`Exported ABI and bytecode from ${path.relative(root, artifactPath)}`);
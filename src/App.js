@@ -1,53 +1,192 @@
 // src/App.js
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
-import { create } from "kubo-rpc-client";
 import { ethers } from "ethers";
-import QRCode from "qrcode";
 import QrScanner from "qr-scanner";
 
 import logo from "./meetup_confirmation.png";
-import { addresses, abis } from "./contracts";
+import {
+  MeetupClient,
+  TX_STATUS,
+  abis,
+  addresses,
+  bytecodes,
+  readMeetupSnapshot,
+  sameAddress,
+  sendContractTx,
+  shortAddress,
+  verifyAttestationRequest,
+} from "./contracts";
+import EscrowPanel from "./components/EscrowPanel";
+import VotingPanel from "./components/VotingPanel";
+import PayoutTable from "./components/PayoutTable";
+import VerificationReport from "./components/VerificationReport";
+import GroupAttestationCard from "./components/GroupAttestationCard";
+import MeetupList from "./components/MeetupList";
+import CreateMeetupWizard from "./components/CreateMeetupWizard";
+import Timeline from "./components/Timeline";
+import IpfsSettings from "./components/IpfsSettings";
+import PendingHandshakes from "./components/PendingHandshakes";
+import AnimatedQr from "./components/AnimatedQr";
+import OutboxPanel from "./components/OutboxPanel";
+import TransactionLog from "./components/TransactionLog";
+import EvidenceCard from "./components/EvidenceCard";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import WalletBar from "./components/WalletBar";
+import BurnerWallet from "./components/BurnerWallet";
+import DemoPanel from "./components/DemoPanel";
+import MeetingCard from "./components/MeetingCard";
+import { packEvidence } from "./lib/evidence";
+import { createDemo, isDemoRequested, peerPresenceQr, respondAsPeer } from "./lib/demo";
+import {
+  ROUTE,
+  appUrl,
+  linkRoute,
+  meetupPath,
+  navigate,
+  parseRoute,
+  payloadMeetup,
+  qrPath,
+  subscribeRoute,
+} from "./lib/routes";
+import { runDiagnostics } from "./lib/diagnostics";
+import { deleteHandshake, findHandshake, listHandshakes, saveHandshake } from "./lib/handshakes";
+import { addCandidate, createPresenceToken, prefillAttesters, verifyPresenceToken } from "./lib/presence";
+import { createSeenNonceStore, decodeQrMessage, encodeQrMessage } from "./lib/qrProtocol";
+import { createFrameDecoder, isFrame } from "./lib/qrFrames";
+import {
+  OUTBOX_STATUS,
+  clearDoneEntries,
+  enqueueAttestation,
+  isRetryable,
+  listOutbox,
+  processOutboxEntry,
+  removeOutboxEntry,
+} from "./lib/outbox";
+import { createIpfsService, loadIpfsConfig, saveIpfsConfig } from "./lib/ipfs";
+import {
+  addEntry,
+  discoverFromDeployer,
+  loadRegistry,
+  removeEntry,
+  saveRegistry,
+  setActive,
+  setEntryChain,
+  setEntryMetadata,
+} from "./lib/registry";
+import { parseChainId, readWallet, requestAccounts, subscribeWallet, switchChain } from "./lib/wallet";
+import {
+  PROVIDER_MODE,
+  createBurner,
+  createConnection,
+  exportKeystore,
+  importKeystore,
+  loadBurner,
+  nowSeconds,
+  requireSigner,
+  saveBurner,
+} from "./lib/providers";
 
 // DEV fallback time (example)
 const DEV_ALLOW_FALLBACK = true;
 const DEV_FALLBACK_TIME = Math.floor(Date.now() / 1000) + 3600;
 
+// presence tokens older (or newer) than this are refused
+const MAX_SKEW = 5 * 60; // 5 minutes allowed skew
+
 const ZERO_ADDRESS =
   "0x0000000000000000000000000000000000000000000000000000000000000000";
 
-let client;
-
-// ethers v5 – Browser Provider
-const defaultProvider = new ethers.providers.Web3Provider(window.ethereum);
+// transaction log labels per contract method
+const TX_LABELS = {
+  deposit: "Deposit",
+  finalize: "Finalize",
+  withdraw: "Withdraw",
+  reportOnlyArrived: "Report",
+  cancelBeforeArrivals: "Cancel meetup",
+  confirmArrival: "Confirm arrival",
+  confirmMutualArrival: "Confirm mutual arrival",
+};
 
-// MeetupContract mit IPFS-Proof (mapping address => string arrivalProofIPFS)
-const meetupContract = new ethers.Contract(
-  addresses.meetup,
-  abis.meetup,
-  defaultProvider
-);
+// chain the configured default meetup (addresses.meetup) is deployed on
+const DEFAULT_CHAIN_ID = parseChainId(process.env.REACT_APP_MEETUP_CHAIN_ID);
 
 // Read the IPFS hash currently stored in the contract for the connected user
-async function readCurrentUserIpfsHash() {
-  const addr = await defaultProvider.getSigner().getAddress();
+async function readCurrentUserIpfsHash(meetupContract, addr) {
   const result = await meetupContract.arrivalProofIPFS(addr);
   console.log("arrivalProofIPFS for user:", result);
   return result;
 }
 
+// Wrap `body` in a versioned envelope for the wallet's chain; rendered by <AnimatedQr>
+async function toQrContent(connection, type, body, contractAddress) {
+  const { chainId } = await connection.provider.getNetwork();
+  return encodeQrMessage(type, body, { chainId, contract: contractAddress, now: nowSeconds(connection) });
+}
+
+// the registry a demo starts with: just its own meetup
+function loadDemoRegistry(demo) {
+  const registry = loadRegistry(demo.meetup, demo.chain.chainId, demo.storage);
+  return demo.metadataCid ? setEntryMetadata(registry, demo.meetup, demo.metadataCid) : registry;
+}
+
 function App() {
+  // demo mode (?demo): simulated wallets, chain and IPFS in this tab (lib/demo)
+  const [demo, setDemo] = useState(() => (isDemoRequested() ? createDemo() : null));
+
+  // Registry of followed meetups; every flow below uses the active contract
+  const [registry, setRegistry] = useState(() =>
+    demo ? loadDemoRegistry(demo) : loadRegistry(addresses.meetup, DEFAULT_CHAIN_ID)
+  );
+  // the demo keeps its registry out of localStorage
+  const persistRegistry = useCallback((next) => saveRegistry(next, demo?.storage), [demo]);
+  const [discovering, setDiscovering] = useState(false);
+  const [wizard, setWizard] = useState(null); // { myAddress } while the create-meetup wizard is open
+
+  // deep link the app was opened with (lib/routes); a /q payload waits for its meetup and the wallet
+  const [route, setRoute] = useState(() => parseRoute(window.location));
+  const [linkPayload, setLinkPayload] = useState(null);
+  const activeAddress = registry.active ?? addresses.meetup;
+  const activeEntry = registry.entries.find((e) => sameAddress(e.address, activeAddress));
+
+  // connected account and wallet network, kept current through the wallet's events
+  const [wallet, setWallet] = useState({ account: null, chainId: null });
+  const [walletBusy, setWalletBusy] = useState(false);
+
+  // browser wallet, burner key, read-only JSON-RPC or the demo wallet (lib/providers)
+  const [burner, setBurner] = useState(() => loadBurner());
+  const connection = useMemo(() => createConnection({ ethereum: window.ethereum, burner, demo }), [burner, demo]);
+
+  // MeetupContract mit IPFS-Proof (mapping address => string arrivalProofIPFS)
+  const meetupContract = useMemo(
+    () => new ethers.Contract(activeAddress, abis.meetup, connection.provider),
+    [activeAddress, connection]
+  );
+  // IPFS endpoints are user-configurable; the service is rebuilt when they change
+  const [ipfsConfig, setIpfsConfig] = useState(loadIpfsConfig);
+  const ipfs = useMemo(() => demo?.ipfs ?? createIpfsService(ipfsConfig), [demo, ipfsConfig]);
+
+  // guards async loads against a contract switch while they were in flight
+  const activeContractRef = useRef(meetupContract);
+  activeContractRef.current = meetupContract;
+
+  // nonces of QR messages already handled on this device (replay protection)
+  const seenNonces = useMemo(() => createSeenNonceStore(demo?.storage, demo?.chain.now), [demo]);
+
   const [ipfsHash, setIpfsHash] = useState("");
   const [status, setStatus] = useState("");
-  const [myQrDataUrl, setMyQrDataUrl] = useState("");
+  const [myQr, setMyQr] = useState(""); // QR content of my presence token
 
-  // meeting time only (location removed)
+  // meeting time from the contract; title, venue etc. come from the metadata document
   const [meetingTimeHuman, setMeetingTimeHuman] = useState("");
+  const [metadata, setMetadata] = useState(null); // { cid, doc } or { cid, error } for the active meetup
+  const [metadataBusy, setMetadataBusy] = useState(false);
 
   const [scannerActive, setScannerActive] = useState(false);
   const [scanResult, setScanResult] = useState("");
   const videoRef = useRef(null);
   const qrScannerRef = useRef(null);
+  const frameDecoderRef = useRef(null); // reassembles animated multi-frame QRs
 
   // Manual input fallback when camera is unavailable
   const [cameraError, setCameraError] = useState(false);
@@ -55,14 +194,117 @@ function App() {
 
   // Mutual attestation builder state
   const [otherAddressInput, setOtherAddressInput] = useState("");
-  const [pendingMutual, setPendingMutual] = useState(null); // { a,b,ts,sigCallerForOther }
-  const [mutualRequestQr, setMutualRequestQr] = useState(""); // dataURL showing request for other to scan
-  const [mutualSigQr, setMutualSigQr] = useState(""); // dataURL where other shows signature back to caller
-
-  // ask wallet access
+  const [handshakes, setHandshakes] = useState([]); // in-flight mutual requests (IndexedDB, lib/handshakes)
+  const [mutualSigQr, setMutualSigQr] = useState(""); // QR content the other shows back to the caller
+
+  // Three-party attestation builder state (arriver collects two attester signatures)
+  const [attesterInputs, setAttesterInputs] = useState({ attester1: "", attester2: "" });
+  const [pendingAttestation, setPendingAttestation] = useState(null); // { arriver, attester1, attester2, ts, signatures }
+  const [attestRequestQr, setAttestRequestQr] = useState(""); // QR content the arriver shows to both attesters
+  const [attestSigQr, setAttestSigQr] = useState(""); // QR content an attester shows back to the arriver
+  const [candidates, setCandidates] = useState([]); // [{ address, ts }] peers whose presence token I scanned
+
+  // Escrow lifecycle (deposit / finalize / withdraw)
+  const [snapshot, setSnapshot] = useState(null);
+  const [txBusy, setTxBusy] = useState(false);
+  const [txLog, setTxLog] = useState([]); // newest first: { id, label, status, hash, replacementHash, message }
+
+  // last offline verification report for a scanned attestation
+  const [verification, setVerification] = useState(null);
+
+  // signed attestations waiting for connectivity (lib/outbox)
+  const [outbox, setOutbox] = useState([]);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [outboxBusy, setOutboxBusy] = useState(false);
+  const flushingRef = useRef(false);
+
+  // photo evidence kept locally until my next arrival attestation is queued with it
+  const [evidence, setEvidence] = useState(null); // packEvidence() result
+  const [evidenceBusy, setEvidenceBusy] = useState(false);
+
+  // last health-check report (lib/diagnostics)
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [diagnosticsBusy, setDiagnosticsBusy] = useState(false);
+
+  // read the wallet silently, ask to connect if needed and follow account / network switches
   useEffect(() => {
-    window.ethereum?.enable?.();
-  }, []);
+    let cancelled = false;
+    const { ethereum } = connection;
+    if (!ethereum) {
+      // burner / read-only: the account is fixed and the network is the RPC endpoint's
+      Promise.all([connection.provider.getNetwork(), connection.signer?.getAddress() ?? null])
+        .then(([network, account]) => !cancelled && setWallet({ account, chainId: network.chainId }))
+        .catch((e) => !cancelled && setStatus("Could not reach the JSON-RPC endpoint: " + (e?.message ?? e)));
+      return () => {
+        cancelled = true;
+      };
+    }
+    (async () => {
+      try {
+        const state = await readWallet(ethereum);
+        if (cancelled) return;
+        setWallet(state);
+        if (!state.account) {
+          const account = await requestAccounts(ethereum);
+          if (!cancelled) setWallet((w) => ({ ...w, account }));
+        }
+      } catch (e) {
+        if (!cancelled) setStatus(e.message);
+      }
+    })();
+    const unsubscribe = subscribeWallet(ethereum, {
+      onAccounts: (account) => setWallet((w) => ({ ...w, account })),
+      onChain: (chainId) => setWallet((w) => ({ ...w, chainId })),
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [connection]);
+
+  async function connectWallet() {
+    setWalletBusy(true);
+    try {
+      const account = await requestAccounts(connection.ethereum);
+      setWallet((w) => ({ ...w, account }));
+    } catch (e) {
+      setStatus(e.message);
+    } finally {
+      setWalletBusy(false);
+    }
+  }
+
+  // --- burner wallet ---
+  function switchToBurner() {
+    setBurner(saveBurner({ ...(burner ?? createBurner()), preferred: true }));
+    setStatus("Using the burner wallet stored in this browser. Export its keystore to keep a backup.");
+  }
+
+  function switchToBrowserWallet() {
+    setBurner(saveBurner({ ...burner, preferred: false }));
+  }
+
+  function forgetBurner() {
+    if (!window.confirm("Delete the burner key from this browser? Funds on it are lost without a keystore backup.")) return;
+    setBurner(saveBurner(null));
+  }
+
+  async function importBurner(json, password, onProgress) {
+    setBurner(saveBurner(await importKeystore(json, password, onProgress)));
+    setStatus("Burner wallet imported.");
+  }
+
+  // the chainChanged event updates `wallet` once the switch went through
+  async function switchToMeetupChain() {
+    setWalletBusy(true);
+    try {
+      await switchChain(connection.ethereum, activeEntry.chainId);
+    } catch (e) {
+      setStatus(e?.message ?? String(e));
+    } finally {
+      setWalletBusy(false);
+    }
+  }
 
   // detect basic camera support on load
   useEffect(() => {
@@ -72,12 +314,44 @@ function App() {
     }
   }, []);
 
+  // reset everything tied to the previously active contract, account or network
+  useEffect(() => {
+    setIpfsHash("");
+    setMeetingTimeHuman("");
+    setSnapshot(null);
+    setVerification(null);
+    setHandshakes([]);
+    setMutualSigQr("");
+    setPendingAttestation(null);
+    setAttestRequestQr("");
+    setAttestSigQr("");
+    setEvidence(null);
+    setCandidates([]);
+    setDiagnostics(null);
+  }, [meetupContract, wallet.account, wallet.chainId]);
+
+  // pending mutual handshakes survive reloads; reload them for the active contract
+  // (expiry is judged on the clock their timestamps come from: the demo chain's in demo mode)
+  const loadHandshakes = useCallback(async () => {
+    try {
+      const list = await listHandshakes(meetupContract.address, nowSeconds(connection));
+      if (activeContractRef.current === meetupContract) setHandshakes(list);
+    } catch (e) {
+      console.warn("listHandshakes failed:", e?.message ?? e);
+    }
+  }, [meetupContract, connection]);
+
+  useEffect(() => {
+    loadHandshakes();
+  }, [loadHandshakes, wallet.account, wallet.chainId]);
+
   //  IPFS HASH
   useEffect(() => {
     async function readFile() {
+      if (!wallet.account) return;
       try {
-        const fileHash = await readCurrentUserIpfsHash();
-        if (fileHash && fileHash !== "" && fileHash !== ZERO_ADDRESS) {
+        const fileHash = await readCurrentUserIpfsHash(meetupContract, wallet.account);
+        if (fileHash && fileHash !== "" && fileHash !== ZERO_ADDRESS && activeContractRef.current === meetupContract) {
           setIpfsHash(fileHash);
         }
       } catch (e) {
@@ -85,9 +359,9 @@ function App() {
       }
     }
     readFile();
-  }, []);
+  }, [meetupContract, wallet.account, wallet.chainId]);
 
-  // read meeting time from the contract once on load (location removed)
+  // read meeting time from the active contract
   useEffect(() => {
     async function loadMeetingInfo() {
       try {
@@ -107,280 +381,442 @@ function App() {
       }
     }
     loadMeetingInfo();
-  }, []);
+  }, [meetupContract, wallet.chainId]);
 
-  // save IPFS-CID in Smart Contract as Arrival-Proof
-  async function confirmArrivalOnChain(hash) {
-    const signer = defaultProvider.getSigner();
-    let signerAddr;
+  // escrow state: participants, balances, arrivals, contract state
+  // (not connected: account is null and the escrow is shown read-only)
+  const loadSnapshot = useCallback(async () => {
     try {
-      signerAddr = await signer.getAddress();
+      const next = await readMeetupSnapshot(meetupContract, wallet.account);
+      if (activeContractRef.current === meetupContract) setSnapshot(next);
     } catch (e) {
-      console.error("Wallet/signature unavailable:", e);
-      throw new Error("Wallet not connected. Open your wallet and connect the account.");
+      console.warn("loadSnapshot failed:", e?.message ?? e);
     }
+  }, [meetupContract, wallet.account]);
 
-    const contractWithSigner = meetupContract.connect(signer);
+  useEffect(() => {
+    loadSnapshot();
+  }, [loadSnapshot, wallet.chainId]);
 
-    // --- diagnostics: contract address / expected address / network ---
+  // a meetup that answers on the wallet's network lives there: remember it for the chain guard
+  useEffect(() => {
+    if (snapshot && wallet.chainId && activeEntry?.chainId == null) {
+      setRegistry((reg) => persistRegistry(setEntryChain(reg, meetupContract.address, wallet.chainId)));
+    }
+  }, [snapshot, wallet.chainId, activeEntry?.chainId, meetupContract, persistRegistry]);
+
+  // Every contract write goes through sendContractTx; its lifecycle is mirrored into txLog.
+  // Same signature as sendContractTx, so it is what MeetupClient and the outbox send with.
+  const trackTx = useCallback(async (contract, method, args = [], { overrides } = {}) => {
+    const label = TX_LABELS[method] ?? method;
+    const id = `${Date.now()}-${method}`;
+    const update = (changes) =>
+      setTxLog((log) => {
+        const rest = log.filter((t) => t.id !== id);
+        const current = log.find((t) => t.id === id) ?? { id, label };
+        return [{ ...current, ...changes }, ...rest].slice(0, 10);
+      });
     try {
-      const network = await defaultProvider.getNetwork();
-      console.log("Provider network:", network);
-    } catch (nerr) {
-      console.warn("Could not read provider network:", nerr);
+      return await sendContractTx(contract, method, args, {
+        overrides,
+        onUpdate: ({ status, hash, replacementHash }) => {
+          update({ status, hash, replacementHash });
+          if (status === TX_STATUS.awaitingSignature) setStatus(`${label}: confirm in your wallet…`);
+          if (status === TX_STATUS.pending) setStatus(`${label}: transaction sent, waiting for confirmation…`);
+        },
+      });
+    } catch (err) {
+      update({ status: err.status ?? TX_STATUS.failed, message: err.message });
+      throw err;
     }
-    console.log("meetupContract.address:", meetupContract.address);
-    console.log("addresses.meetup (expected):", addresses.meetup);
+  }, []);
+
+  // the active meetup for flows that sign or send (reads for the panels stay on meetupContract)
+  const client = useMemo(
+    () =>
+      new MeetupClient({
+        address: activeAddress,
+        provider: connection.provider,
+        signer: connection.signer,
+        ipfs,
+        sendTx: trackTx,
+      }),
+    [activeAddress, connection, ipfs, trackTx]
+  );
 
-    // read on-chain state for sanity checks
-    let participant1, participant2, meetingTime;
+  // the active meetup's metadata document; its title labels registry entries that have none yet
+  const activeMetadataCid = activeEntry?.metadataCid ?? null;
+  useEffect(() => {
+    setMetadata(null);
+    if (!activeMetadataCid) return undefined;
+    let cancelled = false;
+    client
+      .fetchMetadata(activeMetadataCid)
+      .then((doc) => {
+        if (cancelled) return;
+        setMetadata({ cid: activeMetadataCid, doc });
+        setRegistry((reg) => persistRegistry(setEntryMetadata(reg, client.address, activeMetadataCid, doc.title)));
+      })
+      .catch((e) => !cancelled && setMetadata({ cid: activeMetadataCid, error: e?.message ?? String(e) }));
+    return () => {
+      cancelled = true;
+    };
+  }, [client, activeMetadataCid, persistRegistry]);
+
+  // --- outbox ---
+  const refreshOutbox = useCallback(async () => {
     try {
-      [participant1, participant2, meetingTime] = await Promise.all([
-        meetupContract.participant1(),
-        meetupContract.participant2(),
-        meetupContract.meetingTime(),
-      ]);
+      setOutbox(await listOutbox());
     } catch (e) {
-      console.error("Failed reading contract state:", e);
+      console.warn("listOutbox failed:", e?.message ?? e);
     }
+  }, []);
 
-    // ensure we compare strings
-    const p1 = participant1 ? String(participant1) : null;
-    const p2 = participant2 ? String(participant2) : null;
-
-    console.log("Signer:", signerAddr);
-    console.log("Participants:", p1, p2);
-    console.log("MeetingTime (bn):", meetingTime?.toString());
-
-    // basic checks
-    if (p1 && p2) {
-      const s = signerAddr.toLowerCase();
-      if (s !== p1.toLowerCase() && s !== p2.toLowerCase()) {
-        throw new Error("Connected account is not a participant in this meetup contract.");
+  // Send queued attestations one by one; `onlyId` retries a single entry on request
+  const flushOutbox = useCallback(
+    async ({ onlyId = null } = {}) => {
+      // read-only mode: keep everything queued until there is a signer
+      if (flushingRef.current || !connection.signer) return;
+      flushingRef.current = true;
+      setOutboxBusy(true);
+      try {
+        // a manual retry of an entry for another network reports which network to switch to
+        const { chainId } = await connection.provider.getNetwork();
+        const entries = (await listOutbox()).filter((e) =>
+          onlyId ? e.id === onlyId && isRetryable(e, { manual: true }) : isRetryable(e, { chainId })
+        );
+        for (const entry of entries) {
+          const result = await processOutboxEntry(entry, {
+            ipfs,
+            signer: connection.signer,
+            sendTx: trackTx,
+            onProgress: (_, message) => setStatus(message),
+          });
+          if (result.status === OUTBOX_STATUS.done) {
+            setStatus(result.lastError || "Arrival confirmed on-chain.");
+            if (sameAddress(result.contract, activeContractRef.current.address)) {
+              if (result.cid) setIpfsHash(result.cid);
+              loadSnapshot();
+            }
+          } else if (result.status === OUTBOX_STATUS.failed) {
+            setStatus("Attestation could not be submitted: " + result.lastError);
+          } else {
+            setStatus("Attestation kept in the outbox, will retry: " + result.lastError);
+          }
+        }
+      } catch (e) {
+        console.warn("flushOutbox failed:", e?.message ?? e);
+      } finally {
+        flushingRef.current = false;
+        setOutboxBusy(false);
+        refreshOutbox();
       }
-    }
+    },
+    [connection, ipfs, loadSnapshot, refreshOutbox, trackTx]
+  );
 
-    const now = Math.floor(Date.now() / 1000);
-    if (meetingTime && Number(meetingTime.toString()) > now) {
-      throw new Error("Meeting time not reached yet on-chain. confirmArrival requires block.timestamp >= meetingTime.");
+  // retry when connectivity returns, and periodically while anything is queued
+  useEffect(() => {
+    refreshOutbox();
+    const goOnline = () => {
+      setOnline(true);
+      flushOutbox();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    const timer = setInterval(() => navigator.onLine && flushOutbox(), 60 * 1000);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+      clearInterval(timer);
+    };
+  }, [flushOutbox, refreshOutbox]);
+
+  // Queue a fully signed attestation (with any photo evidence) and try to send it right away if online
+  async function submitAttestation(kind, attestation, withEvidence = null) {
+    const account = await requireSigner(connection).getAddress();
+    const { chainId } = await connection.provider.getNetwork();
+    await enqueueAttestation({ contract: meetupContract.address, chainId, account, kind, attestation, evidence: withEvidence });
+    await refreshOutbox();
+    if (!navigator.onLine) {
+      setStatus("Offline — attestation saved to the outbox and will be sent when you are back online.");
+      return;
     }
+    await flushOutbox();
+  }
 
-    const method =
-      typeof contractWithSigner.confirmArrival === "function"
-        ? "confirmArrival"
-        : typeof contractWithSigner.confirmArrivalWithProof === "function"
-        ? "confirmArrivalWithProof"
-        : null;
+  // --- meetup registry ---
+  function updateRegistry(next) {
+    setRegistry(persistRegistry(next));
+  }
 
-    if (!method) {
-      const msg = "Contract does not expose confirmArrival(...) or confirmArrivalWithProof(...)";
-      console.error(msg, contractWithSigner);
-      throw new Error(msg);
+  function addMeetup(address, source = "manual", activate = false, chainId = null, metadataCid = null) {
+    try {
+      let next = addEntry(registry, address, { source, chainId, metadataCid });
+      if (activate) next = setActive(next, address);
+      updateRegistry(next);
+      setStatus(`Meetup ${shortAddress(address)} added.`);
+    } catch (e) {
+      setStatus(e.message);
     }
+  }
 
-    // Fetch attestation JSON from IPFS (public gateway fallback)
-    let attestation;
+  async function discoverMeetups(deployer) {
+    setDiscovering(true);
     try {
-      // try local HTTP gateway first (if running a local node), else public gateway
-      const localUrl = `http://127.0.0.1:8080/ipfs/${hash}`;
-      let res = await fetch(localUrl).catch(() => null);
-      if (!res || !res.ok) {
-        res = await fetch(`https://ipfs.io/ipfs/${hash}`);
-      }
-      if (!res || !res.ok) throw new Error("Failed to fetch attestation JSON from IPFS");
-      attestation = await res.json();
+      setStatus("Searching the deployer's contracts…");
+      const found = await discoverFromDeployer(connection.provider, deployer, abis.meetup);
+      const { chainId } = await connection.provider.getNetwork();
+      let next = registry;
+      for (const address of found) next = addEntry(next, address, { source: "deployer", chainId });
+      updateRegistry(next);
+      setStatus(found.length ? `Found ${found.length} meetup contract(s).` : "No meetup contracts found for that deployer.");
     } catch (e) {
-      console.error("Failed to fetch attestation JSON:", e);
-      throw new Error("Could not retrieve attestation JSON from IPFS. Ensure the attestation is uploaded and CID is correct.");
+      setStatus("Discovery failed: " + (e?.message ?? e));
+    } finally {
+      setDiscovering(false);
     }
+  }
 
-    // Expect attestation to contain the two attesters and signatures
-    const { attester1, attester2, timestamp, signature1, signature2 } = attestation || {};
-    if (!attester1 || !attester2 || !timestamp || !signature1 || !signature2) {
-      console.error("Attestation missing required fields", attestation);
-      throw new Error("Attestation JSON missing required fields: attester1, attester2, timestamp, signature1, signature2.");
+  async function openWizard() {
+    let myAddress = null;
+    try {
+      myAddress = await requireSigner(connection).getAddress();
+    } catch (e) {
+      // the wizard works without "Add me"
     }
+    const { chainId } = await connection.provider.getNetwork();
+    setWizard({ myAddress, chainId });
+  }
 
-    // Basic on-chain sanity checks (ensure signer is participant)
-    const p1Lower = participant1 ? String(participant1).toLowerCase() : null;
-    const p2Lower = participant2 ? String(participant2).toLowerCase() : null;
-    const s = signerAddr.toLowerCase();
-    if (p1Lower && p2Lower && s !== p1Lower && s !== p2Lower) {
-      throw new Error("Connected account is not a participant in this meetup contract.");
+  // deploy a new EscrowContract from the wizard, publish its details (if any) and follow it;
+  // a failed upload keeps the deployed meetup, its invite just carries no metadata
+  async function deployNewMeetup(args, details = null) {
+    setStatus("Deploying meetup contract — confirm in your wallet…");
+    const created = await MeetupClient.deploy({ signer: requireSigner(connection), args, ipfs });
+    const { chainId } = await connection.provider.getNetwork();
+    let metadataCid = null;
+    let metadataError = null;
+    if (details) {
+      try {
+        setStatus("Publishing meetup details to IPFS…");
+        ({ cid: metadataCid } = await created.uploadMetadata(details));
+      } catch (e) {
+        metadataError = e?.message ?? String(e);
+      }
     }
+    setRegistry((reg) =>
+      persistRegistry(addEntry(reg, created.address, { source: "created", chainId, metadataCid, label: details?.title ?? "" }))
+    );
+    setStatus(
+      metadataError
+        ? `Meetup deployed at ${created.address}, but its details were not published: ${metadataError}`
+        : `Meetup deployed at ${created.address}.`
+    );
+    return { address: created.address, metadataCid, metadataError };
+  }
 
-    // call the strong-typed confirmArrival on-chain
+  // attach a metadata document by CID to the active meetup; resolves true once it loaded
+  async function attachMetadata(cid) {
+    setMetadataBusy(true);
     try {
-      setStatus("Submitting attestation to contract…");
-      const tx = await contractWithSigner.confirmArrival(
-        attester1,
-        attester2,
-        Number(timestamp),
-        signature1,
-        signature2,
-        hash
-      );
-      console.log("TX contract", tx.hash);
-      await tx.wait();
-      setIpfsHash(hash);
-      setStatus("On-chain confirmation complete.");
+      const doc = await client.fetchMetadata(cid);
+      setRegistry((reg) => persistRegistry(setEntryMetadata(reg, client.address, cid, doc.title)));
+      setStatus(`Meetup details "${doc.title}" attached.`);
+      return true;
+    } catch (e) {
+      setStatus("Could not load meetup details: " + (e?.message ?? e));
+      return false;
+    } finally {
+      setMetadataBusy(false);
+    }
+  }
+
+  const readSummary = useCallback(
+    (address) => new MeetupClient({ address, provider: connection.provider }).summary(wallet.account),
+    [connection, wallet.account]
+  );
+
+  // shared runner for the escrow write calls; `send` is one of the MeetupClient writes
+  async function runEscrowTx(label, send) {
+    setTxBusy(true);
+    try {
+      requireSigner(connection);
+      await send();
+      setStatus(`${label}: confirmed.`);
     } catch (err) {
-      console.error("confirmArrival transaction failed:", err);
-      const reason =
-        err?.error?.message ||
-        err?.data?.message ||
-        err?.message ||
-        (typeof err === "string" ? err : JSON.stringify(err));
-      throw new Error(`Transaction failed: ${reason}`);
+      console.error(`${label} failed:`, err);
+      setStatus(`${label} failed: ${err.message}`);
+    } finally {
+      setTxBusy(false);
+      loadSnapshot();
     }
   }
 
-  async function confirmMutualOnChainFromIpfsHash(hash) {
-    const signer = defaultProvider.getSigner();
+  function depositToEscrow() {
+    return runEscrowTx("Deposit", () => client.deposit());
+  }
+
+  function finalizeEscrow() {
+    return runEscrowTx("Finalize", () => client.finalize());
+  }
+
+  function withdrawFromEscrow() {
+    return runEscrowTx("Withdraw", () => client.withdraw());
+  }
+
+  function reportOnlyArrived(punctual) {
+    if (!ethers.utils.isAddress(punctual)) {
+      setStatus("Select the participant you want to report.");
+      return;
+    }
+    return runEscrowTx("Report", () => client.reportOnlyArrived(punctual));
+  }
+
+  // save IPFS-CID in Smart Contract as Arrival-Proof
+  async function confirmArrivalOnChain(hash) {
     let signerAddr;
     try {
-      signerAddr = await signer.getAddress();
+      signerAddr = await requireSigner(connection).getAddress();
     } catch (e) {
+      console.error("Wallet/signature unavailable:", e);
       throw new Error("Wallet not connected. Open your wallet and connect the account.");
     }
-    const contractWithSigner = meetupContract.connect(signer);
 
-    // fetch attestation JSON
+    // Fetch attestation JSON from IPFS (configured gateways, verified against the CID)
     let attestation;
     try {
-      const localUrl = `http://127.0.0.1:8080/ipfs/${hash}`;
-      let res = await fetch(localUrl).catch(() => null);
-      if (!res || !res.ok) {
-        res = await fetch(`https://ipfs.io/ipfs/${hash}`);
-      }
-      if (!res || !res.ok) throw new Error("Failed to fetch attestation JSON from IPFS");
-      attestation = await res.json();
+      attestation = await client.fetchAttestation(hash);
     } catch (e) {
-      throw new Error("Could not retrieve attestation JSON from IPFS: " + (e?.message ?? e));
+      console.error("Failed to fetch attestation JSON:", e);
+      throw new Error("Could not retrieve attestation JSON from IPFS. Ensure the attestation is uploaded and CID is correct. " + (e?.message ?? e));
     }
 
-    // Expect mutual attestation shape: { type: "mutual", a, b, timestamp, sigAForB, sigBForA }
-    const { type, a, b, timestamp, sigAForB, sigBForA } = attestation || {};
-    if (type !== "mutual" || !a || !b || !timestamp || !sigAForB || !sigBForA) {
-      throw new Error("IPFS attestation is not a valid mutual attestation");
+    // Verify signatures and the contract's require()s locally before spending gas
+    const result = await client.verifyArrival(attestation, signerAddr);
+    setVerification({ title: `Arrival attestation ${hash}`, ...result });
+    if (!result.ok) {
+      throw new Error("Attestation failed offline verification — no transaction sent.");
     }
 
-    // Determine caller role and order signatures accordingly:
-    const caller = signerAddr.toLowerCase();
-    const aLower = String(a).toLowerCase();
-    const bLower = String(b).toLowerCase();
+    // call the strong-typed confirmArrival on-chain (dry-run first, reverts decoded)
+    setStatus("Submitting attestation to contract…");
+    await client.confirmArrival(attestation, hash);
+    setIpfsHash(hash);
+    loadSnapshot();
+    setStatus("On-chain confirmation complete.");
+  }
 
-    if (caller !== aLower && caller !== bLower) {
-      throw new Error("Connected account is not part of the mutual attestation");
+  // health checks for the panel (lib/diagnostics); the report replaces the previous one
+  async function checkHealth() {
+    setDiagnosticsBusy(true);
+    try {
+      setDiagnostics(
+        await runDiagnostics({
+          connection,
+          wallet,
+          expectedChainId: activeEntry?.chainId ?? null,
+          contract: meetupContract,
+          artifact: bytecodes.meetup,
+          ipfs,
+        })
+      );
+    } catch (e) {
+      setStatus("Diagnostics failed: " + (e?.message ?? e));
+    } finally {
+      setDiagnosticsBusy(false);
     }
+  }
 
-    let other, sigOtherForCaller, sigCallerForOther;
-    if (caller === aLower) {
-      other = b;
-      sigOtherForCaller = sigBForA;
-      sigCallerForOther = sigAForB;
-    } else {
-      other = a;
-      sigOtherForCaller = sigAForB;
-      sigCallerForOther = sigBForA;
-    }
+  // --- demo mode ---
+  function selectDemoAccount(address) {
+    demo.ethereum.select(address);
+    setStatus(`Demo: acting as ${demo.participants.find((p) => sameAddress(p.address, address)).name}.`);
+  }
 
-    // call contract
+  function advanceDemoTime(seconds) {
+    demo.chain.increaseTime(seconds);
+    loadSnapshot();
+  }
+
+  // a simulated participant scans a QR shown here; their answer is scanned back in
+  async function letPeerScan(peer, content) {
     try {
-      setStatus("Submitting mutual attestation to contract…");
-      const tx = await contractWithSigner.confirmMutualArrival(
-        other,
-        Number(timestamp),
-        sigOtherForCaller,
-        sigCallerForOther,
-        hash
-      );
-      await tx.wait();
-      setIpfsHash(hash);
-      setStatus("Mutual on-chain confirmation complete.");
-    } catch (err) {
-      const reason =
-        err?.error?.message ||
-        err?.data?.message ||
-        err?.message ||
-        (typeof err === "string" ? err : JSON.stringify(err));
-      throw new Error("Transaction failed: " + reason);
+      const answer = await respondAsPeer(demo, peer, content);
+      if (!answer) {
+        setStatus("Demo: that QR is not addressed to this participant.");
+        return;
+      }
+      await processScannedContent(answer);
+    } catch (e) {
+      setStatus("Demo: " + (e?.message ?? e));
     }
   }
 
-  async function runDiagnostics() {
+  async function scanPeerPresence(peer) {
     try {
-      const signer = defaultProvider.getSigner();
-      const signerAddr = await signer.getAddress();
-      console.log("Connected signer:", signerAddr);
-
-      const [p1, p2, mt, depositAmount, contractBalance, ipfsForSigner] = await Promise.all([
-        meetupContract.participant1().catch(() => null),
-        meetupContract.participant2().catch(() => null),
-        meetupContract.meetingTime().catch(() => null),
-        meetupContract.depositAmount().catch(() => null),
-        defaultProvider.getBalance(meetupContract.address).catch(() => null),
-        meetupContract.arrivalProofIPFS(signerAddr).catch(() => ""),
-      ]);
-
-      console.log("participant1:", p1);
-      console.log("participant2:", p2);
-      console.log("meetingTime (bn):", mt?.toString());
-      console.log("depositAmount (bn):", depositAmount?.toString());
-      console.log("contract balance (wei):", contractBalance?.toString());
-      console.log("arrivalProofIPFS for signer:", ipfsForSigner);
-      console.log("meetupContract.address:", meetupContract.address);
-      console.log("addresses.meetup (expected):", addresses.meetup);
-      alert("Diagnostics logged to console.");
+      await processScannedContent(await peerPresenceQr(demo, peer));
     } catch (e) {
-      console.error("Diagnostics failed:", e);
-      alert("Diagnostics failed: " + (e?.message ?? e));
+      setStatus("Demo: " + (e?.message ?? e));
     }
   }
 
+  function resetDemo() {
+    const next = createDemo();
+    setDemo(next);
+    setRegistry(loadDemoRegistry(next));
+    setTxLog([]);
+    setMyQr("");
+    setStatus("Demo reset: a new meetup starts in 10 minutes.");
+  }
+
+  // QRs on screen that a simulated participant could answer
+  const demoQrs = [
+    ...(attestRequestQr ? [{ label: "Attestation request", content: attestRequestQr }] : []),
+    ...handshakes.map((h) => ({ label: `Mutual request for ${shortAddress(h.b)}`, content: h.requestQr })),
+  ];
+
   // Minimal QR generator: ephemeral payload + signature -> QR image
   async function generateMyQr() {
     try {
-      const signer = defaultProvider.getSigner();
-      const addr = await signer.getAddress();
-      const ts = Math.floor(Date.now() / 1000);
-      const payload = { address: addr, contract: addresses.meetup, ts };
-      const sig = await signer.signMessage(JSON.stringify(payload));
-      const qrContent = JSON.stringify({ payload, sig });
-      const dataUrl = await QRCode.toDataURL(qrContent, { margin: 2, scale: 6 });
-      setMyQrDataUrl(dataUrl);
+      const signer = requireSigner(connection);
+      const { chainId } = await client.domain();
+      const token = await createPresenceToken(signer, { contract: meetupContract.address, chainId, now: nowSeconds(connection) });
+      // a link, so peers can scan it with the app or any camera app
+      setMyQr(appUrl(qrPath(await toQrContent(connection, "presence", token, meetupContract.address))));
     } catch (e) {
       console.error("QR generation failed", e);
       setStatus("QR generation failed: " + (e?.message ?? e));
     }
   }
 
+  // countdowns of pending handshakes run on the clock listHandshakes() expires them by
+  const handshakeClock = useCallback(() => nowSeconds(connection), [connection]);
+
   // Prepare a mutual-request QR (caller generates and signs their own piece)
   async function prepareMutualRequest(otherAddrInputVal) {
     try {
       setStatus("Preparing mutual request…");
-      const signer = defaultProvider.getSigner();
+      const signer = requireSigner(connection);
       const caller = await signer.getAddress();
       const a = caller;
       const b = otherAddrInputVal;
-      const ts = Math.floor(Date.now() / 1000);
+      const ts = nowSeconds(connection);
 
-      // compute digest where arriver = other (this caller's signature for other)
-      const digestForCallerSigning = await meetupContract.hashMutualAttestation(b, a, ts);
-      const sigCallerForOther = await signer.signMessage(ethers.utils.arrayify(digestForCallerSigning));
+      if (!ethers.utils.isAddress(b)) {
+        setStatus("Enter the other participant's address (0x...) first.");
+        return;
+      }
 
-      const requestPayload = {
-        type: "mutual-request",
-        a,
-        b,
-        ts,
-        contract: addresses.meetup, // include contract to prevent cross-contract replay
-        sigCallerForOther,
-      };
+      // EIP-712 MutualAttestation where arriver = other (this caller's signature for other)
+      const sigCallerForOther = await client.signMutual({ a: b, b: a, timestamp: ts });
 
-      const dataUrl = await QRCode.toDataURL(JSON.stringify(requestPayload), { margin: 2, scale: 6 });
-      setMutualRequestQr(dataUrl);
-      setPendingMutual({ a, b, ts, sigCallerForOther });
+      const requestQr = appUrl(
+        qrPath(await toQrContent(connection, "mutual-request", { a, b, ts, sigCallerForOther }, meetupContract.address))
+      );
+      await saveHandshake({ contract: meetupContract.address, a, b, ts, sigCallerForOther, requestQr });
+      await loadHandshakes();
       setStatus("Mutual request prepared. Show this QR to the other participant so they can sign.");
     } catch (e) {
       console.error("prepareMutualRequest failed", e);
@@ -388,139 +824,292 @@ function App() {
     }
   }
 
-  // QR scanner: expects scanned content to be the attestation JSON (attester1, attester2, timestamp, signature1, signature2)
-  async function processScannedContent(content) {
-    setScanResult(content);
-    setStatus("Processing scanned QR…");
+  // Keep the picked photo + EXIF checks for the next attestation; the outbox uploads them with it
+  async function attachEvidence(file, meta, report, venue) {
+    setEvidenceBusy(true);
+    try {
+      setEvidence(await packEvidence(file, meta, report, venue));
+      setStatus("Photo evidence attached — it is uploaded together with your next arrival attestation.");
+    } catch (e) {
+      setStatus("Failed reading photo evidence: " + (e?.message ?? e));
+    } finally {
+      setEvidenceBusy(false);
+    }
+  }
 
-    let parsed;
+  // Prepare an attestation request naming two attesters (three-party confirmArrival)
+  async function prepareAttestationRequest() {
     try {
-      parsed = JSON.parse(content);
+      const signer = requireSigner(connection);
+      const arriver = await signer.getAddress();
+      const { attester1, attester2 } = attesterInputs;
+
+      if (!ethers.utils.isAddress(attester1) || !ethers.utils.isAddress(attester2)) {
+        setStatus("Enter both attester addresses (0x...) first.");
+        return;
+      }
+      if (sameAddress(attester1, attester2) || sameAddress(attester1, arriver) || sameAddress(attester2, arriver)) {
+        setStatus("Attesters must be two distinct participants other than you.");
+        return;
+      }
+
+      const ts = nowSeconds(connection);
+      if (snapshot && ts < snapshot.meetingTime) {
+        setStatus("Attestations can only be requested once the meeting has started.");
+        return;
+      }
+
+      const requestPayload = {
+        arriver,
+        attester1: ethers.utils.getAddress(attester1),
+        attester2: ethers.utils.getAddress(attester2),
+        ts,
+      };
+
+      setAttestRequestQr(await toQrContent(connection, "attest-request", requestPayload, meetupContract.address));
+      setPendingAttestation({
+        arriver,
+        attester1: requestPayload.attester1,
+        attester2: requestPayload.attester2,
+        ts,
+        signatures: {},
+      });
+      setStatus("Attestation request prepared. Show this QR to both attesters, then scan their signature QRs.");
     } catch (e) {
-      // not JSON, treat as possible raw CID
-      parsed = null;
+      console.error("prepareAttestationRequest failed", e);
+      setStatus("Failed preparing attestation request: " + (e?.message ?? e));
     }
+  }
+
+  function cancelAttestationRequest() {
+    setPendingAttestation(null);
+    setAttestRequestQr("");
+    setStatus("Attestation request cancelled.");
+  }
 
+  // QR scanner: every JSON QR is a versioned envelope (lib/qrProtocol); anything else is treated as a CID
+  async function processScannedContent(scanned) {
+    setScanResult(scanned);
+    setVerification(null);
+
+    // links to the app: /q carries a message, /m/<address> opens a meetup
+    let content = scanned;
+    const link = linkRoute(scanned);
+    if (link?.name === ROUTE.qr) {
+      content = link.payload;
+    } else if (link?.address) {
+      addMeetup(link.address, "invite", true, link.chainId, link.metadataCid);
+      return;
+    } else if (link) {
+      setStatus("This link carries neither a meetup nor a QR message.");
+      return;
+    }
+    setStatus("Processing scanned QR…");
+
+    let message = null;
     try {
-      if (!client) {
-        client = create({ url: "http://127.0.0.1:5001/api/v0" });
+      const trimmed = content.trim();
+      if (trimmed.startsWith("{")) {
+        const { chainId } = await connection.provider.getNetwork();
+        message = decodeQrMessage(trimmed, { chainId, contract: meetupContract.address, now: nowSeconds(connection), seenNonces });
       }
 
-      // Handle mutual-request and mutual-sig flows (unchanged)
-      if (parsed && parsed.type === "mutual-request") {
-        const signer = defaultProvider.getSigner();
-        const me = (await signer.getAddress()).toLowerCase();
+      if (message) {
+        await handleQrMessage(message);
+        return;
+      }
 
-        // Basic freshness/validity checks to avoid signing pre-generated requests
-        const now = Math.floor(Date.now() / 1000);
-        const tsNum = Number(parsed.ts);
-        const MAX_SKEW = 5 * 60; // 5 minutes allowed skew
+      setStatus("Uploading attestation / calling contract...");
+      await confirmArrivalOnChain(trimmed);
+      setStatus("Arrival confirmed on-chain via scanned attestation.");
+    } catch (err) {
+      console.error("Failed processing scanned QR:", err);
+      // let the user retry a QR whose handling failed (e.g. a rejected wallet prompt)
+      if (message) seenNonces.forget(message.envelope.nonce);
+      setStatus("Error: " + (err?.message ?? String(err)));
+    }
+  }
 
-        if (parsed.contract && parsed.contract !== addresses.meetup) {
-          setStatus("Mutual request rejected: wrong contract in payload.");
-          return;
-        }
+  // Only open the signing prompt for requests confirmArrival() would accept, timestamped about now
+  async function checkSigningRequest(request) {
+    const { participants, meetingTime } = await client.verificationContext();
+    const result = verifyAttestationRequest({ ...request, participants, meetingTime, now: nowSeconds(connection), maxSkew: MAX_SKEW });
+    if (!result.ok) {
+      const failed = result.checks.filter((c) => !c.ok).map((c) => c.label);
+      setStatus(`Request not signed. Failed checks: ${failed.join("; ")}.`);
+    }
+    return result.ok;
+  }
 
-        if (Math.abs(now - tsNum) > MAX_SKEW) {
-          setStatus("Mutual request rejected: timestamp not within allowed window.");
-          return;
-        }
+  // Dispatch a validated QR message by type; `body` already matches its schema.
+  // Only the branches that sign require a signer, so read-only mode still follows invites.
+  async function handleQrMessage({ type, body, envelope }) {
+    // Meetup invite: follow the contract (on the chain it was shared for) and make it active
+    if (type === "meetup") {
+      addMeetup(envelope.contract, "invite", true, envelope.chainId, body.metadata);
+      return;
+    }
 
-        const aLower = String(parsed.a).toLowerCase();
-        const bLower = String(parsed.b).toLowerCase();
-
-        if (me === bLower) {
-          setStatus("Mutual request received. Signing…");
-          const digestCaller = await meetupContract.hashMutualAttestation(parsed.a, parsed.b, Number(parsed.ts));
-          const sigOtherForCaller = await signer.signMessage(ethers.utils.arrayify(digestCaller));
-
-          const sigPayload = {
-            type: "mutual-sig",
-            a: parsed.a,
-            b: parsed.b,
-            ts: parsed.ts,
-            sigOtherForCaller,
-          };
-
-          const dataUrl = await QRCode.toDataURL(JSON.stringify(sigPayload), { margin: 2, scale: 6 });
-          setMutualSigQr(dataUrl);
-          setStatus("Signed mutual request. Show this QR to the original requester to finish.");
-          return;
-        } else {
-          setStatus("Mutual request scanned but you are not the intended signer.");
-          return;
-        }
+    // Peer presence token: verify and remember the peer as a candidate attester
+    if (type === "presence") {
+      const me = connection.signer ? await connection.signer.getAddress() : null;
+      const { participants, domain } = await client.verificationContext();
+      const result = verifyPresenceToken(body, {
+        contract: meetupContract.address,
+        chainId: domain.chainId,
+        participants,
+        me,
+        now: nowSeconds(connection),
+        maxSkew: MAX_SKEW,
+      });
+      setVerification({ title: `Presence token of ${shortAddress(body.payload.address)}`, ...result });
+      if (!result.ok) {
+        setStatus("Presence token rejected — see the verification report.");
+        return;
       }
+      const next = addCandidate(candidates, result.address, body.payload.ts);
+      setCandidates(next);
+      if (!pendingAttestation) setAttesterInputs((inputs) => prefillAttesters(inputs, next));
+      setStatus(`${shortAddress(result.address)} is here — added as a candidate attester.`);
+      return;
+    }
 
-      if (parsed && parsed.type === "mutual-sig") {
-        const signer = defaultProvider.getSigner();
-        const me = (await signer.getAddress()).toLowerCase();
-        const aLower = String(parsed.a).toLowerCase();
-        const bLower = String(parsed.b).toLowerCase();
+    if (type === "mutual-request") {
+      const me = await requireSigner(connection).getAddress();
+      if (!sameAddress(me, body.b)) {
+        setStatus("Mutual request scanned but you are not the intended signer.");
+        return;
+      }
 
-        if (me === aLower) {
-          if (!pendingMutual || pendingMutual.a.toLowerCase() !== aLower || pendingMutual.b.toLowerCase() !== bLower || Number(pendingMutual.ts) !== Number(parsed.ts)) {
-            setStatus("No matching pending mutual request found. Please prepare a mutual request first.");
-            return;
-          }
+      if (!(await checkSigningRequest({ arriver: body.a, attesters: [body.b], timestamp: body.ts }))) return;
 
-          const attestation = {
-            type: "mutual",
-            a: pendingMutual.a,
-            b: pendingMutual.b,
-            timestamp: pendingMutual.ts,
-            sigAForB: pendingMutual.sigCallerForOther,
-            sigBForA: parsed.sigOtherForCaller,
-          };
-
-          const blob = new Blob([JSON.stringify(attestation)], { type: "application/json" });
-          const res = await client.add(blob);
-          const cidStr = res.cid.toString();
-          setStatus("Uploaded mutual attestation to IPFS: " + cidStr);
-          await confirmMutualOnChainFromIpfsHash(cidStr);
-          setStatus("Mutual arrival confirmed on-chain via scanned attestation.");
-          setPendingMutual(null);
-          setMutualRequestQr("");
-          setMutualSigQr("");
-          return;
-        } else {
-          setStatus("Mutual signature scanned. If you are the original requester, prepare the mutual request first and then scan this signature.");
-          return;
-        }
+      setStatus("Mutual request received. Signing…");
+      const sigOtherForCaller = await client.signMutual({ a: body.a, b: body.b, timestamp: body.ts });
+
+      const sigPayload = { a: body.a, b: body.b, ts: body.ts, sigOtherForCaller };
+      setMutualSigQr(await toQrContent(connection, "mutual-sig", sigPayload, meetupContract.address));
+      setStatus("Signed mutual request. Show this QR to the original requester to finish.");
+      return;
+    }
+
+    if (type === "attest-request") {
+      const me = await requireSigner(connection).getAddress();
+      if (!sameAddress(me, body.attester1) && !sameAddress(me, body.attester2)) {
+        setStatus("Attestation request scanned but you are not one of its attesters.");
+        return;
       }
 
-      let cidStr;
-      if (parsed && typeof parsed === "object" && parsed.type === "mutual") {
-        const blob = new Blob([JSON.stringify(parsed)], { type: "application/json" });
-        const res = await client.add(blob);
-        cidStr = res.cid.toString();
-        setStatus("Uploaded mutual attestation to IPFS: " + cidStr);
-        await confirmMutualOnChainFromIpfsHash(cidStr);
-        setStatus("Mutual arrival confirmed on-chain via scanned attestation.");
+      const request = { arriver: body.arriver, attesters: [body.attester1, body.attester2], timestamp: body.ts };
+      if (!(await checkSigningRequest(request))) return;
+
+      setStatus(`Attesting arrival of ${shortAddress(body.arriver)}. Signing…`);
+      const signature = await client.signArrival({ ...body, timestamp: body.ts });
+
+      const sigPayload = {
+        arriver: body.arriver,
+        attester1: body.attester1,
+        attester2: body.attester2,
+        ts: body.ts,
+        attester: me,
+        signature,
+      };
+
+      setAttestSigQr(await toQrContent(connection, "attest-sig", sigPayload, meetupContract.address));
+      setStatus("Signed attestation. Show this QR to the arriver.");
+      return;
+    }
+
+    if (type === "attest-sig") {
+      const pending = pendingAttestation;
+      if (
+        !pending ||
+        !sameAddress(pending.arriver, body.arriver) ||
+        !sameAddress(pending.attester1, body.attester1) ||
+        !sameAddress(pending.attester2, body.attester2) ||
+        Number(pending.ts) !== Number(body.ts)
+      ) {
+        setStatus("No matching pending attestation request found. Please request an attestation first.");
         return;
       }
 
-      if (parsed && typeof parsed === "object") {
-        const blob = new Blob([JSON.stringify(parsed)], { type: "application/json" });
-        const res = await client.add(blob);
-        cidStr = res.cid.toString();
-      } else {
-        cidStr = content.trim();
+      // check the signature before accepting it, so a wrong QR can't block the flow
+      const recovered = await client.arrivalSigner({ ...pending, timestamp: pending.ts }, body.signature);
+      if (!recovered) {
+        setStatus("Attestation signature rejected: it was not signed by one of the requested attesters.");
+        return;
       }
 
-      setStatus("Uploading attestation / calling contract...");
-      await confirmArrivalOnChain(cidStr);
-      setStatus("Arrival confirmed on-chain via scanned attestation.");
-    } catch (err) {
-      console.error("Failed processing scanned QR:", err);
-      setStatus("Error: " + (err?.message ?? String(err)));
+      const signatures = { ...pending.signatures, [recovered.toLowerCase()]: body.signature };
+      setPendingAttestation({ ...pending, signatures });
+
+      const signature1 = signatures[pending.attester1.toLowerCase()];
+      const signature2 = signatures[pending.attester2.toLowerCase()];
+      if (!signature1 || !signature2) {
+        setStatus(`Signature from ${shortAddress(recovered)} collected. Scan the second attester's QR.`);
+        return;
+      }
+
+      const attestation = {
+        arriver: pending.arriver,
+        attester1: pending.attester1,
+        attester2: pending.attester2,
+        timestamp: pending.ts,
+        signature1,
+        signature2,
+      };
+
+      await submitAttestation("arrival", attestation, evidence);
+      setPendingAttestation(null);
+      setAttestRequestQr("");
+      setEvidence(null);
+      return;
+    }
+
+    if (type === "mutual-sig") {
+      const me = await requireSigner(connection).getAddress();
+      if (!sameAddress(me, body.a)) {
+        setStatus("Mutual signature scanned. If you are the original requester, prepare the mutual request first and then scan this signature.");
+        return;
+      }
+      // read from IndexedDB rather than state: the request may predate a reload
+      const handshake = findHandshake(await listHandshakes(meetupContract.address, nowSeconds(connection)), body);
+      if (!handshake) {
+        setStatus("No matching pending mutual request found (it may have expired). Please prepare a new mutual request.");
+        return;
+      }
+
+      const attestation = {
+        type: "mutual",
+        a: handshake.a,
+        b: handshake.b,
+        timestamp: handshake.ts,
+        sigAForB: handshake.sigCallerForOther,
+        sigBForA: body.sigOtherForCaller,
+      };
+
+      await submitAttestation("mutual", attestation, evidence);
+      await deleteHandshake(handshake.id);
+      await loadHandshakes();
+      setMutualSigQr("");
+      setEvidence(null);
+      return;
+    }
+
+    // complete attestations shared out of band
+    if (type === "mutual") {
+      await submitAttestation("mutual", { type: "mutual", ...body });
+      return;
+    }
+
+    if (type === "attestation") {
+      await submitAttestation("arrival", body);
     }
   }
 
   // Process manual QR/CID pasted by the user
   async function processManualInput() {
     if (!manualQrInput || manualQrInput.trim() === "") {
-      setStatus("Paste attestation JSON or IPFS CID into the manual input field first.");
+      setStatus("Paste a QR message (JSON) or IPFS CID into the manual input field first.");
       return;
     }
     setStatus("Processing manual input…");
@@ -530,11 +1119,29 @@ function App() {
   function startScanner() {
     if (!videoRef.current) return;
     setStatus("Starting camera for QR scanning...");
+    frameDecoderRef.current = createFrameDecoder();
     qrScannerRef.current = new QrScanner(
       videoRef.current,
       (result) => {
+        const text = result?.data ?? result;
+        if (isFrame(text)) {
+          let progress;
+          try {
+            progress = frameDecoderRef.current.push(text);
+          } catch (e) {
+            setStatus("Animated QR: " + (e?.message ?? e));
+            return;
+          }
+          if (!progress.done) {
+            setStatus(`Receiving animated QR… ${progress.solved}/${progress.total} blocks`);
+            return;
+          }
+          stopScanner();
+          processScannedContent(progress.payload);
+          return;
+        }
         stopScanner();
-        processScannedContent(result?.data ?? result);
+        processScannedContent(text);
       },
       {
         highlightScanRegion: true,
@@ -571,6 +1178,46 @@ function App() {
     };
   }, []);
 
+  // --- deep links ---
+  // what the route effects call, current as of the last render (like activeContractRef)
+  const routeActionsRef = useRef(null);
+  routeActionsRef.current = { addMeetup, openWizard, startScanner, processScannedContent };
+
+  useEffect(() => subscribeRoute(setRoute), []);
+
+  // A route is an action: follow the meetup, start the scanner, open the wizard or queue the
+  // payload — then the address bar goes back to /, so a reload shows the active meetup.
+  useEffect(() => {
+    const actions = routeActionsRef.current;
+    if (route.name === ROUTE.home) return;
+    if (route.name === ROUTE.meetup || route.name === ROUTE.scan) {
+      actions.addMeetup(route.address, "invite", true, route.chainId, route.metadataCid);
+      if (route.name === ROUTE.scan) actions.startScanner();
+    } else if (route.name === ROUTE.create) {
+      actions.openWizard();
+    } else if (route.name === ROUTE.qr) {
+      const target = payloadMeetup(route.payload);
+      if (target) actions.addMeetup(target.address, "invite", true, target.chainId);
+      setLinkPayload(route.payload);
+    } else {
+      setStatus(`Unknown link ${route.path} — showing the active meetup.`);
+    }
+    navigate("/", { replace: true, notify: false });
+  }, [route]);
+
+  // handle a linked payload once its meetup is active and the wallet account is known
+  useEffect(() => {
+    if (!linkPayload) return;
+    const target = payloadMeetup(linkPayload);
+    if (target && !sameAddress(target.address, meetupContract.address)) return;
+    if (connection.signer && !wallet.account) return;
+    setLinkPayload(null);
+    routeActionsRef.current.processScannedContent(linkPayload);
+  }, [linkPayload, meetupContract, connection, wallet.account]);
+
+  // chain for calendar exports and links to the active meetup
+  const meetupChainId = activeEntry?.chainId ?? wallet.chainId ?? DEFAULT_CHAIN_ID;
+
   return (
     <div className="App">
       <header className="App-header">
@@ -579,15 +1226,81 @@ function App() {
           <img src={logo} alt="Meetup logo" style={{ height: 64, marginBottom: 8 }} />
         </div>
 
+        <WalletBar
+          mode={connection.mode}
+          wallet={wallet}
+          expectedChainId={activeEntry?.chainId ?? null}
+          onConnect={connectWallet}
+          onSwitch={switchToMeetupChain}
+          busy={walletBusy}
+        />
+        {demo ? (
+          <DemoPanel
+            demo={demo}
+            account={wallet.account}
+            meetingTime={snapshot?.meetingTime}
+            qrs={demoQrs}
+            busy={txBusy}
+            onSelect={selectDemoAccount}
+            onAdvance={advanceDemoTime}
+            onPeerScan={letPeerScan}
+            onScanPeer={scanPeerPresence}
+            onReset={resetDemo}
+          />
+        ) : (
+          <BurnerWallet
+            mode={connection.mode}
+            address={connection.mode === PROVIDER_MODE.burner ? wallet.account : null}
+            hasBrowserWallet={Boolean(window.ethereum)}
+            onUse={switchToBurner}
+            onUseBrowserWallet={switchToBrowserWallet}
+            onExport={(password, onProgress) => exportKeystore(burner, password, onProgress)}
+            onImport={importBurner}
+            onForget={forgetBurner}
+          />
+        )}
+
+        <MeetupList
+          registry={registry}
+          readSummary={readSummary}
+          walletChainId={wallet.chainId}
+          onSelect={(address) => updateRegistry(setActive(registry, address))}
+          onRemove={(address) => updateRegistry(removeEntry(registry, address))}
+          onAdd={(address) => addMeetup(address)}
+          onDiscover={discoverMeetups}
+          busy={discovering}
+        />
+
+        {wizard ? (
+          <CreateMeetupWizard
+            myAddress={wizard.myAddress}
+            chainId={wizard.chainId}
+            onDeploy={deployNewMeetup}
+            onOpen={(address) => {
+              setRegistry((reg) => persistRegistry(setActive(reg, address)));
+              setWizard(null);
+            }}
+            onClose={() => setWizard(null)}
+          />
+        ) : (
+          <div style={{ marginBottom: 12 }}>
+            <button className="btn" onClick={openWizard}>
+              Create a meetup
+            </button>
+          </div>
+        )}
+
         {/* QR generation */}
         <div style={{ marginBottom: 12 }}>
           <button onClick={generateMyQr} className="btn" style={{ marginRight: 8 }}>
             Generate my QR
           </button>
-          <span style={{ fontSize: 12, color: "#666" }}>Create an ephemeral signed QR for peers to scan.</span>
-          {myQrDataUrl && (
+          <span style={{ fontSize: 12, color: "#666" }}>
+            Signed presence token (valid 5 minutes) as a link — peers scan it with the app or any camera app to pick you as an attester.
+          </span>
+          {myQr && (
             <div style={{ marginTop: 8 }}>
-              <img src={myQrDataUrl} alt="My QR" style={{ maxWidth: 240, border: "1px solid #ddd", borderRadius: 6 }} />
+              <AnimatedQr content={myQr} alt="My QR" />
             </div>
           )}
         </div>
@@ -613,40 +1326,85 @@ function App() {
             <div style={{ fontSize: 13, color: "#333" }}>Flow (caller & other):</div>
             <ol style={{ fontSize: 13 }}>
               <li>Caller prepares mutual request and shows the generated QR to the other participant.</li>
-              <li>Other scans the request QR; the app signs and shows a response QR (mutual-sig).</li>
-              <li>Caller scans the response QR; the app uploads the attestation to IPFS and calls confirmMutualArrival on-chain.</li>
+              <li>Other scans the request QR; the wallet shows the MutualAttestation fields to sign, then the app shows a response QR (mutual-sig).</li>
+              <li>Caller scans the response QR; the app uploads the attestation to IPFS and calls confirmMutualArrival on-chain. Pending requests survive a reload and several can be open at once.</li>
             </ol>
             <div style={{ marginTop: 8 }}>
-              {mutualRequestQr && (
-                <div>
-                  <div style={{ fontSize: 12, color: "#666" }}>Mutual request QR (show to other):</div>
-                  <img src={mutualRequestQr} alt="Mutual request QR" style={{ maxWidth: 240, border: "1px solid #ddd", borderRadius: 6 }} />
-                </div>
-              )}
+              <PendingHandshakes
+                handshakes={handshakes}
+                clock={handshakeClock}
+                onCancel={async (id) => {
+                  await deleteHandshake(id);
+                  await loadHandshakes();
+                }}
+              />
               {mutualSigQr && (
                 <div style={{ marginTop: 8 }}>
                   <div style={{ fontSize: 12, color: "#666" }}>Mutual signature QR (show back to caller):</div>
-                  <img src={mutualSigQr} alt="Mutual signature QR" style={{ maxWidth: 240, border: "1px solid #ddd", borderRadius: 6 }} />
+                  <AnimatedQr content={mutualSigQr} alt="Mutual signature QR" />
                 </div>
               )}
             </div>
           </div>
         </div>
 
-        {/* Meeting: only show time (location removed) */}
-        <div style={{ width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12 }}>
-          <h3 style={{ margin: "0 0 8px 0", color: "#333" }}>Meeting</h3>
-          {meetingTimeHuman ? (
-            <div style={{ display: "flex", gap: 12, alignItems: "flex-start", flexWrap: "wrap" }}>
-              <div style={{ flex: "1 1 100%", minWidth: 180 }}>
-                <div style={{ fontSize: 13, color: "#333" }}>Time</div>
-                <div style={{ fontSize: 14, marginTop: 6, color: "#333" }}>{meetingTimeHuman}</div>
-              </div>
-            </div>
-          ) : (
-            <div>Loading meeting info…</div>
-          )}
-        </div>
+        {/* Three-party attestation builder */}
+        <GroupAttestationCard
+          inputs={attesterInputs}
+          onInputsChange={setAttesterInputs}
+          onPrepare={prepareAttestationRequest}
+          onCancel={cancelAttestationRequest}
+          pending={pendingAttestation}
+          candidates={candidates}
+          onUseCandidate={(address) => setAttesterInputs((inputs) => prefillAttesters(inputs, [{ address }]))}
+          onRemoveCandidate={(address) => setCandidates((list) => list.filter((c) => !sameAddress(c.address, address)))}
+          requestQr={attestRequestQr}
+          sigQr={attestSigQr}
+        />
+
+        <EvidenceCard
+          contractAddress={activeAddress}
+          meetingTime={snapshot?.meetingTime}
+          attached={evidence}
+          onAttach={attachEvidence}
+          onDetach={() => setEvidence(null)}
+          busy={evidenceBusy}
+        />
+
+        <MeetingCard
+          contractAddress={activeAddress}
+          chainId={meetupChainId}
+          meetingTimeHuman={meetingTimeHuman}
+          snapshot={snapshot}
+          metadata={metadata}
+          link={appUrl(meetupPath(activeAddress, { chainId: meetupChainId, metadataCid: activeMetadataCid }))}
+          onAttachMetadata={attachMetadata}
+          busy={metadataBusy}
+        />
+
+        <EscrowPanel
+          snapshot={snapshot}
+          busy={txBusy}
+          onDeposit={depositToEscrow}
+          onFinalize={finalizeEscrow}
+          onWithdraw={withdrawFromEscrow}
+          onRefresh={loadSnapshot}
+        />
+
+        <TransactionLog entries={txLog} />
+
+        <PayoutTable snapshot={snapshot} />
+
+        <VotingPanel snapshot={snapshot} busy={txBusy} onVote={reportOnlyArrived} />
+
+        <Timeline
+          contract={meetupContract}
+          meetingTime={snapshot?.meetingTime}
+          participants={snapshot?.participants.map((p) => p.address)}
+          account={snapshot?.account}
+          onNewEntry={loadSnapshot}
+          gatewayUrl={ipfs.gatewayUrl}
+        />
 
         <p>
           Arrival is now handled via QR-attestations. Scan a QR containing the attestation JSON or an IPFS CID pointing to the attestation.
@@ -659,11 +1417,18 @@ function App() {
           <button onClick={stopScanner} className="btn" disabled={!scannerActive}>
             Stop Scanner
           </button>
-          <button type="button" className="btn" onClick={runDiagnostics} style={{ marginLeft: 8 }}>
+          <button type="button" className="btn" onClick={checkHealth} disabled={diagnosticsBusy} style={{ marginLeft: 8 }}>
             Run Diagnostics
           </button>
         </div>
 
+        <DiagnosticsPanel
+          report={diagnostics}
+          running={diagnosticsBusy}
+          onRun={checkHealth}
+          onClose={() => setDiagnostics(null)}
+        />
+
         {cameraError && (
           <div style={{ width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12 }}>
             <h4 style={{ margin: "0 0 8px 0", color: "#333" }}>Manual QR / CID input</h4>
@@ -671,7 +1436,7 @@ function App() {
               If the camera cannot be opened, paste the QR payload (JSON) or an IPFS CID here and press "Process".
             </div>
             <textarea
-              placeholder='Paste attestation JSON or IPFS CID (e.g. "Qm...")'
+              placeholder='Paste QR message JSON or IPFS CID (e.g. "Qm...")'
               value={manualQrInput}
               onChange={(e) => setManualQrInput(e.target.value)}
               rows={4}
@@ -698,6 +1463,26 @@ function App() {
           <video ref={videoRef} style={{ width: 320, height: 240, border: "1px solid #ccc", borderRadius: 6 }} />
         </div>
 
+        <OutboxPanel
+          entries={outbox}
+          chainId={wallet.chainId}
+          online={online}
+          busy={outboxBusy}
+          onRetry={(id) => flushOutbox({ onlyId: id })}
+          onDiscard={async (id) => {
+            await removeOutboxEntry(id);
+            refreshOutbox();
+          }}
+          onClearDone={async () => {
+            await clearDoneEntries();
+            refreshOutbox();
+          }}
+        />
+
+        {verification && <VerificationReport report={verification} onDismiss={() => setVerification(null)} />}
+
+        <IpfsSettings config={ipfsConfig} onSave={(next) => setIpfsConfig(saveIpfsConfig(next))} />
+
         {status && <p>{status}</p>}
         {scanResult && <p>Last scan: {scanResult}</p>}
         {ipfsHash && <p>Last stored IPFS hash on-chain: {ipfsHash}</p>}
@@ -1,8 +1,110 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import "fake-indexeddb/auto";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { ethers } from "ethers";
+import App from "./App";
+import { shortAddress } from "./contracts";
+import { createDemo, peerPresenceQr } from "./lib/demo";
+import { encodeQrMessage } from "./lib/qrProtocol";
+import { qrPath } from "./lib/routes";
 
-test('renders learn react link', () => {
+// jsdom has no canvas: the image URL carries the QR's text instead
+jest.mock("qrcode", () => ({ toDataURL: async (text) => `data:text/plain,${encodeURIComponent(text)}` }));
+const qrText = (img) => decodeURIComponent(img.getAttribute("src").replace("data:text/plain,", ""));
+
+// the demo runs entirely in memory: chain, wallets and IPFS (lib/demo)
+beforeEach(() => window.history.pushState({}, "", "/?demo"));
+afterEach(() => window.history.pushState({}, "", "/"));
+
+const click = (name) => fireEvent.click(screen.getByRole("button", { name }));
+
+// the button enables once the escrow snapshot for the active participant has loaded
+async function deposit() {
+  const button = () => screen.getByRole("button", { name: /^Deposit 0.01 ETH/ });
+  await waitFor(() => expect(button()).toBeEnabled());
+  fireEvent.click(button());
+  expect(await screen.findByText("Deposit: confirmed.")).toBeInTheDocument();
+}
+
+test("each demo participant deposits from their own wallet", async () => {
+  render(<App />);
+  expect(await screen.findByText(/Demo participant/)).toBeInTheDocument();
+  // the demo meetup's metadata document, loaded from the demo IPFS store
+  expect(await screen.findByRole("heading", { name: "Demo meetup" })).toBeInTheDocument();
+  expect(screen.getByText(/Fountain, Central Park/)).toBeInTheDocument();
+
+  await deposit();
+  expect(await screen.findByText("99.99 ETH")).toBeInTheDocument(); // Alice's demo balance
+  expect(screen.getByRole("button", { name: /^Deposit/ })).toBeDisabled();
+
+  fireEvent.click(screen.getAllByRole("button", { name: "Use" })[0]);
+  expect(await screen.findByText("Demo: acting as Bob.")).toBeInTheDocument();
+  await deposit();
+  await waitFor(() => expect(screen.getAllByText("99.99 ETH")).toHaveLength(2));
+});
+
+test("simulated peers are picked as attesters and sign the arrival request", async () => {
+  render(<App />);
+  await screen.findByText(/Demo participant/);
+
+  click("Jump to meeting time");
+  expect(await screen.findByText(/the meeting has started/)).toBeInTheDocument();
+
+  click("Scan Bob's QR");
+  expect(await screen.findByText(/is here — added as a candidate attester/)).toBeInTheDocument();
+  click("Scan Carol's QR");
+  await waitFor(() => expect(screen.getAllByRole("button", { name: "Selected" })).toHaveLength(2));
+
+  click("Request attestation (show QR)");
+  expect(await screen.findByText(/Attestation request prepared/)).toBeInTheDocument();
+  click("Let Bob scan it");
+  expect(await screen.findByText(/Signature from 0x.* collected\. Scan the second attester's QR\./)).toBeInTheDocument();
+});
+
+test("a /q link hands its payload to the same flow as a scanned QR", async () => {
+  // demo keys and the demo meetup's address are deterministic, so this matches the app's demo
+  const demo = createDemo();
+  const link = qrPath(await peerPresenceQr(demo, demo.participants[1].address));
+  window.history.pushState({}, "", link.replace("#", "?demo#"));
+
+  render(<App />);
+  expect(await screen.findByText(/is here — added as a candidate attester/)).toBeInTheDocument();
+  expect(window.location.pathname).toBe("/");
+});
+
+test("presence and mutual-request links render as one static QR", async () => {
+  const bob = createDemo().participants[1].address;
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText(/Demo participant/);
+
+  click("Generate my QR");
+  const presence = qrText(await screen.findByAltText("My QR"));
+  fireEvent.change(screen.getByPlaceholderText("Other participant address (0x...)"), { target: { value: bob } });
+  click("Prepare mutual request (sign & show QR)");
+  const request = qrText(await screen.findByAltText("Mutual request QR"));
+
+  expect(screen.queryByText(/Animated QR/)).toBeNull();
+  for (const link of [presence, request]) {
+    expect(link).toMatch(/^http:\/\/localhost\/q#[A-Za-z0-9_-]+$/);
+    expect(link.length).toBeLessThan(400); // fits a version 15 QR at the default error correction
+  }
+});
+
+test("read-only mode follows an invite link without a signer", async () => {
+  // no wallet, burner or demo: JSON-RPC reads only, from a node that only knows its chain id
+  const send = jest.spyOn(ethers.providers.StaticJsonRpcProvider.prototype, "send").mockImplementation(async (method) => {
+    if (method === "eth_chainId") return "0x7a69";
+    throw new Error("offline");
+  });
+  const invited = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  window.history.pushState({}, "", qrPath(encodeQrMessage("meetup", {}, { chainId: 31337, contract: invited })));
+
+  try {
+    render(<App />);
+    expect(await screen.findByText(/Read-only/)).toBeInTheDocument();
+    await waitFor(() => expect(screen.queryByText(/Processing scanned QR/)).toBeNull());
+    expect(screen.getByText(`Meetup ${shortAddress(invited)} added.`)).toBeInTheDocument();
+    expect(screen.queryByText(/Error: Read-only mode/)).toBeNull();
+  } finally {
+    send.mockRestore();
+  }
 });
@@ -0,0 +1,60 @@
+// src/components/AnimatedQr.js
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { MAX_SINGLE_FRAME_CHARS, createFrameEncoder, displaySeq } from "../lib/qrFrames";
+import { linkRoute } from "../lib/routes";
+
+const qrStyle = { maxWidth: 240, border: "1px solid #ddd", borderRadius: 6 };
+const FRAME_INTERVAL_MS = 200;
+
+// Shows `content` as one QR, or as a looping fountain-coded animation (lib/qrFrames) when it is too long.
+// App links are always one static QR, so any camera app can open them; /q links pack their
+// message (lib/routes) to stay well within a single QR version.
+function AnimatedQr({ content, alt }) {
+  const [dataUrl, setDataUrl] = useState("");
+  const [frameInfo, setFrameInfo] = useState(null); // { blockCount } while animating
+
+  useEffect(() => {
+    setDataUrl("");
+    setFrameInfo(null);
+    if (!content) return undefined;
+    let cancelled = false;
+
+    if (content.length <= MAX_SINGLE_FRAME_CHARS || linkRoute(content)) {
+      QRCode.toDataURL(content, { margin: 2, scale: 6 })
+        .then((url) => !cancelled && setDataUrl(url))
+        .catch((e) => console.error("QR render failed", e));
+      return () => {
+        cancelled = true;
+      };
+    }
+
+    const encoder = createFrameEncoder(content);
+    setFrameInfo({ blockCount: encoder.blockCount });
+    let tick = 0;
+    const timer = setInterval(() => {
+      const frame = encoder.frameAt(displaySeq(tick++, encoder.blockCount));
+      QRCode.toDataURL(frame, { margin: 2, scale: 6 })
+        .then((url) => !cancelled && setDataUrl(url))
+        .catch((e) => console.error("QR frame render failed", e));
+    }, FRAME_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [content]);
+
+  if (!dataUrl) return null;
+  return (
+    <div>
+      <img src={dataUrl} alt={alt} style={qrStyle} />
+      {frameInfo && (
+        <div style={{ fontSize: 12, color: "#666" }}>
+          Animated QR ({frameInfo.blockCount} blocks) — keep the other phone's camera on it until the scan completes.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AnimatedQr;
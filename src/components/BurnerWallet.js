@@ -0,0 +1,116 @@
+// src/components/BurnerWallet.js
+import React, { useState } from "react";
+import { downloadText } from "../lib/download";
+import { shortAddress } from "../contracts";
+import { PROVIDER_MODE } from "../lib/providers";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+const inputStyle = { padding: 8, flex: "1 1 160px", borderRadius: 4, border: "1px solid #ccc", minWidth: 0 };
+
+// Local signing key for phones without a wallet extension; backed up as an encrypted keystore
+function BurnerWallet({ mode, address, hasBrowserWallet, onUse, onUseBrowserWallet, onExport, onImport, onForget }) {
+  const [password, setPassword] = useState("");
+  const [keystoreFile, setKeystoreFile] = useState(null);
+  const [progress, setProgress] = useState(null); // 0..1 while scrypt runs
+  const [error, setError] = useState("");
+
+  async function exportKeystore() {
+    setError("");
+    setProgress(0);
+    try {
+      const json = await onExport(password, setProgress);
+      downloadText(`meetup-burner-${address.toLowerCase()}.json`, json);
+      setPassword("");
+    } catch (e) {
+      setError(e?.message ?? String(e));
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  async function importKeystore() {
+    setError("");
+    setProgress(0);
+    try {
+      await onImport(await keystoreFile.text(), password, setProgress);
+      setKeystoreFile(null);
+      setPassword("");
+    } catch (e) {
+      setError(e?.message ?? String(e));
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  if (mode === PROVIDER_MODE.injected) {
+    return (
+      <div style={{ marginBottom: 12 }}>
+        <button className="btn" onClick={onUse}>
+          Use a burner wallet instead
+        </button>
+      </div>
+    );
+  }
+
+  const busy = progress !== null;
+  const passwordInput = (
+    <input
+      type="password"
+      placeholder="Keystore password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+      style={inputStyle}
+    />
+  );
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Burner wallet</h3>
+      {mode === PROVIDER_MODE.burner ? (
+        <>
+          <div style={{ fontSize: 13, marginBottom: 8 }}>
+            Signing with <strong title={address}>{address ? shortAddress(address) : "…"}</strong>, a key stored in this
+            browser. Send it enough ETH for the deposit and gas, and export a keystore before clearing site data.
+          </div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            {passwordInput}
+            <button className="btn" onClick={exportKeystore} disabled={busy || !address || !password}>
+              Export keystore
+            </button>
+          </div>
+          <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+            {hasBrowserWallet && (
+              <button className="btn" onClick={onUseBrowserWallet} disabled={busy}>
+                Use browser wallet
+              </button>
+            )}
+            <button className="btn" onClick={onForget} disabled={busy}>
+              Forget burner
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div style={{ fontSize: 13, marginBottom: 8 }}>
+            No wallet extension found. Create a burner wallet to sign attestations from this device, or restore one from
+            a keystore file.
+          </div>
+          <button className="btn" onClick={onUse} disabled={busy}>
+            Create burner wallet
+          </button>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+            <input type="file" accept="application/json,.json" onChange={(e) => setKeystoreFile(e.target.files?.[0] ?? null)} />
+            {passwordInput}
+            <button className="btn" onClick={importKeystore} disabled={busy || !keystoreFile || !password}>
+              Import keystore
+            </button>
+          </div>
+        </>
+      )}
+      {busy && <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>Deriving the keystore key… {Math.round(progress * 100)}%</div>}
+      {error && <div style={{ fontSize: 13, color: "#a00", marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
+
+export default BurnerWallet;
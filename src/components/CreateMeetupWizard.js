@@ -0,0 +1,211 @@
+// src/components/CreateMeetupWizard.js
+import React, { useState } from "react";
+import QRCode from "qrcode";
+import { buildInviteLink } from "../lib/createMeetup";
+import { formatTime, parseParticipants, shortAddress, validateMeetupDetails, validateMeetupForm } from "../contracts";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+const inputStyle = { padding: 8, width: "100%", boxSizing: "border-box", borderRadius: 4, border: "1px solid #ccc" };
+const labelStyle = { display: "block", fontSize: 13, marginTop: 8, marginBottom: 4 };
+const errorStyle = { fontSize: 12, color: "#a00", marginTop: 2 };
+
+const STEPS = ["Participants", "Time & deposit", "Voting", "Details", "Review"];
+
+// which form fields each step owns, so "Next" only blocks on that step's errors
+const STEP_FIELDS = [
+  ["participants"],
+  ["meetingTime", "depositEth", "penaltyPercentPerMinute"],
+  ["honestyRatePercent", "reportingWindowMinutes"],
+  ["title", "description", "venueName", "coordinates", "organizerName"],
+  [],
+];
+
+const INITIAL_FORM = {
+  participants: "",
+  meetingTimeLocal: "",
+  depositEth: "0.01",
+  penaltyPercentPerMinute: "2",
+  honestyRatePercent: "50",
+  reportingWindowMinutes: "60",
+  title: "",
+  description: "",
+  venueName: "",
+  coordinates: "",
+  organizerName: "",
+};
+
+// Guided EscrowContract deployment: collect constructor args and the optional meetup details
+// (published to IPFS as its metadata document), deploy, hand out an invite
+function CreateMeetupWizard({ myAddress, chainId, onDeploy, onOpen, onClose }) {
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [deploying, setDeploying] = useState(false);
+  const [deployError, setDeployError] = useState("");
+  const [created, setCreated] = useState(null); // { address, link, qr, metadataCid, metadataError }
+
+  const meetingTime = form.meetingTimeLocal ? Math.floor(new Date(form.meetingTimeLocal).getTime() / 1000) : NaN;
+  const { errors: formErrors, args } = validateMeetupForm({ ...form, meetingTime });
+  const { errors: detailErrors, details } = validateMeetupDetails(form, myAddress);
+  const errors = { ...formErrors, ...detailErrors };
+  const ready = !!args && Object.keys(detailErrors).length === 0;
+  const stepErrors = STEP_FIELDS[step].filter((f) => errors[f]);
+
+  function set(field) {
+    return (e) => setForm({ ...form, [field]: e.target.value });
+  }
+
+  function addMe() {
+    if (!myAddress) return;
+    const list = parseParticipants(form.participants);
+    if (list.some((p) => p.toLowerCase() === myAddress.toLowerCase())) return;
+    setForm({ ...form, participants: [...list, myAddress].join("\n") });
+  }
+
+  async function deploy() {
+    setDeploying(true);
+    setDeployError("");
+    try {
+      const { address, metadataCid, metadataError } = await onDeploy(args, details);
+      const link = buildInviteLink(address, chainId, { metadataCid });
+      const qr = await QRCode.toDataURL(link, { margin: 2, scale: 6 });
+      setCreated({ address, link, qr, metadataCid, metadataError });
+    } catch (e) {
+      setDeployError(e?.message ?? String(e));
+    } finally {
+      setDeploying(false);
+    }
+  }
+
+  if (created) {
+    return (
+      <div style={cardStyle}>
+        <h3 style={{ margin: "0 0 8px 0" }}>Meetup created</h3>
+        <div style={{ fontSize: 13, wordBreak: "break-all" }}>Contract: {created.address}</div>
+        {created.metadataCid && <div style={{ fontSize: 13, wordBreak: "break-all" }}>Details: {created.metadataCid}</div>}
+        {created.metadataError && (
+          <div style={errorStyle}>Details were not published ({created.metadataError}); the invite carries the contract only.</div>
+        )}
+        <div style={{ fontSize: 13, marginTop: 8 }}>Invite the other participants with this QR or link:</div>
+        <img src={created.qr} alt="Meetup invite QR" style={{ maxWidth: 240, border: "1px solid #ddd", borderRadius: 6, marginTop: 6 }} />
+        <input readOnly value={created.link} onFocus={(e) => e.target.select()} style={{ ...inputStyle, marginTop: 6 }} />
+        <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+          <button className="btn" onClick={() => onOpen(created.address)}>
+            Open meetup
+          </button>
+          <button className="btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>
+        Create a meetup · {step + 1}/{STEPS.length} {STEPS[step]}
+      </h3>
+
+      {step === 0 && (
+        <>
+          <label style={labelStyle}>Participant addresses (one per line)</label>
+          <textarea rows={5} value={form.participants} onChange={set("participants")} style={{ ...inputStyle, fontFamily: "monospace" }} />
+          {myAddress && (
+            <button className="btn" onClick={addMe} style={{ marginTop: 6 }}>
+              Add me
+            </button>
+          )}
+          {errors.participants && <div style={errorStyle}>{errors.participants}</div>}
+        </>
+      )}
+
+      {step === 1 && (
+        <>
+          <label style={labelStyle}>Meeting time</label>
+          <input type="datetime-local" value={form.meetingTimeLocal} onChange={set("meetingTimeLocal")} style={inputStyle} />
+          {errors.meetingTime && <div style={errorStyle}>{errors.meetingTime}</div>}
+
+          <label style={labelStyle}>Deposit per participant (ETH)</label>
+          <input value={form.depositEth} onChange={set("depositEth")} inputMode="decimal" style={inputStyle} />
+          {errors.depositEth && <div style={errorStyle}>{errors.depositEth}</div>}
+
+          <label style={labelStyle}>Penalty per minute late (% of deposit)</label>
+          <input value={form.penaltyPercentPerMinute} onChange={set("penaltyPercentPerMinute")} inputMode="decimal" style={inputStyle} />
+          {errors.penaltyPercentPerMinute && <div style={errorStyle}>{errors.penaltyPercentPerMinute}</div>}
+        </>
+      )}
+
+      {step === 2 && (
+        <>
+          <div style={{ fontSize: 13 }}>
+            If nobody records an arrival, participants can vote for the one person who showed up.
+          </div>
+          <label style={labelStyle}>Refund for honest absentees (% of deposit)</label>
+          <input value={form.honestyRatePercent} onChange={set("honestyRatePercent")} inputMode="numeric" style={inputStyle} />
+          {errors.honestyRatePercent && <div style={errorStyle}>{errors.honestyRatePercent}</div>}
+
+          <label style={labelStyle}>Reporting window after the meeting (minutes)</label>
+          <input value={form.reportingWindowMinutes} onChange={set("reportingWindowMinutes")} inputMode="numeric" style={inputStyle} />
+          {errors.reportingWindowMinutes && <div style={errorStyle}>{errors.reportingWindowMinutes}</div>}
+        </>
+      )}
+
+      {step === 3 && (
+        <>
+          <div style={{ fontSize: 13 }}>
+            Optional. The contract only stores the time; these details are published to IPFS and travel with the invite.
+          </div>
+          <label style={labelStyle}>Title</label>
+          <input value={form.title} onChange={set("title")} style={inputStyle} />
+          {errors.title && <div style={errorStyle}>{errors.title}</div>}
+
+          <label style={labelStyle}>Description</label>
+          <textarea rows={3} value={form.description} onChange={set("description")} style={inputStyle} />
+          {errors.description && <div style={errorStyle}>{errors.description}</div>}
+
+          <label style={labelStyle}>Venue</label>
+          <input value={form.venueName} onChange={set("venueName")} style={inputStyle} />
+          {errors.venueName && <div style={errorStyle}>{errors.venueName}</div>}
+
+          <label style={labelStyle}>Venue coordinates (latitude, longitude)</label>
+          <input value={form.coordinates} onChange={set("coordinates")} placeholder="52.5200, 13.4050" inputMode="decimal" style={inputStyle} />
+          {errors.coordinates && <div style={errorStyle}>{errors.coordinates}</div>}
+
+          <label style={labelStyle}>Organizer name{myAddress ? ` (published with ${shortAddress(myAddress)})` : ""}</label>
+          <input value={form.organizerName} onChange={set("organizerName")} style={inputStyle} />
+          {errors.organizerName && <div style={errorStyle}>{errors.organizerName}</div>}
+        </>
+      )}
+
+      {step === 4 && ready && (
+        <ul style={{ fontSize: 13, paddingLeft: 18 }}>
+          {details ? <li>“{details.title}”{details.venue?.name ? ` at ${details.venue.name}` : ""}</li> : <li>No details</li>}
+          <li>{args[0].length} participants</li>
+          <li>Meeting at {formatTime(args[1])}</li>
+          <li>Deposit {form.depositEth} ETH each</li>
+          <li>Penalty {form.penaltyPercentPerMinute}% per minute late ({args[3]} basis points)</li>
+          <li>Honest absentees get {args[4]}% back; reporting window {form.reportingWindowMinutes} min</li>
+        </ul>
+      )}
+      {step === 4 && !ready && <div style={errorStyle}>Go back and fix: {Object.values(errors).join("; ")}</div>}
+      {deployError && <div style={errorStyle}>Deployment failed: {deployError}</div>}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <button className="btn" onClick={() => (step === 0 ? onClose() : setStep(step - 1))} disabled={deploying}>
+          {step === 0 ? "Cancel" : "Back"}
+        </button>
+        {step < STEPS.length - 1 ? (
+          <button className="btn" onClick={() => setStep(step + 1)} disabled={stepErrors.length > 0}>
+            Next
+          </button>
+        ) : (
+          <button className="btn" onClick={deploy} disabled={!ready || deploying}>
+            {deploying ? "Deploying…" : "Deploy contract"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CreateMeetupWizard;
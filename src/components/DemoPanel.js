@@ -0,0 +1,106 @@
+// src/components/DemoPanel.js
+import React, { useEffect, useState } from "react";
+import { formatEth, formatTime, sameAddress, shortAddress } from "../contracts";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff8e1", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+const cellStyle = { padding: "4px 6px", borderBottom: "1px solid #eee", textAlign: "left" };
+
+const TIME_STEPS = [
+  { label: "+1 min", seconds: 60 },
+  { label: "+15 min", seconds: 15 * 60 },
+  { label: "+1 h", seconds: 60 * 60 },
+];
+
+// Demo mode controls (lib/demo): switch between the simulated participants, move the chain
+// clock, and let the other participants answer the QR codes on screen.
+// qrs: [{ label, content }] currently shown for a peer to scan.
+function DemoPanel({ demo, account, meetingTime, qrs, busy, onSelect, onAdvance, onPeerScan, onScanPeer, onReset }) {
+  const [block, setBlock] = useState(() => demo.chain.latestBlock());
+
+  // balances and the clock change with every mined block
+  useEffect(() => {
+    setBlock(demo.chain.latestBlock());
+    return demo.chain.onBlock(setBlock);
+  }, [demo]);
+
+  const peers = demo.participants.filter((p) => !sameAddress(p.address, account));
+  const untilMeeting = meetingTime ? meetingTime - block.timestamp : null;
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Demo mode</h3>
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        Everything runs in this tab: an in-memory chain, simulated wallets and IPFS. Nothing is sent to a network.
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, marginBottom: 8 }}>
+        <tbody>
+          {demo.participants.map((p) => {
+            const active = sameAddress(p.address, account);
+            return (
+              <tr key={p.address}>
+                <td style={cellStyle}>
+                  {active ? <strong>{p.name}</strong> : p.name}
+                </td>
+                <td style={cellStyle} title={p.address}>
+                  {shortAddress(p.address)}
+                </td>
+                <td style={cellStyle}>{formatEth(demo.chain.balanceOf(p.address))}</td>
+                <td style={cellStyle}>
+                  <button className="btn" onClick={() => onSelect(p.address)} disabled={active || busy}>
+                    {active ? "Active" : "Use"}
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        Chain time: <strong>{formatTime(block.timestamp)}</strong>
+        {untilMeeting !== null &&
+          (untilMeeting > 0 ? ` — meeting in ${Math.ceil(untilMeeting / 60)} min` : " — the meeting has started")}
+      </div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+        {TIME_STEPS.map(({ label, seconds }) => (
+          <button key={label} className="btn" onClick={() => onAdvance(seconds)} disabled={busy}>
+            {label}
+          </button>
+        ))}
+        <button className="btn" onClick={() => onAdvance(untilMeeting)} disabled={busy || !(untilMeeting > 0)}>
+          Jump to meeting time
+        </button>
+      </div>
+
+      {peers.length > 0 && (
+        <div style={{ fontSize: 13, marginBottom: 8 }}>
+          {qrs.map((qr) => (
+            <div key={qr.label} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 4 }}>
+              <span>{qr.label}:</span>
+              {peers.map((p) => (
+                <button key={p.address} className="btn" onClick={() => onPeerScan(p.address, qr.content)} disabled={busy}>
+                  Let {p.name} scan it
+                </button>
+              ))}
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <span>Presence QRs:</span>
+            {peers.map((p) => (
+              <button key={p.address} className="btn" onClick={() => onScanPeer(p.address)} disabled={busy}>
+                Scan {p.name}'s QR
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <button className="btn" onClick={onReset} disabled={busy}>
+        Reset demo
+      </button>
+    </div>
+  );
+}
+
+export default DemoPanel;
@@ -0,0 +1,60 @@
+// src/components/DiagnosticsPanel.js
+import React from "react";
+import { CHECK_STATUS } from "../lib/diagnostics";
+import { downloadText } from "../lib/download";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+
+const STATUS_STYLE = {
+  [CHECK_STATUS.pass]: { icon: "✓", color: "#2a7" },
+  [CHECK_STATUS.warn]: { icon: "!", color: "#c80" },
+  [CHECK_STATUS.fail]: { icon: "✗", color: "#c33" },
+};
+
+// Health-check rows from lib/diagnostics; the raw report can be saved for bug reports
+function DiagnosticsPanel({ report, running, onRun, onClose }) {
+  if (!report && !running) return null;
+
+  function exportReport() {
+    const stamp = report.createdAt.replace(/[:.]/g, "-");
+    downloadText(`meetup-diagnostics-${stamp}.json`, JSON.stringify(report, null, 2));
+  }
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Diagnostics</h3>
+      {running && !report ? (
+        <div style={{ fontSize: 13 }}>Running checks…</div>
+      ) : (
+        <>
+          <ul style={{ listStyle: "none", padding: 0, margin: 0, fontSize: 13 }}>
+            {report.checks.map((c) => {
+              const style = STATUS_STYLE[c.status];
+              return (
+                <li key={c.id} style={{ marginBottom: 6 }}>
+                  <span style={{ color: style.color, fontWeight: "bold", display: "inline-block", width: 18 }}>{style.icon}</span>
+                  <span style={{ fontWeight: "bold" }}>{c.label}</span>
+                  <div style={{ marginLeft: 18, color: "#666", wordBreak: "break-word" }}>{c.detail}</div>
+                </li>
+              );
+            })}
+          </ul>
+          <div style={{ fontSize: 12, color: "#888", marginTop: 6 }}>Checked {new Date(report.createdAt).toLocaleString()}</div>
+          <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+            <button className="btn" onClick={onRun} disabled={running}>
+              {running ? "Running…" : "Run again"}
+            </button>
+            <button className="btn" onClick={exportReport}>
+              Export JSON
+            </button>
+            <button className="btn" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DiagnosticsPanel;
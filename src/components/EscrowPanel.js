@@ -0,0 +1,97 @@
+// src/components/EscrowPanel.js
+import React from "react";
+import {
+  STATE,
+  STATE_LABELS,
+  finalizeOpensAt,
+  finalizeWindowOpen,
+  formatEth,
+  formatTime,
+  shortAddress,
+} from "../contracts";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333" };
+const cellStyle = { padding: "4px 6px", borderBottom: "1px solid #eee", textAlign: "left" };
+
+// Escrow lifecycle: deposit -> (arrivals) -> finalize -> withdraw
+function EscrowPanel({ snapshot, busy, onDeposit, onFinalize, onWithdraw, onRefresh }) {
+  if (!snapshot) {
+    return (
+      <div style={cardStyle}>
+        <h3 style={{ margin: "0 0 8px 0" }}>Escrow</h3>
+        <div style={{ fontSize: 13 }}>Loading escrow state…</div>
+      </div>
+    );
+  }
+
+  const { me, state, depositAmount } = snapshot;
+  const finalized = state === STATE.Finalized;
+  const windowOpen = finalizeWindowOpen(snapshot);
+
+  const canDeposit = !!me && state === STATE.Created && me.balance.lt(depositAmount);
+  const canFinalize = !finalized && windowOpen;
+  const canWithdraw = !!me && finalized && me.balance.gt(0);
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Escrow</h3>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", fontSize: 13, marginBottom: 8 }}>
+        <div>State: <strong>{STATE_LABELS[state] ?? state}</strong></div>
+        <div>Deposit: <strong>{formatEth(depositAmount)}</strong></div>
+        <div>Held: <strong>{formatEth(snapshot.contractBalance)}</strong></div>
+      </div>
+
+      <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Participant</th>
+            <th style={cellStyle}>Balance</th>
+            <th style={cellStyle}>Arrived</th>
+          </tr>
+        </thead>
+        <tbody>
+          {snapshot.participants.map((p) => (
+            <tr key={p.address} style={me && me.address === p.address ? { background: "#f3f8ff" } : undefined}>
+              <td style={cellStyle} title={p.address}>
+                {shortAddress(p.address)}
+                {me && me.address === p.address ? " (you)" : ""}
+              </td>
+              <td style={cellStyle}>{formatEth(p.balance)}</td>
+              <td style={cellStyle}>{p.arrivalTime ? formatTime(p.arrivalTime) : "–"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!me && (
+        <div style={{ fontSize: 12, color: "#a00", marginTop: 8 }}>
+          Connected account is not a participant in this meetup.
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 10 }}>
+        <button className="btn" onClick={onDeposit} disabled={busy || !canDeposit}>
+          Deposit {formatEth(depositAmount)}
+        </button>
+        <button className="btn" onClick={onFinalize} disabled={busy || !canFinalize}>
+          Finalize
+        </button>
+        <button className="btn" onClick={onWithdraw} disabled={busy || !canWithdraw}>
+          Withdraw {me && finalized ? formatEth(me.balance) : ""}
+        </button>
+        <button className="btn" onClick={onRefresh} disabled={busy}>
+          Refresh
+        </button>
+      </div>
+
+      {!finalized && !windowOpen && (
+        <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+          Finalization opens after {formatTime(finalizeOpensAt(snapshot))}.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EscrowPanel;
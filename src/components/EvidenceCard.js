@@ -0,0 +1,105 @@
+// src/components/EvidenceCard.js
+import React, { useEffect, useState } from "react";
+import { checkEvidence, loadVenue, readPhotoMetadata, saveVenue } from "../lib/evidence";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+const inputStyle = { padding: 8, flex: "1 1 120px", borderRadius: 4, border: "1px solid #ccc", minWidth: 0 };
+
+// Optional photo proof: EXIF time/GPS checked locally, uploaded with the next arrival attestation
+function EvidenceCard({ contractAddress, meetingTime, attached, onAttach, onDetach, busy }) {
+  const [venue, setVenue] = useState(() => loadVenue(contractAddress));
+  const [photo, setPhoto] = useState(null); // { file, previewUrl, meta }
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setVenue(loadVenue(contractAddress));
+    setPhoto(null);
+    setError("");
+  }, [contractAddress]);
+
+  useEffect(() => {
+    return () => photo && URL.revokeObjectURL(photo.previewUrl);
+  }, [photo]);
+
+  async function pickPhoto(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError("");
+    try {
+      const meta = await readPhotoMetadata(file);
+      setPhoto({ file, previewUrl: URL.createObjectURL(file), meta });
+    } catch (err) {
+      setError("Could not read photo: " + (err?.message ?? err));
+    }
+  }
+
+  function setVenueField(field) {
+    return (e) => setVenue(saveVenue(contractAddress, { ...venue, [field]: e.target.value }));
+  }
+
+  const report = photo && meetingTime ? checkEvidence(photo.meta, { meetingTime, venue }) : null;
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Photo evidence (optional)</h3>
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        Attach a photo taken at the venue. Its capture time and GPS position are checked here and the photo is
+        uploaded to IPFS together with your next arrival attestation.
+      </div>
+
+      <div style={{ fontSize: 13, marginBottom: 4 }}>Venue (latitude, longitude, radius in m)</div>
+      <div style={{ display: "flex", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+        <input placeholder="Latitude" value={venue.latitude} onChange={setVenueField("latitude")} inputMode="decimal" style={inputStyle} />
+        <input placeholder="Longitude" value={venue.longitude} onChange={setVenueField("longitude")} inputMode="decimal" style={inputStyle} />
+        <input placeholder="Radius" value={venue.radiusMeters} onChange={setVenueField("radiusMeters")} inputMode="numeric" style={inputStyle} />
+      </div>
+
+      {attached ? (
+        <div style={{ fontSize: 13 }}>
+          <div style={{ wordBreak: "break-all" }}>Evidence attached: {attached.photo.name}</div>
+          <div style={{ fontSize: 12, color: "#666" }}>Kept on this device until your next arrival attestation is sent.</div>
+          <button className="btn" onClick={onDetach} disabled={busy} style={{ marginTop: 8 }}>
+            Remove
+          </button>
+        </div>
+      ) : (
+        <>
+          <input type="file" accept="image/*" capture="environment" onChange={pickPhoto} disabled={busy} />
+          {error && <div style={{ fontSize: 13, color: "#a00", marginTop: 6 }}>{error}</div>}
+          {photo && (
+            <div style={{ marginTop: 8 }}>
+              <img src={photo.previewUrl} alt="Evidence preview" style={{ maxWidth: 160, borderRadius: 6, border: "1px solid #ddd" }} />
+              {report && (
+                <ul style={{ listStyle: "none", padding: 0, margin: "6px 0", fontSize: 13 }}>
+                  {report.checks.map((c) => (
+                    <li key={c.label} style={{ marginBottom: 4 }}>
+                      <span style={{ color: c.ok ? "#2a7" : "#c80", fontWeight: "bold", marginRight: 6 }}>{c.ok ? "✓" : "!"}</span>
+                      {c.label}
+                      {c.detail && <span style={{ color: "#888", marginLeft: 6 }}>{c.detail}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {report && !report.ok && (
+                <div style={{ fontSize: 12, color: "#666" }}>
+                  Failed checks are recorded in the evidence bundle; the photo can still be attached.
+                </div>
+              )}
+              <button
+                className="btn"
+                onClick={() => onAttach(photo.file, photo.meta, report, venue)}
+                disabled={busy || !report}
+                style={{ marginTop: 8 }}
+              >
+                Attach to my arrival
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default EvidenceCard;
@@ -0,0 +1,103 @@
+// src/components/GroupAttestationCard.js
+import React from "react";
+import { formatTime, sameAddress, shortAddress } from "../contracts";
+import AnimatedQr from "./AnimatedQr";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12 };
+const inputStyle = { padding: 8, flex: "1 1 240px", borderRadius: 4, border: "1px solid #ccc" };
+
+// Three-party confirmArrival(): the arriver collects signed Attestations from two other participants
+function GroupAttestationCard({
+  inputs,
+  onInputsChange,
+  onPrepare,
+  onCancel,
+  pending,
+  requestQr,
+  sigQr,
+  candidates = [],
+  onUseCandidate,
+  onRemoveCandidate,
+}) {
+  const slotsFull = !!inputs.attester1 && !!inputs.attester2;
+  const isChosen = (address) => sameAddress(inputs.attester1, address) || sameAddress(inputs.attester2, address);
+  const collected = pending
+    ? [pending.attester1, pending.attester2].map((a) => ({ address: a, signed: !!pending.signatures[a.toLowerCase()] }))
+    : [];
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0", color: "#333" }}>Group Attestation</h3>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <input
+          placeholder="Attester 1 address (0x...)"
+          value={inputs.attester1}
+          onChange={(e) => onInputsChange({ ...inputs, attester1: e.target.value })}
+          style={inputStyle}
+        />
+        <input
+          placeholder="Attester 2 address (0x...)"
+          value={inputs.attester2}
+          onChange={(e) => onInputsChange({ ...inputs, attester2: e.target.value })}
+          style={inputStyle}
+        />
+        <button className="btn" onClick={onPrepare}>
+          Request attestation (show QR)
+        </button>
+      </div>
+      {candidates.length > 0 && (
+        <div style={{ marginTop: 10, fontSize: 13, color: "#333" }}>
+          <div>Peers present (from scanned presence QRs):</div>
+          {candidates.map((c) => (
+            <div key={c.address} style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 4 }}>
+              <span title={c.address}>{shortAddress(c.address)}</span>
+              <span style={{ color: "#888" }}>{formatTime(c.ts)}</span>
+              <button className="btn" onClick={() => onUseCandidate(c.address)} disabled={!!pending || slotsFull || isChosen(c.address)}>
+                {isChosen(c.address) ? "Selected" : "Use as attester"}
+              </button>
+              <button className="btn" onClick={() => onRemoveCandidate(c.address)}>
+                Forget
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={{ marginTop: 10 }}>
+        <div style={{ fontSize: 13, color: "#333" }}>Flow (arriver & two attesters):</div>
+        <ol style={{ fontSize: 13, color: "#333" }}>
+          <li>Optionally scan the other participants' "my QR" presence tokens to pick attesters who are actually here.</li>
+          <li>Arriver requests an attestation naming two other participants and shows the request QR.</li>
+          <li>Each attester scans the request; the wallet shows the Attestation fields to sign, then the app shows a response QR (attest-sig).</li>
+          <li>Arriver scans both response QRs; the app uploads the attestation to IPFS and calls confirmArrival on-chain.</li>
+        </ol>
+
+        {pending && (
+          <div style={{ fontSize: 13, color: "#333", marginBottom: 8 }}>
+            {collected.map((c) => (
+              <div key={c.address}>
+                {c.signed ? "✓" : "…"} {shortAddress(c.address)} {c.signed ? "signed" : "waiting for signature"}
+              </div>
+            ))}
+            <button className="btn" onClick={onCancel} style={{ marginTop: 6 }}>
+              Cancel request
+            </button>
+          </div>
+        )}
+        {requestQr && (
+          <div>
+            <div style={{ fontSize: 12, color: "#666" }}>Attestation request QR (show to both attesters):</div>
+            <AnimatedQr content={requestQr} alt="Attestation request QR" />
+          </div>
+        )}
+        {sigQr && (
+          <div style={{ marginTop: 8 }}>
+            <div style={{ fontSize: 12, color: "#666" }}>Attestation signature QR (show back to the arriver):</div>
+            <AnimatedQr content={sigQr} alt="Attestation signature QR" />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GroupAttestationCard;
@@ -0,0 +1,90 @@
+// src/components/IpfsSettings.js
+import React, { useEffect, useState } from "react";
+import { DEFAULT_IPFS_CONFIG } from "../lib/ipfs";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+const inputStyle = { padding: 8, width: "100%", boxSizing: "border-box", borderRadius: 4, border: "1px solid #ccc" };
+const labelStyle = { display: "block", fontSize: 13, marginTop: 8, marginBottom: 4 };
+
+function toDraft(config) {
+  return {
+    rpcUrl: config.rpcUrl,
+    gateways: config.gateways.join("\n"),
+    timeoutMs: String(config.timeoutMs),
+    pinEndpoint: config.pinningService?.endpoint ?? "",
+    pinToken: config.pinningService?.token ?? "",
+  };
+}
+
+// Kubo RPC / gateway / pinning endpoints used by lib/ipfs
+function IpfsSettings({ config, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(() => toDraft(config));
+
+  useEffect(() => {
+    setDraft(toDraft(config));
+  }, [config]);
+
+  function set(field) {
+    return (e) => setDraft({ ...draft, [field]: e.target.value });
+  }
+
+  function save() {
+    onSave({
+      rpcUrl: draft.rpcUrl.trim(),
+      gateways: draft.gateways
+        .split(/\s+/)
+        .map((g) => g.trim())
+        .filter(Boolean),
+      timeoutMs: Math.max(1000, Number(draft.timeoutMs) || DEFAULT_IPFS_CONFIG.timeoutMs),
+      pinningService: { endpoint: draft.pinEndpoint.trim(), token: draft.pinToken.trim() },
+    });
+    setOpen(false);
+  }
+
+  if (!open) {
+    return (
+      <div style={{ marginBottom: 12 }}>
+        <button className="btn" onClick={() => setOpen(true)}>
+          IPFS settings
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>IPFS settings</h3>
+      <label style={labelStyle}>Kubo RPC API (uploads and pinning)</label>
+      <input value={draft.rpcUrl} onChange={set("rpcUrl")} style={inputStyle} />
+
+      <label style={labelStyle}>Gateways, tried in order (one per line)</label>
+      <textarea rows={3} value={draft.gateways} onChange={set("gateways")} style={{ ...inputStyle, fontFamily: "monospace" }} />
+      <div style={{ fontSize: 12, color: "#666" }}>
+        Content from every gateway is checked against its CID; mismatches fall through to the next one.
+      </div>
+
+      <label style={labelStyle}>Gateway timeout (ms)</label>
+      <input value={draft.timeoutMs} onChange={set("timeoutMs")} inputMode="numeric" style={inputStyle} />
+
+      <label style={labelStyle}>Remote pinning service endpoint (optional)</label>
+      <input value={draft.pinEndpoint} onChange={set("pinEndpoint")} placeholder="https://…" style={inputStyle} />
+      <label style={labelStyle}>Pinning service access token</label>
+      <input type="password" value={draft.pinToken} onChange={set("pinToken")} style={inputStyle} />
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <button className="btn" onClick={save}>
+          Save
+        </button>
+        <button className="btn" onClick={() => setDraft(toDraft(DEFAULT_IPFS_CONFIG))}>
+          Defaults
+        </button>
+        <button className="btn" onClick={() => setOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default IpfsSettings;
@@ -0,0 +1,101 @@
+// src/components/MeetingCard.js
+import React, { useState } from "react";
+import { buildMeetupIcs, shortAddress } from "../contracts";
+import { downloadText } from "../lib/download";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+const inputStyle = { padding: 8, flex: "1 1 200px", borderRadius: 4, border: "1px solid #ccc", minWidth: 0, fontFamily: "monospace" };
+const labelStyle = { fontSize: 13, color: "#666", marginTop: 8 };
+
+function mapLink({ lat, lon }) {
+  return `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=17/${lat}/${lon}`;
+}
+
+// The meeting as participants see it: time from the contract, everything else from the metadata
+// document on IPFS (contracts/metadata); `metadata` is { cid, doc } or { cid, error }, null without one.
+function MeetingCard({ contractAddress, chainId, meetingTimeHuman, snapshot, metadata, link, onAttachMetadata, busy }) {
+  const [cidInput, setCidInput] = useState("");
+  const doc = metadata?.doc ?? null;
+
+  function exportCalendar() {
+    const ics = buildMeetupIcs({ snapshot, chainId, metadata: doc, url: link });
+    downloadText(`meetup-${contractAddress.toLowerCase()}.ics`, ics, "text/calendar");
+  }
+
+  async function attach() {
+    if (await onAttachMetadata(cidInput.trim())) setCidInput("");
+  }
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>{doc ? doc.title : "Meeting"}</h3>
+      {meetingTimeHuman ? (
+        <div style={{ fontSize: 14 }}>{meetingTimeHuman}</div>
+      ) : (
+        <div>Loading meeting info…</div>
+      )}
+
+      {doc && (
+        <>
+          {doc.description && <div style={{ fontSize: 14, marginTop: 8, whiteSpace: "pre-wrap" }}>{doc.description}</div>}
+          {doc.venue && (
+            <>
+              <div style={labelStyle}>Venue</div>
+              <div style={{ fontSize: 14 }}>
+                {doc.venue.name || `${doc.venue.lat}, ${doc.venue.lon}`}
+                {doc.venue.lat !== null && (
+                  <>
+                    {" · "}
+                    <a href={mapLink(doc.venue)} target="_blank" rel="noreferrer">
+                      map
+                    </a>
+                  </>
+                )}
+              </div>
+            </>
+          )}
+          {doc.organizer && (
+            <>
+              <div style={labelStyle}>Organizer</div>
+              <div style={{ fontSize: 14 }}>
+                {doc.organizer.name}
+                {doc.organizer.address && (
+                  <span style={{ fontFamily: "monospace" }}>
+                    {doc.organizer.name ? " · " : ""}
+                    {shortAddress(doc.organizer.address)}
+                  </span>
+                )}
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      <div style={{ fontSize: 12, color: "#666", marginTop: 8, wordBreak: "break-all" }}>
+        Contract {contractAddress}
+        {metadata && ` · details ${metadata.cid}`}
+      </div>
+      {metadata?.error && <div style={{ fontSize: 12, color: "#a00", marginTop: 4 }}>Meetup details not loaded: {metadata.error}</div>}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 10, flexWrap: "wrap" }}>
+        <button className="btn" onClick={exportCalendar} disabled={!snapshot}>
+          Add to calendar (.ics)
+        </button>
+      </div>
+      <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+        Reminders before the meeting, before the reporting window closes and when finalize opens.
+      </div>
+
+      {!doc && (
+        <div style={{ display: "flex", gap: 8, marginTop: 10, flexWrap: "wrap" }}>
+          <input placeholder="Meetup details CID" value={cidInput} onChange={(e) => setCidInput(e.target.value)} style={inputStyle} />
+          <button className="btn" onClick={attach} disabled={!cidInput.trim() || busy}>
+            Load details
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MeetingCard;
@@ -0,0 +1,120 @@
+// src/components/MeetupList.js
+import React, { useEffect, useState } from "react";
+import { STATE_LABELS, formatEth, formatTime, sameAddress, shortAddress } from "../contracts";
+import { chainName, isWrongChain } from "../lib/wallet";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333" };
+const cellStyle = { padding: "4px 6px", borderBottom: "1px solid #eee", textAlign: "left" };
+const inputStyle = { padding: 8, flex: "1 1 240px", borderRadius: 4, border: "1px solid #ccc" };
+
+// Registered meetups with a per-row summary; selecting one makes it the active contract.
+// Summaries are re-read when the wallet switches network (walletChainId).
+function MeetupList({ registry, readSummary, walletChainId, onSelect, onRemove, onAdd, onDiscover, busy }) {
+  const [summaries, setSummaries] = useState({});
+  const [addressInput, setAddressInput] = useState("");
+  const [deployerInput, setDeployerInput] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    registry.entries.forEach((entry) => {
+      readSummary(entry.address)
+        .then((summary) => !cancelled && setSummaries((prev) => ({ ...prev, [entry.address]: summary })))
+        .catch((e) => !cancelled && setSummaries((prev) => ({ ...prev, [entry.address]: { error: e?.message ?? String(e) } })));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [registry.entries, readSummary, walletChainId]);
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>My meetups</h3>
+      <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Contract</th>
+            <th style={cellStyle}>Time</th>
+            <th style={cellStyle}>People</th>
+            <th style={cellStyle}>State</th>
+            <th style={cellStyle}>My balance</th>
+            <th style={cellStyle} />
+          </tr>
+        </thead>
+        <tbody>
+          {registry.entries.map((entry) => {
+            const summary = summaries[entry.address];
+            const active = sameAddress(entry.address, registry.active);
+            return (
+              <tr key={entry.address} style={active ? { background: "#f3f8ff" } : undefined}>
+                <td style={cellStyle} title={entry.address}>
+                  {entry.label || shortAddress(entry.address)}
+                  {active ? " (active)" : ""}
+                </td>
+                {isWrongChain(walletChainId, entry.chainId) ? (
+                  <td style={{ ...cellStyle, color: "#888" }} colSpan={4}>
+                    On {chainName(entry.chainId)} — open it to switch networks
+                  </td>
+                ) : summary?.error ? (
+                  <td style={{ ...cellStyle, color: "#a00" }} colSpan={4}>
+                    Unreadable on this network
+                  </td>
+                ) : (
+                  <>
+                    <td style={cellStyle}>{summary ? formatTime(summary.meetingTime) : "…"}</td>
+                    <td style={cellStyle}>{summary ? summary.participants.length : "…"}</td>
+                    <td style={cellStyle}>{summary ? STATE_LABELS[summary.state] : "…"}</td>
+                    <td style={cellStyle}>
+                      {summary ? (summary.isParticipant ? formatEth(summary.myBalance) : "not invited") : "…"}
+                    </td>
+                  </>
+                )}
+                <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                  <button className="btn" onClick={() => onSelect(entry.address)} disabled={active}>
+                    Open
+                  </button>
+                  <button className="btn" onClick={() => onRemove(entry.address)} style={{ marginLeft: 4 }}>
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 10 }}>
+        <input
+          placeholder="Meetup contract address (0x...)"
+          value={addressInput}
+          onChange={(e) => setAddressInput(e.target.value)}
+          style={inputStyle}
+        />
+        <button
+          className="btn"
+          onClick={() => {
+            onAdd(addressInput.trim());
+            setAddressInput("");
+          }}
+        >
+          Add meetup
+        </button>
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+        <input
+          placeholder="Organizer / deployer address (0x...)"
+          value={deployerInput}
+          onChange={(e) => setDeployerInput(e.target.value)}
+          style={inputStyle}
+        />
+        <button className="btn" onClick={() => onDiscover(deployerInput.trim())} disabled={busy}>
+          Discover meetups
+        </button>
+      </div>
+      <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+        You can also scan a meetup invite QR with the scanner below.
+      </div>
+    </div>
+  );
+}
+
+export default MeetupList;
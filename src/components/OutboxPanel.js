@@ -0,0 +1,77 @@
+// src/components/OutboxPanel.js
+import React from "react";
+import { OUTBOX_STATUS, onChain } from "../lib/outbox";
+import { shortAddress } from "../contracts";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+
+const STATUS_LABELS = {
+  [OUTBOX_STATUS.queued]: { text: "waiting to upload", color: "#c80" },
+  [OUTBOX_STATUS.uploaded]: { text: "on IPFS, transaction pending", color: "#c80" },
+  [OUTBOX_STATUS.done]: { text: "confirmed", color: "#2a7" },
+  [OUTBOX_STATUS.failed]: { text: "failed permanently", color: "#c33" },
+};
+
+function describe(entry) {
+  if (entry.kind === "mutual") {
+    const { a, b } = entry.attestation;
+    return `Mutual arrival ${shortAddress(a)} ↔ ${shortAddress(b)}`;
+  }
+  return `Arrival of ${shortAddress(entry.account)}`;
+}
+
+// Signed attestations waiting for IPFS + confirmArrival/confirmMutualArrival (lib/outbox);
+// `chainId` is the wallet's network, entries signed for another one wait until it is switched
+function OutboxPanel({ entries, chainId, online, busy, onRetry, onDiscard, onClearDone }) {
+  if (entries.length === 0) return null;
+  const hasDone = entries.some((e) => e.status === OUTBOX_STATUS.done);
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>
+        Outbox{" "}
+        <span style={{ fontSize: 12, fontWeight: "normal", color: online ? "#2a7" : "#c33" }}>{online ? "online" : "offline"}</span>
+      </h3>
+      <ul style={{ listStyle: "none", padding: 0, margin: 0, fontSize: 13 }}>
+        {entries.map((e) => {
+          const label = STATUS_LABELS[e.status];
+          return (
+            <li key={e.id} style={{ marginBottom: 8 }}>
+              <div>
+                {describe(e)} <span style={{ color: "#888" }}>on {shortAddress(e.contract)}</span>
+              </div>
+              <div>
+                <span style={{ color: label.color, fontWeight: "bold" }}>{label.text}</span>
+                {e.heldByUser && <span style={{ color: "#888" }}> · paused until you retry</span>}
+                {e.status !== OUTBOX_STATUS.done && chainId && !onChain(e, chainId) && (
+                  <span style={{ color: "#c33" }}> · signed for chain {e.chainId}, switch networks to send</span>
+                )}
+                {e.attempts > 0 && <span style={{ color: "#888" }}> · {e.attempts} attempt(s)</span>}
+              </div>
+              {e.lastError && <div style={{ color: e.status === OUTBOX_STATUS.failed ? "#a00" : "#888", wordBreak: "break-word" }}>{e.lastError}</div>}
+              {e.status !== OUTBOX_STATUS.done && (
+                <div style={{ display: "flex", gap: 8, marginTop: 4 }}>
+                  {e.status !== OUTBOX_STATUS.failed && (
+                    <button className="btn" onClick={() => onRetry(e.id)} disabled={busy || !online}>
+                      Retry now
+                    </button>
+                  )}
+                  <button className="btn" onClick={() => onDiscard(e.id)} disabled={busy}>
+                    Discard
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {hasDone && (
+        <button className="btn" onClick={onClearDone} disabled={busy}>
+          Clear confirmed
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default OutboxPanel;
@@ -0,0 +1,74 @@
+// src/components/PayoutTable.js
+import React from "react";
+import { STATE, formatEth, formatTime, shortAddress, simulateFinalize } from "../contracts";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333" };
+const cellStyle = { padding: "4px 6px", borderBottom: "1px solid #eee", textAlign: "left" };
+
+const OUTCOME_LABELS = {
+  punctual: "Punctual",
+  late: "Late",
+  absent: "No arrival",
+  "no-deposit": "No deposit",
+  winner: "Reported arriver",
+  honest: "Honest absentee",
+  punished: "Lost deposit",
+};
+
+// Per-participant preview of what finalize() would pay out
+function PayoutTable({ snapshot }) {
+  if (!snapshot || snapshot.state === STATE.Finalized) return null;
+
+  const result = simulateFinalize(snapshot);
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Payout preview</h3>
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        If finalize() is called at {formatTime(result.at)}
+        {result.branch === "voting" && " it resolves by vote."}
+        {result.branch === "penalty" && " it applies late penalties."}
+      </div>
+      {result.reverts && <div style={{ fontSize: 12, color: "#a00", marginBottom: 8 }}>Would revert: {result.reverts}</div>}
+
+      {result.payouts.length > 0 && (
+        <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Participant</th>
+              <th style={cellStyle}>Outcome</th>
+              <th style={cellStyle}>Penalty</th>
+              <th style={cellStyle}>Reward</th>
+              <th style={cellStyle}>Receives</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.payouts.map((p) => (
+              <tr key={p.address}>
+                <td style={cellStyle} title={p.address}>{shortAddress(p.address)}</td>
+                <td style={cellStyle}>
+                  {OUTCOME_LABELS[p.outcome]}
+                  {p.outcome === "late" ? ` (${p.minutesLate} min)` : ""}
+                </td>
+                <td style={cellStyle}>{p.penalty.isZero() ? "–" : formatEth(p.penalty)}</td>
+                <td style={cellStyle}>{p.reward.isZero() ? "–" : formatEth(p.reward)}</td>
+                <td style={cellStyle}>
+                  <strong>{formatEth(p.after)}</strong>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {result.branch === "penalty" && result.undistributed.gt(0) && (
+        <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+          {formatEth(result.undistributed)} of penalties stays locked in the contract
+          {result.punctualCount === 0 ? " (nobody was punctual)." : " (rounding)."}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PayoutTable;
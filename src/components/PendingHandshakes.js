@@ -0,0 +1,56 @@
+// src/components/PendingHandshakes.js
+import React, { useEffect, useState } from "react";
+import { shortAddress } from "../contracts";
+import AnimatedQr from "./AnimatedQr";
+
+function formatCountdown(seconds) {
+  if (seconds <= 0) return "expired";
+  const m = Math.floor(seconds / 60);
+  const s = String(seconds % 60).padStart(2, "0");
+  return `${m}:${s} left`;
+}
+
+// In-flight mutual requests (lib/handshakes) with expiry countdowns; any of them can be answered.
+// `clock` returns unix seconds on the same clock the store expires them by (nowSeconds()).
+function PendingHandshakes({ handshakes, onCancel, clock }) {
+  const [now, setNow] = useState(clock);
+  const [shownId, setShownId] = useState(null);
+
+  useEffect(() => {
+    if (handshakes.length === 0) return undefined;
+    setNow(clock());
+    const timer = setInterval(() => setNow(clock()), 1000);
+    return () => clearInterval(timer);
+  }, [handshakes, clock]);
+
+  if (handshakes.length === 0) return null;
+
+  // the newest request is shown unless another one was picked
+  const shown = handshakes.find((h) => h.id === shownId) ?? handshakes[0];
+
+  return (
+    <div style={{ fontSize: 13, color: "#333" }}>
+      <div style={{ marginBottom: 4 }}>Waiting for signatures:</div>
+      {handshakes.map((h) => (
+        <div key={h.id} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 4 }}>
+          <span title={h.b} style={{ fontWeight: h.id === shown.id ? "bold" : "normal" }}>
+            {shortAddress(h.b)}
+          </span>
+          <span style={{ color: h.expiresAt - now < 60 ? "#a00" : "#888" }}>{formatCountdown(h.expiresAt - now)}</span>
+          <button className="btn" onClick={() => setShownId(h.id)} disabled={h.id === shown.id}>
+            Show QR
+          </button>
+          <button className="btn" onClick={() => onCancel(h.id)}>
+            Cancel
+          </button>
+        </div>
+      ))}
+      <div style={{ marginTop: 8 }}>
+        <div style={{ fontSize: 12, color: "#666" }}>Mutual request QR for {shortAddress(shown.b)} (show to them):</div>
+        <AnimatedQr content={shown.requestQr} alt="Mutual request QR" />
+      </div>
+    </div>
+  );
+}
+
+export default PendingHandshakes;
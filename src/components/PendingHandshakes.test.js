@@ -0,0 +1,25 @@
+import { act, render, screen } from "@testing-library/react";
+import PendingHandshakes from "./PendingHandshakes";
+
+// jsdom has no canvas; the countdown is what is under test
+jest.mock("qrcode", () => ({ toDataURL: async () => "data:image/png;base64," }));
+
+const B = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+const NOW = 1_700_000_000;
+const handshakes = [{ id: 1, b: B, expiresAt: NOW + 300, requestQr: "https://meetup.example/q#AQ" }];
+
+test("counts down on the app clock, not the wall clock", () => {
+  jest.useFakeTimers();
+  try {
+    // a demo chain moved two minutes past the handshake's creation, far from Date.now()
+    let now = NOW + 120;
+    render(<PendingHandshakes handshakes={handshakes} onCancel={() => {}} clock={() => now} />);
+    expect(screen.getByText("3:00 left")).toBeInTheDocument();
+
+    now = NOW + 301;
+    act(() => jest.advanceTimersByTime(1000));
+    expect(screen.getByText("expired")).toBeInTheDocument();
+  } finally {
+    jest.useRealTimers();
+  }
+});
@@ -0,0 +1,131 @@
+// src/components/Timeline.js
+import React, { useEffect, useState } from "react";
+import { formatEth, formatTime, sameAddress, shortAddress } from "../contracts";
+import { fetchTimeline, groupByParticipant, mergeEntry, subscribeTimeline } from "../lib/timeline";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+
+function formatLate(seconds) {
+  if (!seconds) return "on time";
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes} min late` : `${seconds}s late`;
+}
+
+function describe(entry, account) {
+  const who = (addr) => (sameAddress(addr, account) ? "You" : shortAddress(addr));
+  switch (entry.name) {
+    case "Deposited":
+      return `${who(entry.participant)} deposited ${formatEth(entry.amount)}`;
+    case "Arrived":
+      return `${who(entry.participant)} arrived (${formatLate(entry.lateSeconds)})`;
+    case "ArrivalProofSubmitted":
+      return `${who(entry.participant)} submitted an arrival proof`;
+    case "ReportedOnlyArrived":
+      return `${who(entry.participant)} voted that ${who(entry.counterpart)} was the only arriver`;
+    case "ContractCancelled":
+      return "Meetup cancelled before any arrivals";
+    case "Finalized":
+      return "Meetup finalized";
+    case "Withdrawn":
+      return `${who(entry.participant)} withdrew ${formatEth(entry.amount)}`;
+    default:
+      return entry.name;
+  }
+}
+
+function EntryRow({ entry, account, gatewayUrl }) {
+  return (
+    <li style={{ marginBottom: 6 }}>
+      <div style={{ fontSize: 12, color: "#888" }}>{entry.time ? formatTime(entry.time) : `block ${entry.blockNumber}`}</div>
+      <div>
+        {describe(entry, account)}
+        {entry.cid && (
+          <>
+            {" "}
+            <a href={gatewayUrl(entry.cid)} target="_blank" rel="noreferrer" title={entry.cid}>
+              proof
+            </a>
+          </>
+        )}
+      </div>
+    </li>
+  );
+}
+
+// Chronological / per-participant history from Deposited, Arrived, ... logs, updated live
+function Timeline({ contract, meetingTime, participants, account, onNewEntry, gatewayUrl }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [view, setView] = useState("chronological");
+
+  useEffect(() => {
+    if (!contract || !meetingTime) return undefined;
+    let cancelled = false;
+    setEntries([]);
+    setError("");
+    setLoading(true);
+
+    fetchTimeline(contract, meetingTime)
+      .then((list) => !cancelled && setEntries((prev) => prev.reduce(mergeEntry, list)))
+      .catch((e) => !cancelled && setError(e?.message ?? String(e)))
+      .finally(() => !cancelled && setLoading(false));
+
+    const unsubscribe = subscribeTimeline(contract, meetingTime, (entry) => {
+      if (cancelled) return;
+      setEntries((prev) => mergeEntry(prev, entry));
+      onNewEntry?.(entry);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [contract, meetingTime, onNewEntry]);
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Timeline</h3>
+      <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+        <button className="btn" onClick={() => setView("chronological")} disabled={view === "chronological"}>
+          Chronological
+        </button>
+        <button className="btn" onClick={() => setView("participants")} disabled={view === "participants"}>
+          By participant
+        </button>
+      </div>
+
+      {loading && <div style={{ fontSize: 13 }}>Loading contract history…</div>}
+      {error && <div style={{ fontSize: 13, color: "#a00" }}>Could not load history: {error}</div>}
+      {!loading && !error && entries.length === 0 && <div style={{ fontSize: 13 }}>Nothing has happened yet.</div>}
+
+      {view === "chronological" ? (
+        <ul style={{ listStyle: "none", padding: 0, margin: 0, fontSize: 13 }}>
+          {entries.map((e) => (
+            <EntryRow key={e.key} entry={e} account={account} gatewayUrl={gatewayUrl} />
+          ))}
+        </ul>
+      ) : (
+        groupByParticipant(entries, participants || []).map((group) => (
+          <div key={group.address} style={{ marginBottom: 10 }}>
+            <div style={{ fontWeight: "bold", fontSize: 13 }} title={group.address}>
+              {shortAddress(group.address)}
+              {sameAddress(group.address, account) ? " (you)" : ""}
+            </div>
+            {group.entries.length === 0 ? (
+              <div style={{ fontSize: 12, color: "#888" }}>No activity.</div>
+            ) : (
+              <ul style={{ listStyle: "none", paddingLeft: 10, margin: 0, fontSize: 13 }}>
+                {group.entries.map((e) => (
+                  <EntryRow key={e.key} entry={e} account={account} gatewayUrl={gatewayUrl} />
+                ))}
+              </ul>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default Timeline;
@@ -0,0 +1,53 @@
+// src/components/TransactionLog.js
+import React from "react";
+import { TX_STATUS } from "../contracts";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+
+const STATUS_TEXT = {
+  [TX_STATUS.simulating]: { text: "checking…", color: "#888" },
+  [TX_STATUS.awaitingSignature]: { text: "waiting for wallet", color: "#c80" },
+  [TX_STATUS.pending]: { text: "pending", color: "#c80" },
+  [TX_STATUS.mined]: { text: "mined", color: "#2a7" },
+  [TX_STATUS.replaced]: { text: "replaced", color: "#c33" },
+  [TX_STATUS.cancelled]: { text: "cancelled", color: "#c33" },
+  [TX_STATUS.failed]: { text: "failed", color: "#c33" },
+};
+
+function shortHash(hash) {
+  return hash ? `${hash.slice(0, 10)}…` : "";
+}
+
+// Recent contract writes and where each one is in its lifecycle (lib/txManager)
+function TransactionLog({ entries }) {
+  if (entries.length === 0) return null;
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Transactions</h3>
+      <ul style={{ listStyle: "none", padding: 0, margin: 0, fontSize: 13 }}>
+        {entries.map((t) => {
+          const status = STATUS_TEXT[t.status] ?? STATUS_TEXT[TX_STATUS.failed];
+          return (
+            <li key={t.id} style={{ marginBottom: 6 }}>
+              <span style={{ fontWeight: "bold" }}>{t.label}</span>{" "}
+              <span style={{ color: status.color }}>{status.text}</span>
+              {t.hash && (
+                <span style={{ color: "#888", marginLeft: 6 }} title={t.hash}>
+                  {shortHash(t.hash)}
+                </span>
+              )}
+              {t.replacementHash && (
+                <span style={{ color: "#888", marginLeft: 6 }} title={t.replacementHash}>
+                  → {shortHash(t.replacementHash)}
+                </span>
+              )}
+              {t.message && <div style={{ color: "#a00" }}>{t.message}</div>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default TransactionLog;
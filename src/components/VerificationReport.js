@@ -0,0 +1,31 @@
+// src/components/VerificationReport.js
+import React from "react";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+
+// Pass/fail list produced by lib/verifyAttestation before any transaction is sent
+function VerificationReport({ report, onDismiss }) {
+  return (
+    <div style={{ ...cardStyle, borderLeft: `6px solid ${report.ok ? "#2a7" : "#c33"}` }}>
+      <h4 style={{ margin: "0 0 8px 0", wordBreak: "break-all" }}>
+        {report.ok ? "Verified" : "Verification failed"}: {report.title}
+      </h4>
+      <ul style={{ listStyle: "none", padding: 0, margin: 0, fontSize: 13 }}>
+        {report.checks.map((c) => (
+          <li key={c.label} style={{ marginBottom: 4 }}>
+            <span style={{ color: c.ok ? "#2a7" : "#c33", fontWeight: "bold", marginRight: 6 }}>{c.ok ? "✓" : "✗"}</span>
+            {c.label}
+            {c.detail && <span style={{ color: "#888", marginLeft: 6, wordBreak: "break-all" }}>{c.detail}</span>}
+          </li>
+        ))}
+      </ul>
+      {onDismiss && (
+        <button className="btn" onClick={onDismiss} style={{ marginTop: 8 }}>
+          Dismiss
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default VerificationReport;
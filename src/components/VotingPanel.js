@@ -0,0 +1,156 @@
+// src/components/VotingPanel.js
+import React, { useState } from "react";
+import {
+  STATE,
+  formatEth,
+  formatTime,
+  previewVotingDistribution,
+  reportingWindow,
+  sameAddress,
+  shortAddress,
+  tallyVotes,
+  voteBlocker,
+  votingBranchApplies,
+} from "../contracts";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333" };
+const cellStyle = { padding: "4px 6px", borderBottom: "1px solid #eee", textAlign: "left" };
+
+const OUTCOME_LABELS = {
+  winner: "Reported arriver",
+  honest: "Honest absentee",
+  punished: "Lost deposit",
+  "no-deposit": "No deposit",
+};
+
+// Reporting screen for the voting-resolution path (reportOnlyArrived)
+function VotingPanel({ snapshot, busy, onVote }) {
+  const [candidate, setCandidate] = useState("");
+
+  if (!snapshot) return null;
+
+  const reporting = reportingWindow(snapshot);
+  const blocker = voteBlocker(snapshot);
+  const tally = tallyVotes(snapshot);
+  const preview = previewVotingDistribution(snapshot);
+  const n = snapshot.participants.length;
+
+  const windowText = {
+    "not-open": `Opens ${formatTime(reporting.opensAt)}`,
+    open: `Open until ${formatTime(reporting.closesAt)}`,
+    closed: `Closed since ${formatTime(reporting.closesAt)}`,
+  }[reporting.phase];
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ margin: "0 0 8px 0" }}>Report who arrived</h3>
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        Use this only if nobody could record an on-chain arrival: vote for the single participant who showed up.
+      </div>
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        Reporting window: <strong>{windowText}</strong>
+      </div>
+
+      {snapshot.me?.vote ? (
+        <div style={{ fontSize: 13, marginBottom: 8 }}>
+          You reported <strong title={snapshot.me.vote}>{shortAddress(snapshot.me.vote)}</strong>.
+        </div>
+      ) : (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+          <select
+            value={candidate}
+            onChange={(e) => setCandidate(e.target.value)}
+            style={{ padding: 6, flex: "1 1 240px", borderRadius: 4, border: "1px solid #ccc" }}
+          >
+            <option value="">Select the participant who arrived…</option>
+            {snapshot.participants.map((p) => (
+              <option key={p.address} value={p.address}>
+                {p.address}
+                {sameAddress(p.address, snapshot.account) ? " (you)" : ""}
+              </option>
+            ))}
+          </select>
+          <button className="btn" onClick={() => onVote(candidate)} disabled={busy || !!blocker || !candidate}>
+            Cast vote
+          </button>
+        </div>
+      )}
+      {blocker && !snapshot.me?.vote && <div style={{ fontSize: 12, color: "#a00", marginBottom: 8 }}>{blocker}</div>}
+
+      <div style={{ fontSize: 13, marginBottom: 4 }}>
+        Votes: <strong>{tally.totalVotes}</strong> of {n} · quorum ceil(2N/3) = <strong>{tally.quorum}</strong>
+        {tally.winning && (
+          <>
+            {" "}· leading <strong title={tally.winning}>{shortAddress(tally.winning)}</strong> ({tally.winningCount})
+          </>
+        )}
+      </div>
+      <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+        <tbody>
+          {snapshot.participants.map((p) => (
+            <tr key={p.address}>
+              <td style={cellStyle} title={p.address}>{shortAddress(p.address)}</td>
+              <td style={{ ...cellStyle, width: "55%" }}>
+                <div style={{ background: "#eee", borderRadius: 3, height: 10 }}>
+                  <div
+                    style={{
+                      width: `${n ? (100 * p.voteCount) / n : 0}%`,
+                      height: 10,
+                      borderRadius: 3,
+                      background: p.voteCount >= tally.quorum ? "#2a7" : "#69c",
+                    }}
+                  />
+                </div>
+              </td>
+              <td style={cellStyle}>{p.voteCount}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h4 style={{ margin: "12px 0 4px 0" }}>If finalize() used the voting result</h4>
+      {snapshot.state === STATE.Finalized ? (
+        <div style={{ fontSize: 13 }}>Already finalized — see the escrow balances.</div>
+      ) : !tally.quorumReached ? (
+        <div style={{ fontSize: 13 }}>
+          Quorum not reached — finalize() falls back to the late-penalty distribution.
+        </div>
+      ) : (
+        <>
+          {!votingBranchApplies(snapshot, reporting.closesAt + 1) && (
+            <div style={{ fontSize: 12, color: "#a60", marginBottom: 4 }}>
+              Arrivals are recorded on-chain, so finalize() will ignore the votes.
+            </div>
+          )}
+          {preview.stuck && (
+            <div style={{ fontSize: 12, color: "#a00", marginBottom: 4 }}>
+              A participant without a deposit makes the voting branch of finalize() run out of gas.
+            </div>
+          )}
+          <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Participant</th>
+                <th style={cellStyle}>Outcome</th>
+                <th style={cellStyle}>Now</th>
+                <th style={cellStyle}>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.payouts.map((p) => (
+                <tr key={p.address}>
+                  <td style={cellStyle} title={p.address}>{shortAddress(p.address)}</td>
+                  <td style={cellStyle}>{OUTCOME_LABELS[p.outcome]}</td>
+                  <td style={cellStyle}>{formatEth(p.before)}</td>
+                  <td style={cellStyle}>{formatEth(p.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default VotingPanel;
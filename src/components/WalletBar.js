@@ -0,0 +1,49 @@
+// src/components/WalletBar.js
+import React from "react";
+import { shortAddress } from "../contracts";
+import { PROVIDER_MODE } from "../lib/providers";
+import { chainName, isWrongChain } from "../lib/wallet";
+
+const cardStyle = { width: 560, maxWidth: "100%", background: "#fff", padding: 12, borderRadius: 8, marginBottom: 12, color: "#333", textAlign: "left" };
+
+// Connected account and network, with a guard when the active meetup lives on another chain.
+// Only a browser wallet (mode "injected") can connect or switch networks from here.
+function WalletBar({ mode, wallet, expectedChainId, onConnect, onSwitch, busy }) {
+  const injected = mode === PROVIDER_MODE.injected;
+  const demo = mode === PROVIDER_MODE.demo;
+  const wrongChain = isWrongChain(wallet.chainId, expectedChainId);
+  return (
+    <div style={{ ...cardStyle, fontSize: 13 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        {wallet.account ? (
+          <span title={wallet.account}>
+            {injected ? "Connected as" : demo ? "Demo participant" : "Burner wallet"} <strong>{shortAddress(wallet.account)}</strong>
+          </span>
+        ) : injected ? (
+          <button className="btn" onClick={onConnect} disabled={busy}>
+            Connect wallet
+          </button>
+        ) : (
+          <span>Read-only — browsing meetups without a wallet</span>
+        )}
+        <span style={{ color: "#666" }}>on {chainName(wallet.chainId)}</span>
+      </div>
+      {wrongChain && (
+        <div style={{ marginTop: 8, padding: 8, background: "#fff4e5", borderRadius: 4 }}>
+          This meetup lives on <strong>{chainName(expectedChainId)}</strong>, but{" "}
+          {injected ? "your wallet is" : "the RPC endpoint is"} on {chainName(wallet.chainId)}. Reads and transactions
+          will fail{injected ? " until you switch" : " (set REACT_APP_RPC_URL to that network)"}.
+          {injected && (
+            <div style={{ marginTop: 6 }}>
+              <button className="btn" onClick={onSwitch} disabled={busy}>
+                Switch to {chainName(expectedChainId)}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WalletBar;
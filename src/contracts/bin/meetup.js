@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Headless meetup CLI — see CLI_USAGE in src/cli.js, or run `meetup help`.
+import { CLI_USAGE, createCliContext, parseCliArgs, runCommand, toJson } from "../src/cli.js";
+
+const parsed = parseCliArgs(process.argv.slice(2));
+
+if (parsed.command === "help" || parsed.options.help) {
+  console.log(CLI_USAGE);
+} else {
+  try {
+    const result = await runCommand(parsed, createCliContext(parsed.options, process.env));
+    console.log(toJson(result));
+    if (result.ok === false) process.exitCode = 2;
+  } catch (e) {
+    console.error(toJson({ error: e?.message ?? String(e), reason: e?.reason ?? null, status: e?.status ?? null }));
+    process.exitCode = 1;
+  }
+}
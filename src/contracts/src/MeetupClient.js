@@ -0,0 +1,234 @@
+// One EscrowContract deployment behind a UI-free API: typed reads, EIP-712 attestations and
+// writes. Everything it talks to is injected, so it runs the same in the app, in Node and in tests:
+//   provider – reads (ethers Provider)
+//   signer   – signatures and transactions (optional for read-only use)
+//   ipfs     – { addJson(value, { name }), fetchJson(cid) } for attestation and metadata documents (optional)
+//   sendTx   – (contract, method, args, options) → receipt; defaults to sendContractTx
+import { ethers } from "ethers";
+import abis from "./abis.js";
+import bytecodes from "./bytecodes.js";
+import {
+  attestationDigest,
+  attestationValue,
+  mutualValue,
+  readDomain,
+  signAttestation,
+  signMutual,
+} from "./eip712.js";
+import { sameAddress } from "./format.js";
+import { readMeetupSnapshot, readMeetupSummary, readParticipants } from "./meetup.js";
+import { buildMeetupMetadata, validateMeetupMetadata } from "./metadata.js";
+import { simulateFinalize } from "./payout.js";
+import { sendContractTx } from "./txManager.js";
+import { recoverLikeContract, verifyArrivalAttestation, verifyMutualAttestation } from "./verifyAttestation.js";
+
+// confirmMutualArrival() argument order for whichever side of the attestation is calling
+export function mutualCallArgs(attestation, caller) {
+  const { a, b, timestamp, sigAForB, sigBForA } = attestation;
+  const callerIsA = sameAddress(caller, a);
+  return {
+    other: callerIsA ? b : a,
+    timestamp: Number(timestamp),
+    sigOtherForCaller: callerIsA ? sigBForA : sigAForB,
+    sigCallerForOther: callerIsA ? sigAForB : sigBForA,
+  };
+}
+
+export class MeetupClient {
+  constructor({ address, provider, signer = null, ipfs = null, abi = abis.meetup, sendTx = sendContractTx }) {
+    this.address = ethers.utils.getAddress(address);
+    this.provider = provider ?? signer?.provider;
+    this.signer = signer;
+    this.ipfs = ipfs;
+    this.abi = abi;
+    this.sendTx = sendTx;
+    this.contract = new ethers.Contract(this.address, abi, this.provider);
+  }
+
+  // Deploy a new EscrowContract; args as built by validateMeetupForm(). Resolves once mined.
+  static async deploy({ signer, args, abi = abis.meetup, bytecode = bytecodes.meetup.bytecode, ...options }) {
+    const factory = new ethers.ContractFactory(abi, bytecode, signer);
+    const contract = await factory.deploy(...args);
+    await contract.deployed();
+    return new MeetupClient({ address: contract.address, signer, abi, ...options });
+  }
+
+  // same deployment with some dependencies swapped
+  with(changes) {
+    const { address, provider, signer, ipfs, abi, sendTx } = this;
+    return new MeetupClient({ address, provider, signer, ipfs, abi, sendTx, ...changes });
+  }
+
+  requireSigner() {
+    if (!this.signer) throw new Error("This action needs a signer (connect a wallet)");
+    return this.signer;
+  }
+
+  requireIpfs() {
+    if (!this.ipfs) throw new Error("This action needs an IPFS service");
+    return this.ipfs;
+  }
+
+  // signer address, or null without a signer
+  account() {
+    return this.signer ? this.signer.getAddress() : Promise.resolve(null);
+  }
+
+  // --- reads ---
+
+  domain() {
+    return readDomain(this.contract);
+  }
+
+  participants() {
+    return readParticipants(this.contract);
+  }
+
+  isParticipant(address) {
+    return this.contract.isParticipant(address);
+  }
+
+  async state() {
+    return Number(await this.contract.contractState());
+  }
+
+  async meetingTime() {
+    return Number((await this.contract.meetingTime()).toString());
+  }
+
+  depositAmount() {
+    return this.contract.depositAmount();
+  }
+
+  balanceOf(address) {
+    return this.contract.balances(address);
+  }
+
+  async arrivalTime(address) {
+    return Number((await this.contract.arrivalTimes(address)).toString());
+  }
+
+  // CID of the attestation recorded for `address`, or null
+  async arrivalProof(address) {
+    return (await this.contract.arrivalProofIPFS(address)) || null;
+  }
+
+  // { vote (address | null), count } for one participant
+  async votesOf(address) {
+    const [vote, count] = await Promise.all([this.contract.onlyArrivedVote(address), this.contract.voteCounts(address)]);
+    return { vote: vote === ethers.constants.AddressZero ? null : vote, count: Number(count.toString()) };
+  }
+
+  // readMeetupSnapshot() for `account` (defaults to the signer)
+  async snapshot(account) {
+    return readMeetupSnapshot(this.contract, account === undefined ? await this.account() : account);
+  }
+
+  async summary(account) {
+    return readMeetupSummary(this.contract, account === undefined ? await this.account() : account);
+  }
+
+  // what finalize() would pay out at `now` (default: as soon as it can succeed)
+  async payoutPreview(now) {
+    return simulateFinalize(await this.snapshot(null), now);
+  }
+
+  // on-chain inputs the offline attestation checks need
+  async verificationContext() {
+    const [participants, meetingTime, domain] = await Promise.all([this.participants(), this.meetingTime(), this.domain()]);
+    return { participants, meetingTime, domain };
+  }
+
+  // --- attestations ---
+
+  // attester side of a three-party attestation: sign that `arriver` is here
+  async signArrival({ arriver, attester1, attester2, timestamp }) {
+    return signAttestation(this.requireSigner(), await this.domain(), attestationValue(arriver, attester1, attester2, timestamp));
+  }
+
+  // one half of a mutual attestation: `a` arrived, `b` (the signer) confirms
+  async signMutual({ a, b, timestamp }) {
+    return signMutual(this.requireSigner(), await this.domain(), mutualValue(a, b, timestamp));
+  }
+
+  // Which of the named attesters signed `signature`, or null
+  async arrivalSigner({ arriver, attester1, attester2, timestamp }, signature) {
+    const digest = attestationDigest(await this.domain(), attestationValue(arriver, attester1, attester2, timestamp));
+    const recovered = recoverLikeContract(digest, signature, [attester1, attester2]);
+    return [attester1, attester2].find((a) => sameAddress(a, recovered)) ?? null;
+  }
+
+  async verifyArrival(attestation, arriver) {
+    const context = await this.verificationContext();
+    return verifyArrivalAttestation({ ...context, attestation, arriver: arriver ?? (await this.account()) });
+  }
+
+  async verifyMutual(attestation, caller) {
+    const context = await this.verificationContext();
+    return verifyMutualAttestation({ ...context, attestation, caller: caller ?? (await this.account()) });
+  }
+
+  fetchAttestation(cid) {
+    return this.requireIpfs().fetchJson(cid);
+  }
+
+  // kind: "arrival" | "mutual"; resolves with the CID
+  uploadAttestation(attestation, kind = "arrival") {
+    return this.requireIpfs().addJson(attestation, { name: `${kind}-attestation` });
+  }
+
+  // the meetup metadata document at `cid`; rejects documents that are malformed or describe another contract
+  async fetchMetadata(cid) {
+    const doc = await this.requireIpfs().fetchJson(cid);
+    const problems = validateMeetupMetadata(doc, { contract: this.address });
+    if (problems.length) throw new Error(`Not metadata for this meetup: ${problems.join(", ")}`);
+    return doc;
+  }
+
+  // details as from validateMeetupDetails(); resolves with { cid, metadata }
+  async uploadMetadata(details) {
+    const { chainId } = await this.domain();
+    const metadata = buildMeetupMetadata({ ...details, contract: this.address, chainId });
+    const cid = await this.requireIpfs().addJson(metadata, { name: "meetup-metadata" });
+    return { cid, metadata };
+  }
+
+  // --- writes (options: { overrides, onUpdate } as in sendContractTx) ---
+
+  send(method, args = [], options = {}) {
+    return this.sendTx(this.contract.connect(this.requireSigner()), method, args, options);
+  }
+
+  // deposit() requires msg.value == depositAmount exactly
+  async deposit(options = {}) {
+    const value = await this.depositAmount();
+    return this.send("deposit", [], { ...options, overrides: { ...options.overrides, value } });
+  }
+
+  finalize(options) {
+    return this.send("finalize", [], options);
+  }
+
+  withdraw(options) {
+    return this.send("withdraw", [], options);
+  }
+
+  reportOnlyArrived(punctual, options) {
+    return this.send("reportOnlyArrived", [punctual], options);
+  }
+
+  cancelBeforeArrivals(options) {
+    return this.send("cancelBeforeArrivals", [], options);
+  }
+
+  confirmArrival(attestation, cid, options) {
+    const { attester1, attester2, timestamp, signature1, signature2 } = attestation;
+    return this.send("confirmArrival", [attester1, attester2, Number(timestamp), signature1, signature2, cid], options);
+  }
+
+  // sent by either side of the mutual attestation
+  async confirmMutualArrival(attestation, cid, options) {
+    const { other, timestamp, sigOtherForCaller, sigCallerForOther } = mutualCallArgs(attestation, await this.account());
+    return this.send("confirmMutualArrival", [other, timestamp, sigOtherForCaller, sigCallerForOther, cid], options);
+  }
+}
@@ -0,0 +1,95 @@
+import { ethers } from "ethers";
+import { MeetupClient } from "./MeetupClient.js";
+
+// same private keys as the Foundry tests (0x1, 0x2, 0x3)
+const pk = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 32);
+const arriver = new ethers.Wallet(pk(1));
+const attester1 = new ethers.Wallet(pk(2));
+const attester2 = new ethers.Wallet(pk(3));
+const outsider = new ethers.Wallet(pk(4));
+
+const ADDRESS = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+const TS = 1_700_000_100;
+
+// the reads MeetupClient needs, without a chain behind them
+const fakeContract = {
+  address: ADDRESS,
+  eip712Domain: async () => ({
+    name: "MeetupAttestation",
+    version: "1",
+    chainId: ethers.BigNumber.from(31337),
+    verifyingContract: ADDRESS,
+  }),
+  depositAmount: async () => ethers.BigNumber.from(100),
+  connect() {
+    return this;
+  },
+};
+
+function clientFor(signer) {
+  const sendTx = jest.fn(async (contract, method, args, options) => ({ method, args, options }));
+  const client = new MeetupClient({ address: ADDRESS, signer, sendTx });
+  client.contract = fakeContract;
+  return { client, sendTx };
+}
+
+test("arrival signatures round-trip and go on-chain in contract order", async () => {
+  const request = { arriver: arriver.address, attester1: attester1.address, attester2: attester2.address, timestamp: TS };
+  const signature1 = await clientFor(attester1).client.signArrival(request);
+  const signature2 = await clientFor(attester2).client.signArrival(request);
+
+  const { client, sendTx } = clientFor(arriver);
+  expect(await client.arrivalSigner(request, signature1)).toBe(attester1.address);
+  expect(await client.arrivalSigner(request, signature2)).toBe(attester2.address);
+  const foreign = await clientFor(outsider).client.signArrival(request);
+  expect(await client.arrivalSigner(request, foreign)).toBeNull();
+
+  await client.confirmArrival({ ...request, timestamp: String(TS), signature1, signature2 }, "bafy-cid");
+  expect(sendTx.mock.calls[0][1]).toBe("confirmArrival");
+  expect(sendTx.mock.calls[0][2]).toEqual([attester1.address, attester2.address, TS, signature1, signature2, "bafy-cid"]);
+});
+
+test("mutual confirmations are sent from the caller's side and deposits carry the exact amount", async () => {
+  const a = arriver.address;
+  const b = attester1.address;
+  const sigBForA = await clientFor(attester1).client.signMutual({ a, b, timestamp: TS });
+  const sigAForB = await clientFor(arriver).client.signMutual({ a: b, b: a, timestamp: TS });
+
+  const { client, sendTx } = clientFor(attester1);
+  await client.confirmMutualArrival({ a, b, timestamp: TS, sigAForB, sigBForA }, "bafy-mutual");
+  expect(sendTx.mock.calls[0][2]).toEqual([a, TS, sigAForB, sigBForA, "bafy-mutual"]);
+
+  await client.deposit({ overrides: { gasLimit: 90_000 } });
+  expect(sendTx.mock.calls[1][3].overrides).toEqual({ gasLimit: 90_000, value: ethers.BigNumber.from(100) });
+});
+
+test("read-only clients refuse to sign or send", async () => {
+  const { client, sendTx } = clientFor(null);
+  expect(await client.account()).toBeNull();
+  await expect(client.signMutual({ a: arriver.address, b: attester1.address, timestamp: TS })).rejects.toThrow(/needs a signer/);
+  expect(() => client.finalize()).toThrow(/needs a signer/);
+  expect(() => client.fetchAttestation("bafy")).toThrow(/needs an IPFS service/);
+  expect(sendTx).not.toHaveBeenCalled();
+});
+
+test("metadata documents are published for this contract and refused for others", async () => {
+  const stored = {};
+  const ipfs = {
+    addJson: jest.fn(async (value) => {
+      stored["bafy-meta"] = value;
+      return "bafy-meta";
+    }),
+    fetchJson: async (cid) => stored[cid],
+  };
+  const client = clientFor(arriver).client.with({ ipfs });
+  client.contract = fakeContract;
+
+  const { cid, metadata } = await client.uploadMetadata({ title: "Coffee", description: "", venue: null, organizer: null });
+  expect(cid).toBe("bafy-meta");
+  expect(metadata).toMatchObject({ type: "meetup-metadata", contract: ADDRESS, chainId: 31337, title: "Coffee" });
+  expect(ipfs.addJson).toHaveBeenCalledWith(metadata, { name: "meetup-metadata" });
+  expect(await client.fetchMetadata("bafy-meta")).toEqual(metadata);
+
+  stored["bafy-other"] = { ...metadata, contract: outsider.address };
+  await expect(client.fetchMetadata("bafy-other")).rejects.toThrow(/Not metadata for this meetup: describes meetup/);
+});
@@ -1,4 +1,4 @@
-import meetup from "./abis/MeetupContract.json";
+import meetup from "./abis/MeetupContract.json" with { type: "json" };
 
 const abis = {
   meetup,
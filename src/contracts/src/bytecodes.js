@@ -0,0 +1,7 @@
+import meetup from "./bytecodes/MeetupContract.json" with { type: "json" };
+
+const bytecodes = {
+  meetup,
+};
+
+export default bytecodes;
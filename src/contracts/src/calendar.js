@@ -0,0 +1,117 @@
+// iCalendar (RFC 5545) export of a meetup's three deadlines, each with a reminder:
+// the meeting itself, the end of the reporting window and the earliest finalize().
+import { ethers } from "ethers";
+import { shortAddress } from "./format.js";
+import { finalizeOpensAt } from "./meetup.js";
+
+// minutes before each event that its reminder fires
+export const ICS_REMINDERS = { meeting: 30, reportingCloses: 15, finalizeOpens: 0 };
+
+const MEETING_MINUTES = 60;
+
+function icsTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// content lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const out = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = ethers.utils.toUtf8Bytes(char).length;
+    if (octets + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+function vevent({ uid, stamp, start, minutes, summary, description, location, geo, url, reminder }) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${icsTime(stamp)}`,
+    `DTSTART:${icsTime(start)}`,
+    `DTEND:${icsTime(start + minutes * 60)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    ...(location ? [`LOCATION:${icsText(location)}`] : []),
+    ...(geo ? [`GEO:${geo.lat};${geo.lon}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `TRIGGER:-PT${reminder.minutes}M`,
+    `DESCRIPTION:${icsText(reminder.text)}`,
+    "END:VALARM",
+    "END:VEVENT",
+  ];
+}
+
+// snapshot: readMeetupSnapshot(); metadata: a meetup metadata document or null;
+// url: link back to the meetup in the app. Returns the .ics file content.
+export function buildMeetupIcs({ snapshot, chainId, metadata = null, url = null, now = Math.floor(Date.now() / 1000) }) {
+  const { address, meetingTime, reportingWindowSeconds } = snapshot;
+  const title = metadata?.title || `Meetup ${shortAddress(address)}`;
+  const details = [
+    metadata?.description,
+    metadata?.organizer && `Organizer: ${[metadata.organizer.name, metadata.organizer.address].filter(Boolean).join(" ")}`,
+    `Escrow contract ${address} on chain ${chainId}`,
+    url,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const venue = metadata?.venue;
+  const uid = (kind) => `${kind}-${chainId}-${address.toLowerCase()}@meetup`;
+  const common = { stamp: now, url, minutes: 0 };
+
+  const events = [
+    vevent({
+      ...common,
+      uid: uid("meeting"),
+      start: meetingTime,
+      minutes: MEETING_MINUTES,
+      summary: title,
+      description: `${details}\n\nBe on time: the deposit shrinks for every minute late.`,
+      location: venue?.name,
+      geo: venue && venue.lat !== null ? venue : null,
+      reminder: { minutes: ICS_REMINDERS.meeting, text: `${title} starts soon — bring the phone you confirm arrivals with` },
+    }),
+    vevent({
+      ...common,
+      uid: uid("reporting"),
+      start: meetingTime + reportingWindowSeconds,
+      summary: `${title}: reporting window closes`,
+      description: `Last chance to vote for who arrived (reportOnlyArrived).\n\n${details}`,
+      reminder: { minutes: ICS_REMINDERS.reportingCloses, text: `Vote on ${title} before the reporting window closes` },
+    }),
+    vevent({
+      ...common,
+      uid: uid("finalize"),
+      start: finalizeOpensAt(snapshot),
+      summary: `${title}: finalize opens`,
+      description: `Anyone can now call finalize(); then withdraw your payout.\n\n${details}`,
+      reminder: { minutes: ICS_REMINDERS.finalizeOpens, text: `${title} can be finalized — then withdraw` },
+    }),
+  ];
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Meetup Escrow//Calendar export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
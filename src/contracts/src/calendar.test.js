@@ -0,0 +1,49 @@
+import { ethers } from "ethers";
+import { buildMeetupIcs } from "./calendar.js";
+
+const CONTRACT = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+const MEETING = Date.UTC(2026, 4, 12, 18, 30) / 1000;
+
+const snapshot = (arrivals = 0) => ({
+  address: CONTRACT,
+  meetingTime: MEETING,
+  reportingWindowSeconds: 1800,
+  participants: [{ arrivalTime: arrivals ? MEETING : 0 }, { arrivalTime: 0 }],
+});
+
+const metadata = {
+  title: "Coffee; then a walk, maybe",
+  description: "Meet at the north entrance.\nBring a jacket.",
+  venue: { name: "Café Kanal", lat: 52.4966, lon: 13.4318 },
+  organizer: { name: "Alice", address: "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf" },
+};
+
+// the .ics content with folded lines joined back together
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+test("exports the meeting, the reporting deadline and the finalize time with reminders", () => {
+  const ics = buildMeetupIcs({ snapshot: snapshot(1), chainId: 31337, metadata, url: "https://meetup.example/m/x", now: MEETING - 86400 });
+  expect(ics.endsWith("\r\n")).toBe(true);
+  expect(ics.split("\r\n").every((line) => ethers.utils.toUtf8Bytes(line).length <= 75)).toBe(true);
+
+  const lines = unfold(ics).split("\r\n");
+  expect(lines.filter((line) => line === "BEGIN:VEVENT")).toHaveLength(3);
+  expect(lines.filter((line) => line.startsWith("DTSTART:"))).toEqual([
+    "DTSTART:20260512T183000Z",
+    "DTSTART:20260512T190000Z",
+    "DTSTART:20260512T193001Z",
+  ]);
+  expect(lines.filter((line) => line.startsWith("TRIGGER:"))).toEqual(["TRIGGER:-PT30M", "TRIGGER:-PT15M", "TRIGGER:-PT0M"]);
+  expect(lines).toContain("SUMMARY:Coffee\\; then a walk\\, maybe");
+  expect(lines).toContain("LOCATION:Café Kanal");
+  expect(lines).toContain("GEO:52.4966;13.4318");
+  expect(lines).toContain(`UID:meeting-31337-${CONTRACT.toLowerCase()}@meetup`);
+  expect(lines.find((line) => line.startsWith("DESCRIPTION:Meet"))).toMatch(/entrance\.\\nBring a jacket\..*Organizer: Alice 0x7E5F/);
+});
+
+test("without metadata or recorded arrivals finalize opens after the reporting window", () => {
+  const lines = unfold(buildMeetupIcs({ snapshot: snapshot(0), chainId: 1, now: MEETING })).split("\r\n");
+  expect(lines.filter((line) => line.startsWith("DTSTART:"))[2]).toBe("DTSTART:20260512T190001Z");
+  expect(lines).toContain("SUMMARY:Meetup 0x3f79…8B6D");
+  expect(lines.some((line) => /^(LOCATION|GEO|URL):/.test(line))).toBe(false);
+});
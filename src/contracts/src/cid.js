@@ -0,0 +1,154 @@
+// Minimal CID parsing and content verification for single-block IPFS files.
+// Enough to check that gateway bytes really hash to the requested CID without
+// pulling the (ESM-only) multiformats stack into the app bundle.
+import { ethers } from "ethers";
+
+export const CODEC_RAW = 0x55;
+export const CODEC_DAG_PB = 0x70;
+const HASH_SHA2_256 = 0x12;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32Decode(str) {
+  const out = [];
+  let bits = 0;
+  let value = 0;
+  for (const ch of str) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error(`Invalid base32 character "${ch}"`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(out);
+}
+
+function base32Encode(bytes) {
+  let out = "";
+  let bits = 0;
+  let value = 0;
+  for (const b of bytes) {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+// unsigned LEB128, as used by multiformats and protobuf
+function readVarint(bytes, offset) {
+  let result = 0;
+  let shift = 0;
+  let pos = offset;
+  for (;;) {
+    if (pos >= bytes.length) throw new Error("Truncated varint");
+    const b = bytes[pos++];
+    result += (b & 0x7f) * 2 ** shift;
+    if ((b & 0x80) === 0) break;
+    shift += 7;
+  }
+  return [result, pos];
+}
+
+// "Qm…" (v0, base58btc multihash) or "b…" / "z…" multibase CIDv1
+export function parseCid(cid) {
+  const str = String(cid || "").trim();
+  let bytes;
+  let version;
+  let codec;
+  let offset = 0;
+
+  if (str.startsWith("Qm") && str.length === 46) {
+    bytes = ethers.utils.base58.decode(str);
+    version = 0;
+    codec = CODEC_DAG_PB;
+  } else {
+    if (str.startsWith("b")) bytes = base32Decode(str.slice(1));
+    else if (str.startsWith("z")) bytes = ethers.utils.base58.decode(str.slice(1));
+    else throw new Error(`Unsupported CID encoding: ${str}`);
+    [version, offset] = readVarint(bytes, 0);
+    if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+    [codec, offset] = readVarint(bytes, offset);
+  }
+
+  let hashCode;
+  let length;
+  [hashCode, offset] = readVarint(bytes, offset);
+  [length, offset] = readVarint(bytes, offset);
+  const digest = bytes.slice(offset, offset + length);
+  if (digest.length !== length) throw new Error("Truncated multihash");
+  return { version, codec, hashCode, digest };
+}
+
+// Iterate protobuf fields: [fieldNumber, wireType, value]
+function* protobufFields(bytes) {
+  let pos = 0;
+  while (pos < bytes.length) {
+    let key;
+    [key, pos] = readVarint(bytes, pos);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    if (wire === 0) {
+      let v;
+      [v, pos] = readVarint(bytes, pos);
+      yield [field, wire, v];
+    } else if (wire === 2) {
+      let len;
+      [len, pos] = readVarint(bytes, pos);
+      yield [field, wire, bytes.slice(pos, pos + len)];
+      pos += len;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wire}`);
+    }
+  }
+}
+
+// dag-pb node → UnixFS file contents (single block only)
+function unixfsFileData(block) {
+  let data = null;
+  for (const [field, , value] of protobufFields(block)) {
+    if (field === 2) throw new Error("Multi-block files cannot be verified here");
+    if (field === 1) data = value;
+  }
+  if (!data) throw new Error("dag-pb node has no UnixFS data");
+
+  let type = null;
+  let content = new Uint8Array(0);
+  for (const [field, , value] of protobufFields(data)) {
+    if (field === 1) type = value;
+    if (field === 2) content = value;
+  }
+  // 0 = Raw, 2 = File
+  if (type !== 0 && type !== 2) throw new Error(`UnixFS node is not a file (type ${type})`);
+  return content;
+}
+
+// Check a raw block against its CID and return the file bytes it encodes.
+// Throws if the block does not hash to the CID.
+export function verifyBlock(cid, block) {
+  const parsed = parseCid(cid);
+  if (parsed.hashCode !== HASH_SHA2_256) {
+    throw new Error(`Unsupported hash function 0x${parsed.hashCode.toString(16)}`);
+  }
+  const actual = ethers.utils.arrayify(ethers.utils.sha256(block));
+  if (ethers.utils.hexlify(actual) !== ethers.utils.hexlify(parsed.digest)) {
+    throw new Error(`Content does not match CID ${cid}`);
+  }
+  if (parsed.codec === CODEC_RAW) return block;
+  if (parsed.codec === CODEC_DAG_PB) return unixfsFileData(block);
+  throw new Error(`Unsupported CID codec 0x${parsed.codec.toString(16)}`);
+}
+
+// CIDv1 (raw codec, sha2-256) of one block — what kubo returns for small files
+// added with cidVersion 1 and rawLeaves
+export function rawCid(block) {
+  const digest = ethers.utils.arrayify(ethers.utils.sha256(block));
+  return "b" + base32Encode([1, CODEC_RAW, HASH_SHA2_256, digest.length, ...digest]);
+}
@@ -0,0 +1,38 @@
+import { ethers } from "ethers";
+import { CODEC_DAG_PB, CODEC_RAW, parseCid, rawCid, verifyBlock } from "./cid.js";
+
+// vectors generated with multiformats / @ipld/dag-pb / ipfs-unixfs for '{"hello":"world"}'
+const CONTENT = ethers.utils.toUtf8Bytes('{"hello":"world"}');
+const RAW_V1 = "bafkreietui4xdkiu4xvmx4fi2jivjtndbhb4drzpxomrjvd4mdz4w2avra";
+const PB_V0 = "QmNrEidQrAbxx3FzxNt9E6qjEDZrtvzxUVh47BXm55Zuen";
+const PB_V1 = "bafybeiahsrgcz6czdnalzzf4aehc3cigzqy6rwh37dt2guvulabazskdt4";
+const PB_BLOCK = ethers.utils.arrayify("0x0a17080212117b2268656c6c6f223a22776f726c64227d1811");
+
+const text = (bytes) => ethers.utils.toUtf8String(bytes);
+
+test("parses v0 and v1 CIDs", () => {
+  expect(parseCid(RAW_V1)).toMatchObject({ version: 1, codec: CODEC_RAW, hashCode: 0x12 });
+  expect(parseCid(PB_V0)).toMatchObject({ version: 0, codec: CODEC_DAG_PB, hashCode: 0x12 });
+  expect(parseCid(PB_V1).digest).toEqual(parseCid(PB_V0).digest);
+});
+
+test("returns file bytes for matching raw and dag-pb blocks", () => {
+  expect(text(verifyBlock(RAW_V1, CONTENT))).toBe('{"hello":"world"}');
+  expect(text(verifyBlock(PB_V0, PB_BLOCK))).toBe('{"hello":"world"}');
+  expect(text(verifyBlock(PB_V1, PB_BLOCK))).toBe('{"hello":"world"}');
+});
+
+test("computes the raw CIDv1 kubo would assign", () => {
+  expect(rawCid(CONTENT)).toBe(RAW_V1);
+  expect(text(verifyBlock(rawCid(PB_BLOCK), PB_BLOCK))).toBe(text(PB_BLOCK));
+});
+
+test("rejects substituted content", () => {
+  const forged = ethers.utils.toUtf8Bytes('{"hello":"mallory"}');
+  expect(() => verifyBlock(RAW_V1, forged)).toThrow(/does not match/);
+  expect(() => verifyBlock(PB_V0, CONTENT)).toThrow(/does not match/);
+});
+
+test("rejects unknown encodings", () => {
+  expect(() => parseCid("not-a-cid")).toThrow(/Unsupported CID encoding/);
+});
@@ -0,0 +1,222 @@
+// The `meetup` command line (bin/meetup.js): deploy, inspect and settle meetups from scripts.
+// Every command resolves with a plain object; the entry point prints it as JSON.
+import { ethers } from "ethers";
+import { MeetupClient } from "./MeetupClient.js";
+import { createGatewayReader } from "./gateway.js";
+import { STATE_LABELS, finalizeOpensAt } from "./meetup.js";
+import { validateMeetupForm } from "./meetupForm.js";
+import { simulateFinalize } from "./payout.js";
+
+export const DEFAULT_CLI_RPC_URL = "http://127.0.0.1:8545";
+export const DEFAULT_CLI_GATEWAYS = "http://127.0.0.1:8080,https://ipfs.io";
+
+export const CLI_USAGE = `Usage: meetup <command> [arguments] [options]
+
+Commands:
+  deploy --participants <a,b,…> --meeting-time <unix seconds | ISO date>
+         [--deposit <eth>=0.01] [--penalty <% per minute>=2] [--honesty <%>=50] [--window <minutes>=60]
+  participants <meetup>              participants with deposits, arrival times and proof CIDs
+  verify <meetup> <cid> [--arriver <address>] [--caller <address>]
+                                     check an arrival or mutual attestation against the contract
+  finalize <meetup>                  dry-run, then send finalize()
+  payout <meetup> [--at <unix seconds>]
+                                     escrow state and what finalize() would pay out
+
+Options:
+  --rpc <url>            JSON-RPC endpoint (MEETUP_RPC_URL, default ${DEFAULT_CLI_RPC_URL})
+  --private-key <hex>    signer for deploy and finalize (MEETUP_PRIVATE_KEY)
+  --gateways <url,url>   IPFS gateways for verify (MEETUP_IPFS_GATEWAYS, default ${DEFAULT_CLI_GATEWAYS})
+
+Output is JSON on stdout; errors are JSON on stderr with exit code 1.
+verify exits with 2 when the attestation fails a check.`;
+
+// argv after the script name → { command, args, options }; "--some-flag x" becomes options.someFlag
+export function parseCliArgs(argv) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s, 2);
+    const key = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (inline !== undefined) options[key] = inline;
+    else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) options[key] = argv[++i];
+    else options[key] = true;
+  }
+  const [command = "help", ...args] = positionals;
+  return { command, args, options };
+}
+
+// provider, signer and gateways from the options, falling back to MEETUP_* environment variables
+export function createCliContext(options = {}, env = {}) {
+  const provider = new ethers.providers.StaticJsonRpcProvider(options.rpc || env.MEETUP_RPC_URL || DEFAULT_CLI_RPC_URL);
+  const privateKey = options.privateKey || env.MEETUP_PRIVATE_KEY;
+  const signer = privateKey ? new ethers.Wallet(privateKey, provider) : null;
+  const gateways = String(options.gateways || env.MEETUP_IPFS_GATEWAYS || DEFAULT_CLI_GATEWAYS)
+    .split(",")
+    .map((g) => g.trim())
+    .filter(Boolean);
+  const ipfs = createGatewayReader(gateways);
+  return {
+    provider,
+    signer,
+    ipfs,
+    connect: (address) => new MeetupClient({ address, provider, signer, ipfs }),
+  };
+}
+
+// BigNumbers as decimal strings, so amounts survive jq and JSON.parse
+export function toJson(value) {
+  return JSON.stringify(
+    value,
+    (key, v) => (v && v.type === "BigNumber" && v.hex ? ethers.BigNumber.from(v.hex).toString() : v),
+    2
+  );
+}
+
+function meetupAddress(value) {
+  if (!value || !ethers.utils.isAddress(value)) throw new Error(`Expected a meetup contract address, got "${value ?? ""}"`);
+  return ethers.utils.getAddress(value);
+}
+
+// unix seconds or anything Date.parse understands
+function parseTime(value, flag) {
+  const seconds = /^\d+$/.test(String(value)) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isFinite(seconds)) throw new Error(`${flag} must be unix seconds or a date, got "${value}"`);
+  return seconds;
+}
+
+function requireSigner(context) {
+  if (!context.signer) throw new Error("This command sends a transaction — pass --private-key or set MEETUP_PRIVATE_KEY");
+  return context.signer;
+}
+
+async function participantRows(client, snapshot) {
+  return Promise.all(
+    snapshot.participants.map(async (p) => ({
+      address: p.address,
+      deposit: p.balance,
+      arrivalTime: p.arrivalTime || null,
+      arrivalProof: await client.arrivalProof(p.address),
+      vote: p.vote,
+      voteCount: p.voteCount,
+    }))
+  );
+}
+
+const COMMANDS = {
+  async deploy({ options }, context) {
+    const signer = requireSigner(context);
+    const { errors, args } = validateMeetupForm({
+      participants: options.participants,
+      meetingTime: options.meetingTime === undefined ? NaN : parseTime(options.meetingTime, "--meeting-time"),
+      depositEth: options.deposit ?? "0.01",
+      penaltyPercentPerMinute: options.penalty ?? "2",
+      honestyRatePercent: options.honesty ?? "50",
+      reportingWindowMinutes: options.window ?? "60",
+    });
+    if (args === null) {
+      throw new Error(Object.entries(errors).map(([field, message]) => `${field}: ${message}`).join("; "));
+    }
+    const client = await MeetupClient.deploy({ signer, args });
+    const [participants, meetingTime, depositAmount, penaltyRatePerMinute, honestyRatePercent, reportingWindowSeconds] = args;
+    const { chainId } = await signer.provider.getNetwork();
+    return {
+      meetup: client.address,
+      chainId,
+      deployer: await signer.getAddress(),
+      participants,
+      meetingTime,
+      depositAmount,
+      penaltyRatePerMinute,
+      honestyRatePercent,
+      reportingWindowSeconds,
+    };
+  },
+
+  async participants({ args }, context) {
+    const client = context.connect(meetupAddress(args[0]));
+    const snapshot = await client.snapshot(null);
+    return {
+      meetup: client.address,
+      state: STATE_LABELS[snapshot.state],
+      meetingTime: snapshot.meetingTime,
+      depositAmount: snapshot.depositAmount,
+      contractBalance: snapshot.contractBalance,
+      participants: await participantRows(client, snapshot),
+    };
+  },
+
+  async verify({ args, options }, context) {
+    const client = context.connect(meetupAddress(args[0]));
+    const cid = args[1];
+    if (!cid) throw new Error("Usage: meetup verify <meetup> <cid>");
+    const attestation = await client.fetchAttestation(cid);
+    const kind = attestation?.a && attestation?.b ? "mutual" : "arrival";
+
+    // the attestation doesn't name who submitted it; the contract does once it's recorded
+    const participants = await client.participants();
+    const proofs = await Promise.all(participants.map((p) => client.arrivalProof(p)));
+    const recordedFor = participants.filter((p, i) => proofs[i] === cid);
+
+    if (kind === "mutual") {
+      const caller = options.caller || recordedFor[0] || attestation.a;
+      const result = await client.verifyMutual(attestation, caller);
+      return { meetup: client.address, cid, kind, caller, recordedFor, ...result, attestation };
+    }
+    const arriver = options.arriver || recordedFor[0];
+    if (!arriver) {
+      throw new Error("No participant has recorded this CID — pass --arriver <address> to say whose arrival it attests");
+    }
+    const result = await client.verifyArrival(attestation, arriver);
+    return { meetup: client.address, cid, kind, arriver, recordedFor, ...result, attestation };
+  },
+
+  async finalize({ args }, context) {
+    requireSigner(context);
+    const client = context.connect(meetupAddress(args[0]));
+    const receipt = await client.finalize();
+    const snapshot = await client.snapshot(null);
+    return {
+      meetup: client.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      state: STATE_LABELS[snapshot.state],
+      participants: snapshot.participants.map((p) => ({ address: p.address, balance: p.balance })),
+    };
+  },
+
+  async payout({ args, options }, context) {
+    const client = context.connect(meetupAddress(args[0]));
+    const snapshot = await client.snapshot(null);
+    const at = options.at === undefined ? undefined : parseTime(options.at, "--at");
+    return {
+      meetup: client.address,
+      state: STATE_LABELS[snapshot.state],
+      blockTime: snapshot.blockTime,
+      meetingTime: snapshot.meetingTime,
+      reportingWindowSeconds: snapshot.reportingWindowSeconds,
+      finalizeOpensAt: finalizeOpensAt(snapshot),
+      depositAmount: snapshot.depositAmount,
+      penaltyRatePerMinute: snapshot.penaltyRatePerMinute,
+      honestyRatePercent: snapshot.honestyRatePercent,
+      totalVotes: snapshot.totalVotes,
+      contractBalance: snapshot.contractBalance,
+      participants: await participantRows(client, snapshot),
+      finalize: simulateFinalize(snapshot, at),
+    };
+  },
+};
+
+export const CLI_COMMANDS = Object.keys(COMMANDS);
+
+// context: createCliContext() or a stand-in with { signer, connect(address) }
+export async function runCommand({ command, args = [], options = {} }, context) {
+  const run = COMMANDS[command];
+  if (!run) throw new Error(`Unknown command "${command}" (one of: ${CLI_COMMANDS.join(", ")})`);
+  return run({ args, options }, context);
+}
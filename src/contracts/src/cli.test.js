@@ -0,0 +1,61 @@
+import { ethers } from "ethers";
+import { parseCliArgs, runCommand, toJson } from "./cli.js";
+
+const MEETUP = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+const ALICE = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const BOB = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+
+test("parses commands, positionals and --flags", () => {
+  expect(parseCliArgs(["verify", MEETUP, "bafyx", "--arriver", ALICE, "--rpc=http://node:8545", "--dry"])).toEqual({
+    command: "verify",
+    args: [MEETUP, "bafyx"],
+    options: { arriver: ALICE, rpc: "http://node:8545", dry: true },
+  });
+  expect(parseCliArgs(["deploy", "--meeting-time", "2030-01-01T10:00:00Z"]).options).toEqual({ meetingTime: "2030-01-01T10:00:00Z" });
+  expect(parseCliArgs([]).command).toBe("help");
+});
+
+test("prints BigNumbers as decimal strings", () => {
+  expect(JSON.parse(toJson({ deposit: ethers.utils.parseEther("0.01"), nested: [ethers.BigNumber.from(7)] }))).toEqual({
+    deposit: "10000000000000000",
+    nested: ["7"],
+  });
+});
+
+// verify only needs these reads from the client
+function fakeClient({ attestation, proofs }) {
+  return {
+    address: MEETUP,
+    fetchAttestation: async () => attestation,
+    participants: async () => [ALICE, BOB],
+    arrivalProof: async (address) => proofs[address] ?? null,
+    verifyArrival: jest.fn(async () => ({ ok: true, checks: [] })),
+    verifyMutual: jest.fn(async () => ({ ok: false, checks: [{ label: "A's signature attests B", ok: false }] })),
+  };
+}
+
+test("verify finds whose arrival a recorded attestation proves", async () => {
+  const client = fakeClient({ attestation: { attester1: BOB, attester2: ALICE, timestamp: 1 }, proofs: { [BOB]: "bafyx" } });
+  const result = await runCommand({ command: "verify", args: [MEETUP, "bafyx"] }, { connect: () => client });
+  expect(result).toMatchObject({ kind: "arrival", arriver: BOB, recordedFor: [BOB], ok: true });
+  expect(client.verifyArrival).toHaveBeenCalledWith(expect.anything(), BOB);
+
+  const unrecorded = fakeClient({ attestation: { attester1: BOB, attester2: ALICE, timestamp: 1 }, proofs: {} });
+  await expect(runCommand({ command: "verify", args: [MEETUP, "bafyx"] }, { connect: () => unrecorded })).rejects.toThrow(/--arriver/);
+});
+
+test("verify checks mutual attestations from the recording side", async () => {
+  const client = fakeClient({ attestation: { a: ALICE, b: BOB, timestamp: 1 }, proofs: { [BOB]: "bafym" } });
+  const result = await runCommand({ command: "verify", args: [MEETUP, "bafym"] }, { connect: () => client });
+  expect(result).toMatchObject({ kind: "mutual", caller: BOB, ok: false });
+});
+
+test("rejects bad input before touching the chain", async () => {
+  await expect(runCommand({ command: "payout", args: ["nope"] }, {})).rejects.toThrow(/meetup contract address/);
+  await expect(runCommand({ command: "finalize", args: [MEETUP] }, { signer: null })).rejects.toThrow(/--private-key/);
+  const signer = ethers.Wallet.createRandom();
+  await expect(
+    runCommand({ command: "deploy", options: { participants: ALICE, meetingTime: "4102444800" } }, { signer })
+  ).rejects.toThrow(/participants: Must have at least 2 participants/);
+  await expect(runCommand({ command: "settle" }, {})).rejects.toThrow(/Unknown command/);
+});
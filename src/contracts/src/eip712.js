@@ -0,0 +1,69 @@
+// EIP-712 typed data for attestations, built locally from the contract's eip712Domain()
+import { ethers } from "ethers";
+
+// Must match ATTESTATION_TYPEHASH / MUTUAL_TYPEHASH in EscrowContract.sol
+export const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "arriver", type: "address" },
+    { name: "attester1", type: "address" },
+    { name: "attester2", type: "address" },
+    { name: "timestamp", type: "uint256" },
+  ],
+};
+
+export const MUTUAL_TYPES = {
+  MutualAttestation: [
+    { name: "a", type: "address" },
+    { name: "b", type: "address" },
+    { name: "timestamp", type: "uint256" },
+  ],
+};
+
+// The domain is immutable per deployment, so one eip712Domain() call per contract is enough.
+// Keyed by chain too: local chains (anvil, hardhat) reuse deployer + nonce addresses, so after a
+// network switch the same address can be a different deployment with another chainId.
+const domainCache = new Map();
+
+export async function readDomain(contract) {
+  const network = contract.provider ? await contract.provider.getNetwork() : null;
+  const key = `${network?.chainId ?? "?"}:${contract.address.toLowerCase()}`;
+  if (!domainCache.has(key)) {
+    const pending = contract.eip712Domain().then((d) => ({
+      name: d.name,
+      version: d.version,
+      chainId: d.chainId.toNumber(),
+      verifyingContract: d.verifyingContract,
+    }));
+    // don't cache failures (e.g. wallet on the wrong network)
+    pending.catch(() => domainCache.delete(key));
+    domainCache.set(key, pending);
+  }
+  return domainCache.get(key);
+}
+
+// Attestation where `arriver` is confirmed by attester1 and attester2
+export function attestationValue(arriver, attester1, attester2, timestamp) {
+  return { arriver, attester1, attester2, timestamp: Number(timestamp) };
+}
+
+// MutualAttestation where `a` is the arriver and `b` the attester
+export function mutualValue(a, b, timestamp) {
+  return { a, b, timestamp: Number(timestamp) };
+}
+
+// Same digests as hashAttestation() / hashMutualAttestation() on-chain
+export function attestationDigest(domain, value) {
+  return ethers.utils._TypedDataEncoder.hash(domain, ATTESTATION_TYPES, value);
+}
+
+export function mutualDigest(domain, value) {
+  return ethers.utils._TypedDataEncoder.hash(domain, MUTUAL_TYPES, value);
+}
+
+export function signAttestation(signer, domain, value) {
+  return signer._signTypedData(domain, ATTESTATION_TYPES, value);
+}
+
+export function signMutual(signer, domain, value) {
+  return signer._signTypedData(domain, MUTUAL_TYPES, value);
+}
@@ -0,0 +1,27 @@
+import { ethers } from "ethers";
+import { readDomain } from "./eip712.js";
+
+const ADDRESS = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+
+// the same deployer + nonce address on two local chains
+function deploymentOn(chainId) {
+  return {
+    address: ADDRESS,
+    provider: { getNetwork: async () => ({ chainId }) },
+    eip712Domain: jest.fn(async () => ({
+      name: "MeetupAttestation",
+      version: "1",
+      chainId: ethers.BigNumber.from(chainId),
+      verifyingContract: ADDRESS,
+    })),
+  };
+}
+
+test("domains are cached per chain, not only per address", async () => {
+  const anvil = deploymentOn(31337);
+  const hardhat = deploymentOn(1337);
+  expect((await readDomain(anvil)).chainId).toBe(31337);
+  expect((await readDomain(hardhat)).chainId).toBe(1337);
+  expect((await readDomain(anvil)).chainId).toBe(31337);
+  expect(anvil.eip712Domain).toHaveBeenCalledTimes(1);
+});
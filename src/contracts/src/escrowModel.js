@@ -0,0 +1,319 @@
+// EscrowContract.sol in plain JavaScript, for the in-memory demo chain: the same require()
+// strings, storage, events and loops. finalize() is ported statement by statement rather than
+// built on simulateFinalize(), so the demo can catch the payout preview disagreeing with it.
+import { ethers } from "ethers";
+import { attestationDigest, attestationValue, mutualDigest, mutualValue } from "./eip712.js";
+import { sameAddress } from "./format.js";
+import { FINALIZE_GRACE_SECONDS, STATE } from "./meetup.js";
+import { recoverLikeContract } from "./verifyAttestation.js";
+
+const ZERO = ethers.BigNumber.from(0);
+
+// a failed require(); `reason` is the contract's revert string, `panic` a Panic(uint256) code,
+// `outOfGas` a call that never returns (no revert data at all)
+export class Revert extends Error {
+  constructor(reason, { panic = null, outOfGas = false } = {}) {
+    super(reason);
+    this.name = "Revert";
+    this.reason = reason;
+    this.panic = panic;
+    this.outOfGas = outOfGas;
+  }
+}
+
+function check(condition, reason) {
+  if (!condition) throw new Revert(reason);
+}
+
+const key = (address) => address.toLowerCase();
+
+// Storage of one deployment. Writes take ctx = { sender, value, timestamp, emit(event, ...args),
+// transfer(to, amount) }; the chain runs them on a copy and keeps it only if nothing reverts.
+export class EscrowModel {
+  constructor(
+    { address, chainId },
+    [participants, meetingTime, depositAmount, penaltyRatePerMinute, honestyRatePercent, reportingWindowSeconds],
+    { timestamp }
+  ) {
+    check(Number(meetingTime) > timestamp, "Meeting time must be in the future");
+    check(participants.length >= 2, "Must have at least 2 participants");
+    check(ethers.BigNumber.from(depositAmount).gt(0), "Deposit must be > 0");
+    check(Number(honestyRatePercent) <= 100, "honestyRatePercent must be 0..100");
+    const seen = new Set();
+    for (const p of participants) {
+      check(!ethers.BigNumber.from(p).isZero(), "Invalid participant address");
+      check(!seen.has(key(p)), "Duplicate participant");
+      seen.add(key(p));
+    }
+
+    this.address = ethers.utils.getAddress(address);
+    this.domain = { name: "MeetupAttestation", version: "1", chainId: Number(chainId), verifyingContract: this.address };
+    this.participants = participants.map((p) => ethers.utils.getAddress(p));
+    this.meetingTime = Number(meetingTime);
+    this.depositAmount = ethers.BigNumber.from(depositAmount);
+    this.penaltyRatePerMinute = ethers.BigNumber.from(penaltyRatePerMinute);
+    this.honestyRatePercent = Number(honestyRatePercent);
+    this.reportingWindowSeconds = Number(reportingWindowSeconds);
+    this.contractState = STATE.Created;
+    this.arrivalTimes = new Map();
+    this.arrivalProofIPFS = new Map();
+    this.balances = new Map();
+    this.onlyArrivedVote = new Map();
+    this.voteCounts = new Map();
+    this.totalVotes = 0;
+  }
+
+  clone() {
+    const copy = Object.assign(Object.create(EscrowModel.prototype), this);
+    for (const field of ["arrivalTimes", "arrivalProofIPFS", "balances", "onlyArrivedVote", "voteCounts"]) {
+      copy[field] = new Map(this[field]);
+    }
+    return copy;
+  }
+
+  isParticipant(address) {
+    return this.participants.some((p) => sameAddress(p, address));
+  }
+
+  balanceOf(address) {
+    return this.balances.get(key(address)) ?? ZERO;
+  }
+
+  arrivalTimeOf(address) {
+    return this.arrivalTimes.get(key(address)) ?? 0;
+  }
+
+  // --- view functions, by ABI name ---
+
+  view(name, args) {
+    const [arg] = args;
+    switch (name) {
+      case "participants":
+        // the generated getter panics past the end of the array
+        if (Number(arg) >= this.participants.length) throw new Revert("array index out of bounds", { panic: 0x32 });
+        return this.participants[Number(arg)];
+      case "isParticipant":
+        return this.isParticipant(arg);
+      case "meetingTime":
+      case "depositAmount":
+      case "penaltyRatePerMinute":
+      case "honestyRatePercent":
+      case "reportingWindowSeconds":
+      case "contractState":
+      case "totalVotes":
+        return this[name];
+      case "arrivalTimes":
+        return this.arrivalTimeOf(arg);
+      case "arrivalProofIPFS":
+        return this.arrivalProofIPFS.get(key(arg)) ?? "";
+      case "balances":
+        return this.balanceOf(arg);
+      case "onlyArrivedVote":
+        return this.onlyArrivedVote.get(key(arg)) ?? ethers.constants.AddressZero;
+      case "voteCounts":
+        return this.voteCounts.get(key(arg)) ?? 0;
+      case "hashAttestation":
+        return attestationDigest(this.domain, attestationValue(...args));
+      case "hashMutualAttestation":
+        return mutualDigest(this.domain, mutualValue(...args));
+      case "eip712Domain":
+        return ["0x0f", this.domain.name, this.domain.version, this.domain.chainId, this.address, ethers.constants.HashZero, []];
+      default:
+        throw new Revert(`Unknown function ${name}`);
+    }
+  }
+
+  // --- state-changing functions ---
+
+  deposit(ctx) {
+    check(this.isParticipant(ctx.sender), "Not a participant");
+    check(ctx.value.eq(this.depositAmount), "Incorrect deposit amount");
+    check(this.contractState === STATE.Created, "Deposits are closed");
+    this.balances.set(key(ctx.sender), this.balanceOf(ctx.sender).add(ctx.value));
+    ctx.emit("Deposited", ctx.sender, ctx.value);
+  }
+
+  confirmArrival(ctx, attester1, attester2, timestamp, signature1, signature2, ipfsHash) {
+    const { sender } = ctx;
+    const ts = Number(timestamp);
+    check(this.isParticipant(sender), "Not a participant");
+    check(this.isParticipant(attester1) && this.isParticipant(attester2), "Attesters must be participants");
+    check(!sameAddress(attester1, sender) && !sameAddress(attester2, sender), "Attesters cannot be the arriver");
+    check(!sameAddress(attester1, attester2), "Attesters must be distinct");
+    check(this.contractState !== STATE.Finalized, "Already finalized");
+    check(ipfsHash.length > 0, "IPFS hash required");
+    check(ts >= this.meetingTime, "Attestation cannot be from before the meeting time");
+    check(ethers.utils.hexDataLength(signature1) === 65 && ethers.utils.hexDataLength(signature2) === 65, "Invalid signature length");
+
+    const digest = attestationDigest(this.domain, attestationValue(sender, attester1, attester2, ts));
+    const signer1 = recoverLikeContract(digest, signature1, [attester1, attester2]);
+    const signer2 = recoverLikeContract(digest, signature2, [attester1, attester2]);
+    check(signer1 && signer2, "Invalid signatures");
+    check(
+      (sameAddress(signer1, attester1) && sameAddress(signer2, attester2)) ||
+        (sameAddress(signer1, attester2) && sameAddress(signer2, attester1)),
+      "Signatures must be from two distinct attesters"
+    );
+
+    if (this.arrivalTimeOf(sender) === 0) {
+      this.arrivalTimes.set(key(sender), ts);
+      ctx.emit("Arrived", sender, ts);
+    }
+    if (this.contractState === STATE.Created) this.contractState = STATE.InProgress;
+    this.arrivalProofIPFS.set(key(sender), ipfsHash);
+    ctx.emit("ArrivalProofSubmitted", sender, ipfsHash);
+  }
+
+  confirmMutualArrival(ctx, other, timestamp, signatureOtherForCaller, signatureCallerForOther, ipfsHash) {
+    const { sender } = ctx;
+    const ts = Number(timestamp);
+    check(this.isParticipant(sender), "Not a participant");
+    check(this.isParticipant(other), "Other must be a participant");
+    check(!sameAddress(sender, other), "Other cannot be self");
+    check(this.contractState !== STATE.Finalized, "Already finalized");
+    check(ipfsHash.length > 0, "IPFS hash required");
+    check(ts >= this.meetingTime, "Attestation cannot be from before the meeting time");
+    check(
+      ethers.utils.hexDataLength(signatureOtherForCaller) === 65 && ethers.utils.hexDataLength(signatureCallerForOther) === 65,
+      "Invalid signature length"
+    );
+
+    const forCaller = recoverLikeContract(mutualDigest(this.domain, mutualValue(sender, other, ts)), signatureOtherForCaller, [other]);
+    check(sameAddress(forCaller, other), "Other's signature invalid for caller");
+    const forOther = recoverLikeContract(mutualDigest(this.domain, mutualValue(other, sender, ts)), signatureCallerForOther, [sender]);
+    check(sameAddress(forOther, sender), "Caller signature invalid for other");
+
+    for (const arriver of [sender, other]) {
+      if (this.arrivalTimeOf(arriver) === 0) {
+        this.arrivalTimes.set(key(arriver), ts);
+        ctx.emit("Arrived", arriver, ts);
+        this.arrivalProofIPFS.set(key(arriver), ipfsHash);
+        ctx.emit("ArrivalProofSubmitted", arriver, ipfsHash);
+      }
+    }
+    if (this.contractState === STATE.Created) this.contractState = STATE.InProgress;
+  }
+
+  reportOnlyArrived(ctx, punctual) {
+    const { sender, timestamp } = ctx;
+    check(this.isParticipant(sender), "Not a participant");
+    check(this.isParticipant(punctual), "Punctual must be a participant");
+    check(timestamp >= this.meetingTime, "Reporting not yet open");
+    check(timestamp <= this.meetingTime + this.reportingWindowSeconds, "Reporting window closed");
+    check(!this.onlyArrivedVote.has(key(sender)), "Already reported");
+    check(this.balanceOf(sender).eq(this.depositAmount), "Only deposited participants may report");
+
+    const candidate = ethers.utils.getAddress(punctual);
+    this.onlyArrivedVote.set(key(sender), candidate);
+    this.voteCounts.set(key(candidate), (this.voteCounts.get(key(candidate)) ?? 0) + 1);
+    this.totalVotes += 1;
+    ctx.emit("ReportedOnlyArrived", sender, candidate);
+  }
+
+  cancelBeforeArrivals(ctx) {
+    check(this.contractState !== STATE.Finalized, "Already finalized");
+    check(this.contractState === STATE.Created, "Cannot cancel after arrivals have begun");
+    check(this.isParticipant(ctx.sender), "Not a participant");
+    this.contractState = STATE.Finalized;
+    ctx.emit("ContractCancelled");
+  }
+
+  // _calculatePenalty(arrivalTime)
+  calculatePenalty(arrival) {
+    if (arrival === 0 || arrival <= this.meetingTime) return ZERO;
+    const minutesLate = Math.floor((arrival - this.meetingTime) / 60);
+    const penalty = this.depositAmount.mul(minutesLate).mul(this.penaltyRatePerMinute).div(10000);
+    return penalty.gt(this.depositAmount) ? this.depositAmount : penalty;
+  }
+
+  finalize(ctx) {
+    const { timestamp } = ctx;
+    const votingWindowExpired = timestamp > this.meetingTime + this.reportingWindowSeconds;
+    const recorded = this.participants.filter((p) => this.arrivalTimeOf(p) !== 0).length;
+    check(
+      timestamp > this.meetingTime + FINALIZE_GRACE_SECONDS || (votingWindowExpired && recorded === 0),
+      "Finalization window not yet open"
+    );
+    check(this.contractState !== STATE.Finalized, "Contract already finalized");
+
+    const n = this.participants.length;
+    if (recorded === 0 && votingWindowExpired && this.totalVotes > 0) {
+      const quorum = Math.floor((2 * n + 2) / 3);
+      let winning = null;
+      let winningCount = 0;
+      for (const candidate of this.participants) {
+        const count = this.voteCounts.get(key(candidate)) ?? 0;
+        if (count > winningCount) {
+          winningCount = count;
+          winning = candidate;
+        }
+      }
+
+      if (winning && winningCount >= quorum) {
+        let winnerBalance = ZERO;
+        if (this.balanceOf(winning).eq(this.depositAmount)) {
+          winnerBalance = winnerBalance.add(this.balanceOf(winning));
+          this.balances.set(key(winning), ZERO);
+        }
+        for (let i = 0; i < n; ) {
+          const p = this.participants[i];
+          if (p === winning) {
+            ++i;
+            continue;
+          }
+          // the contract's `continue` here skips ++i, so it spins on p until the gas runs out
+          if (!this.balanceOf(p).eq(this.depositAmount)) throw new Revert("out of gas", { outOfGas: true });
+          if (sameAddress(this.onlyArrivedVote.get(key(p)), winning)) {
+            const honestBack = this.depositAmount.mul(this.honestyRatePercent).div(100);
+            this.balances.set(key(p), honestBack);
+            winnerBalance = winnerBalance.add(this.depositAmount.sub(honestBack));
+          } else {
+            this.balances.set(key(p), ZERO);
+            winnerBalance = winnerBalance.add(this.depositAmount);
+          }
+          ++i;
+        }
+        this.balances.set(key(winning), winnerBalance);
+        this.contractState = STATE.Finalized;
+        ctx.emit("Finalized", timestamp);
+        return;
+      }
+      // no quorum: fall through to the penalty logic
+    }
+
+    let totalPenalties = ZERO;
+    const punctual = new Array(n).fill(false);
+    this.participants.forEach((p, i) => {
+      const bal = this.balanceOf(p);
+      if (bal.eq(this.depositAmount)) {
+        const arrival = this.arrivalTimeOf(p);
+        const penalty = this.calculatePenalty(arrival);
+        if (penalty.isZero() && arrival !== 0) punctual[i] = true;
+        totalPenalties = totalPenalties.add(penalty);
+        this.balances.set(key(p), bal.sub(penalty));
+      }
+    });
+
+    if (totalPenalties.gt(0)) {
+      const punctualCount = punctual.filter(Boolean).length;
+      if (punctualCount > 0) {
+        const rewardPerPunctual = totalPenalties.div(punctualCount);
+        this.participants.forEach((p, i) => {
+          if (punctual[i]) this.balances.set(key(p), this.balanceOf(p).add(rewardPerPunctual));
+        });
+      }
+    }
+
+    this.contractState = STATE.Finalized;
+    ctx.emit("Finalized", timestamp);
+  }
+
+  withdraw(ctx) {
+    check(this.contractState === STATE.Finalized, "Contract not finalized");
+    const amount = this.balanceOf(ctx.sender);
+    check(amount.gt(0), "No balance to withdraw");
+    this.balances.set(key(ctx.sender), ZERO);
+    ctx.transfer(ctx.sender, amount);
+    ctx.emit("Withdrawn", ctx.sender, amount);
+  }
+}
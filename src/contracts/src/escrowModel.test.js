@@ -0,0 +1,55 @@
+import { ethers } from "ethers";
+import { EscrowModel } from "./escrowModel.js";
+import { STATE } from "./meetup.js";
+
+const { parseEther } = ethers.utils;
+
+const A = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const B = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+const C = "0x6813Eb9362372EEF6200f3b1dbC3f819671cBA69";
+const ADDRESS = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+
+const MEETING = 1_700_000_000;
+const DEPOSIT = parseEther("1");
+
+const ctx = (sender, timestamp, value = ethers.BigNumber.from(0)) => ({ sender, value, timestamp, emit: jest.fn(), transfer: jest.fn() });
+
+// Same defaults as payout.test.js and the Foundry tests: 1 ether, 2%/minute, 50% honesty, 1h window.
+// `depositors` pay in; arrivals are written straight into storage, as confirmArrival() would.
+function meetup({ depositors = [A, B, C], arrivals = {}, votes = {} } = {}) {
+  const model = new EscrowModel({ address: ADDRESS, chainId: 31337 }, [[A, B, C], MEETING, DEPOSIT, 200, 50, 3600], {
+    timestamp: MEETING - 600,
+  });
+  for (const p of depositors) model.deposit(ctx(p, MEETING - 60, DEPOSIT));
+  for (const [p, ts] of Object.entries(arrivals)) model.arrivalTimes.set(p.toLowerCase(), ts);
+  for (const [voter, punctual] of Object.entries(votes)) model.reportOnlyArrived(ctx(voter, MEETING + 60), punctual);
+  return model;
+}
+
+const balances = (model) => [A, B, C].map((p) => ethers.utils.formatEther(model.balanceOf(p)));
+
+test("penalty branch: late penalties go to punctual participants, absentees keep their deposit", () => {
+  const model = meetup({ arrivals: { [A]: MEETING + 10, [B]: MEETING + 10 * 60 } });
+  expect(() => model.finalize(ctx(C, MEETING + 3600))).toThrow("Finalization window not yet open");
+  model.finalize(ctx(C, MEETING + 3601));
+  expect(balances(model)).toEqual(["1.2", "0.8", "1.0"]);
+  expect(model.contractState).toBe(STATE.Finalized);
+  expect(() => model.finalize(ctx(C, MEETING + 3602))).toThrow("Contract already finalized");
+});
+
+test("voting branch: the reported arriver collects, honest absentees get the honesty rate back", () => {
+  const model = meetup({ votes: { [A]: A, [B]: A, [C]: B } });
+  model.finalize(ctx(C, MEETING + 3601));
+  expect(balances(model)).toEqual(["2.5", "0.5", "0.0"]);
+});
+
+test("voting branch without quorum falls through to the penalty logic", () => {
+  const model = meetup({ votes: { [A]: A, [B]: B } });
+  model.finalize(ctx(C, MEETING + 3601));
+  expect(balances(model)).toEqual(["1.0", "1.0", "1.0"]);
+});
+
+test("voting branch runs out of gas when a losing participant never deposited", () => {
+  const model = meetup({ depositors: [A, B], votes: { [A]: A, [B]: A } });
+  expect(() => model.finalize(ctx(B, MEETING + 3601))).toThrow(expect.objectContaining({ outOfGas: true }));
+});
@@ -0,0 +1,22 @@
+// small display helpers shared by the panels
+import { ethers } from "ethers";
+
+export function shortAddress(addr) {
+  if (!addr) return "";
+  const s = String(addr);
+  return s.length > 12 ? `${s.slice(0, 6)}…${s.slice(-4)}` : s;
+}
+
+export function formatEth(wei) {
+  if (wei === null || wei === undefined) return "–";
+  return `${ethers.utils.formatEther(wei)} ETH`;
+}
+
+export function formatTime(seconds) {
+  if (!seconds) return "–";
+  return new Date(Number(seconds) * 1000).toLocaleString();
+}
+
+export function sameAddress(a, b) {
+  return !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+}
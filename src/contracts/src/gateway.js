@@ -0,0 +1,50 @@
+// Read-only IPFS over HTTP gateways with CID verification. Only needs fetch(),
+// so the app and the Node CLI share it; uploads stay in the app's kubo service.
+import { ethers } from "ethers";
+import { verifyBlock } from "./cid.js";
+
+export async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`timed out after ${timeoutMs} ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function trimSlash(url) {
+  return String(url).replace(/\/+$/, "");
+}
+
+// Try each gateway in order; a gateway whose bytes don't match the CID is skipped.
+// onFailure(gateway, error) sees every skipped gateway.
+export async function fetchFromGateways(cid, gateways, { timeoutMs = 8000, onFailure = () => {} } = {}) {
+  const failures = [];
+  for (const gateway of gateways) {
+    try {
+      const res = await fetchWithTimeout(
+        `${trimSlash(gateway)}/ipfs/${cid}?format=raw`,
+        { headers: { Accept: "application/vnd.ipld.raw" } },
+        timeoutMs
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const block = new Uint8Array(await res.arrayBuffer());
+      return verifyBlock(cid, block);
+    } catch (e) {
+      onFailure(gateway, e);
+      failures.push(`${gateway}: ${e?.message ?? e}`);
+    }
+  }
+  throw new Error(`Could not fetch ${cid} from any gateway (${failures.join("; ")})`);
+}
+
+// { fetchBytes, fetchJson } over a fixed gateway list — the `ipfs` MeetupClient reads with
+export function createGatewayReader(gateways, options) {
+  const fetchBytes = (cid) => fetchFromGateways(cid, gateways, options);
+  const fetchJson = async (cid) => JSON.parse(ethers.utils.toUtf8String(await fetchBytes(cid)));
+  return { fetchBytes, fetchJson };
+}
@@ -1,2 +1,17 @@
-export { default as abis } from "./abis";
-export { default as addresses } from "./addresses";
\ No newline at end of file
+export { default as abis } from "./abis.js";
+export { default as addresses } from "./addresses.js";
+export { default as bytecodes } from "./bytecodes.js";
+export * from "./calendar.js";
+export * from "./cid.js";
+export * from "./eip712.js";
+export * from "./escrowModel.js";
+export * from "./format.js";
+export * from "./gateway.js";
+export * from "./meetup.js";
+export * from "./meetupForm.js";
+export * from "./metadata.js";
+export * from "./payout.js";
+export * from "./txManager.js";
+export * from "./verifyAttestation.js";
+export * from "./voting.js";
+export * from "./MeetupClient.js";
@@ -0,0 +1,134 @@
+// Read helpers for EscrowContract state (mirrors the Solidity enums / windows)
+import { ethers } from "ethers";
+import { sameAddress } from "./format.js";
+
+export const STATE_LABELS = ["Created", "InProgress", "Finalized"];
+export const STATE = { Created: 0, InProgress: 1, Finalized: 2 };
+
+// finalize() opens at meetingTime + 1 hours (or earlier via the voting branch)
+export const FINALIZE_GRACE_SECONDS = 60 * 60;
+
+// safety cap, the contract has no participants.length getter
+const MAX_PARTICIPANTS = 256;
+
+// participants(i) reverts (Panic 0x32) past the end of the array, so read until it does.
+// Only a revert ends the list: a timeout, rate limit or wrong network must not pass for a short one.
+export async function readParticipants(contract) {
+  const list = [];
+  for (let i = 0; i < MAX_PARTICIPANTS; i++) {
+    let addr;
+    try {
+      addr = await contract.participants(i);
+    } catch (e) {
+      if (e?.code === ethers.utils.Logger.errors.CALL_EXCEPTION) break;
+      throw e;
+    }
+    list.push(addr);
+  }
+  return list;
+}
+
+// One consistent view of everything the escrow panels need.
+// blockTime is the latest block timestamp so window checks match block.timestamp.
+export async function readMeetupSnapshot(contract, account) {
+  const provider = contract.provider;
+  const [
+    addrs,
+    meetingTime,
+    depositAmount,
+    penaltyRatePerMinute,
+    reportingWindowSeconds,
+    honestyRatePercent,
+    totalVotes,
+    state,
+    contractBalance,
+    block,
+  ] = await Promise.all([
+    readParticipants(contract),
+    contract.meetingTime(),
+    contract.depositAmount(),
+    contract.penaltyRatePerMinute(),
+    contract.reportingWindowSeconds(),
+    contract.honestyRatePercent(),
+    contract.totalVotes(),
+    contract.contractState(),
+    provider.getBalance(contract.address),
+    provider.getBlock("latest"),
+  ]);
+
+  const participants = await Promise.all(
+    addrs.map(async (address) => {
+      const [balance, arrivalTime, vote, voteCount] = await Promise.all([
+        contract.balances(address),
+        contract.arrivalTimes(address),
+        contract.onlyArrivedVote(address),
+        contract.voteCounts(address),
+      ]);
+      return {
+        address,
+        balance,
+        arrivalTime: Number(arrivalTime.toString()),
+        vote: vote === ethers.constants.AddressZero ? null : vote,
+        voteCount: Number(voteCount.toString()),
+      };
+    })
+  );
+
+  const me = account ? participants.find((p) => sameAddress(p.address, account)) ?? null : null;
+
+  return {
+    address: contract.address,
+    account: account ?? null,
+    me,
+    blockTime: block ? Number(block.timestamp) : Math.floor(Date.now() / 1000),
+    meetingTime: Number(meetingTime.toString()),
+    depositAmount,
+    penaltyRatePerMinute,
+    reportingWindowSeconds: Number(reportingWindowSeconds.toString()),
+    honestyRatePercent: Number(honestyRatePercent),
+    totalVotes: Number(totalVotes.toString()),
+    state: Number(state),
+    contractBalance,
+    participants,
+  };
+}
+
+export function countRecordedArrivals(snapshot) {
+  return snapshot.participants.filter((p) => p.arrivalTime !== 0).length;
+}
+
+// Same condition as the first require() in finalize()
+export function finalizeWindowOpen(snapshot, now = snapshot.blockTime) {
+  const votingWindowExpired = now > snapshot.meetingTime + snapshot.reportingWindowSeconds;
+  return (
+    now > snapshot.meetingTime + FINALIZE_GRACE_SECONDS ||
+    (votingWindowExpired && countRecordedArrivals(snapshot) === 0)
+  );
+}
+
+// Earliest timestamp at which finalize() stops reverting on the window check
+export function finalizeOpensAt(snapshot) {
+  const grace = snapshot.meetingTime + FINALIZE_GRACE_SECONDS + 1;
+  if (countRecordedArrivals(snapshot) === 0) {
+    return Math.min(grace, snapshot.meetingTime + snapshot.reportingWindowSeconds + 1);
+  }
+  return grace;
+}
+
+// Lighter read for list views: one row per registered meetup
+export async function readMeetupSummary(contract, account) {
+  const [participants, meetingTime, state, myBalance] = await Promise.all([
+    readParticipants(contract),
+    contract.meetingTime(),
+    contract.contractState(),
+    account ? contract.balances(account) : Promise.resolve(null),
+  ]);
+  return {
+    address: contract.address,
+    participants,
+    meetingTime: Number(meetingTime.toString()),
+    state: Number(state),
+    isParticipant: !!account && participants.some((p) => sameAddress(p, account)),
+    myBalance,
+  };
+}
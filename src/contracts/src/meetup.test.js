@@ -0,0 +1,27 @@
+import { readParticipants } from "./meetup.js";
+
+const ALICE = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const BOB = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+
+// participants(i) as ethers reports it: a CALL_EXCEPTION past the end, `failure` at index `failAt`
+function fakeContract(list, { failAt = -1, failure } = {}) {
+  return {
+    participants: async (i) => {
+      if (i === failAt) throw failure;
+      if (i >= list.length) throw Object.assign(new Error("call revert exception"), { code: "CALL_EXCEPTION" });
+      return list[i];
+    },
+  };
+}
+
+test("reads participants until the getter reverts", async () => {
+  expect(await readParticipants(fakeContract([ALICE, BOB]))).toEqual([ALICE, BOB]);
+  expect(await readParticipants(fakeContract([]))).toEqual([]);
+});
+
+test("a failing provider is an error, not the end of the list", async () => {
+  const timeout = Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+  await expect(readParticipants(fakeContract([ALICE, BOB], { failAt: 1, failure: timeout }))).rejects.toBe(timeout);
+  const network = Object.assign(new Error("underlying network changed"), { code: "NETWORK_ERROR" });
+  await expect(readParticipants(fakeContract([ALICE, BOB], { failAt: 0, failure: network }))).rejects.toBe(network);
+});
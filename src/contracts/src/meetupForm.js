@@ -0,0 +1,89 @@
+// Constructor parameters for a new EscrowContract, validated like its require()s
+import { ethers } from "ethers";
+
+// leave time for the deployment to be mined before meetingTime must still be in the future
+export const MIN_LEAD_SECONDS = 5 * 60;
+
+// Parse a participant list (one address per line, or comma separated)
+export function parseParticipants(text) {
+  return String(text || "")
+    .split(/[\s,;]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// form: { participants, meetingTime (unix seconds), depositEth, penaltyPercentPerMinute,
+//         honestyRatePercent, reportingWindowMinutes }
+// Returns { errors, args } where args is the constructor argument list when errors is empty.
+export function validateMeetupForm(form, now = Math.floor(Date.now() / 1000)) {
+  const errors = {};
+  const participants = parseParticipants(form.participants);
+
+  if (participants.length < 2) {
+    errors.participants = "Must have at least 2 participants";
+  } else {
+    const seen = new Set();
+    for (const p of participants) {
+      if (!ethers.utils.isAddress(p)) {
+        errors.participants = `Invalid participant address: ${p}`;
+        break;
+      }
+      if (ethers.BigNumber.from(p).isZero()) {
+        errors.participants = "Invalid participant address: zero address";
+        break;
+      }
+      const key = p.toLowerCase();
+      if (seen.has(key)) {
+        errors.participants = `Duplicate participant: ${p}`;
+        break;
+      }
+      seen.add(key);
+    }
+  }
+
+  const meetingTime = Number(form.meetingTime);
+  if (!Number.isInteger(meetingTime) || meetingTime <= now) {
+    errors.meetingTime = "Meeting time must be in the future";
+  } else if (meetingTime < now + MIN_LEAD_SECONDS) {
+    errors.meetingTime = "Meeting time is too close — the deployment may be mined after it";
+  }
+
+  let depositAmount;
+  try {
+    depositAmount = ethers.utils.parseEther(String(form.depositEth || "").trim() || "0");
+    if (depositAmount.lte(0)) errors.depositEth = "Deposit must be > 0";
+  } catch (e) {
+    errors.depositEth = "Deposit must be a number in ETH";
+  }
+
+  // penaltyRatePerMinute is in basis points: 200 = 2% of the deposit per minute late
+  const penaltyPercent = Number(form.penaltyPercentPerMinute);
+  const penaltyRatePerMinute = Math.round(penaltyPercent * 100);
+  if (!Number.isFinite(penaltyPercent) || penaltyPercent < 0) {
+    errors.penaltyPercentPerMinute = "Penalty must be 0 or more percent per minute";
+  }
+
+  const honestyRatePercent = Number(form.honestyRatePercent);
+  if (!Number.isInteger(honestyRatePercent) || honestyRatePercent < 0 || honestyRatePercent > 100) {
+    errors.honestyRatePercent = "honestyRatePercent must be 0..100";
+  }
+
+  const windowMinutes = Number(form.reportingWindowMinutes);
+  if (!Number.isFinite(windowMinutes) || windowMinutes < 0) {
+    errors.reportingWindowMinutes = "Reporting window must be 0 or more minutes";
+  }
+
+  if (Object.keys(errors).length > 0) return { errors, args: null };
+
+  return {
+    errors,
+    args: [
+      participants.map((p) => ethers.utils.getAddress(p)),
+      meetingTime,
+      depositAmount,
+      penaltyRatePerMinute,
+      honestyRatePercent,
+      Math.round(windowMinutes * 60),
+    ],
+  };
+}
@@ -0,0 +1,109 @@
+// Meetup metadata: the contract only stores meetingTime, so title, description, venue and
+// organizer live in a JSON document on IPFS whose CID travels with invites and links:
+//   { type: "meetup-metadata", version: 1, contract, chainId, title, description,
+//     venue: { name, lat, lon } | null, organizer: { name, address } | null }
+// lat / lon are null when only the venue text is known. The document names its contract,
+// so it is refused when attached to any other meetup.
+import { ethers } from "ethers";
+import { sameAddress } from "./format.js";
+
+export const METADATA_TYPE = "meetup-metadata";
+export const METADATA_VERSION = 1;
+
+const LIMITS = { title: 120, description: 2000, venue: 200, organizer: 120 };
+
+const isText = (value, max) => typeof value === "string" && value.length <= max;
+const inRange = (value, limit) => typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= limit;
+
+// "52.5200, 13.4050" (or with a space / semicolon) → { lat, lon }; null when blank, throws when malformed
+export function parseCoordinates(text) {
+  const trimmed = String(text ?? "").trim();
+  if (!trimmed) return null;
+  const parts = trimmed.split(/[\s,;]+/).map(Number);
+  if (parts.length !== 2 || !inRange(parts[0], 90) || !inRange(parts[1], 180)) {
+    throw new Error('Coordinates must be "latitude, longitude", e.g. 52.5200, 13.4050');
+  }
+  return { lat: parts[0], lon: parts[1] };
+}
+
+// Problems with a (fetched) document, [] when it is fine; pass `contract` to require it to match
+export function validateMeetupMetadata(doc, { contract } = {}) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return ["not a JSON object"];
+  const problems = [];
+  if (doc.type !== METADATA_TYPE) problems.push("not a meetup metadata document");
+  if (doc.version !== METADATA_VERSION) problems.push(`unsupported version ${doc.version}`);
+  if (typeof doc.contract !== "string" || !ethers.utils.isAddress(doc.contract)) {
+    problems.push("contract is not an address");
+  } else if (contract && !sameAddress(doc.contract, contract)) {
+    problems.push(`describes meetup ${doc.contract}, not ${contract}`);
+  }
+  if (!Number.isSafeInteger(doc.chainId) || doc.chainId <= 0) problems.push("chainId is not a chain id");
+  if (!isText(doc.title, LIMITS.title) || !doc.title.trim()) problems.push(`title must be 1..${LIMITS.title} characters`);
+  if (!isText(doc.description, LIMITS.description)) problems.push(`description must be text up to ${LIMITS.description} characters`);
+  if (doc.venue !== null) {
+    const { name, lat, lon } = doc.venue ?? {};
+    if (!isText(name, LIMITS.venue)) problems.push(`venue name must be text up to ${LIMITS.venue} characters`);
+    const located = inRange(lat, 90) && inRange(lon, 180);
+    if (!located && !(lat === null && lon === null)) problems.push("venue coordinates must be latitude/longitude or both null");
+  }
+  if (doc.organizer !== null) {
+    const { name, address } = doc.organizer ?? {};
+    if (!isText(name, LIMITS.organizer)) problems.push(`organizer name must be text up to ${LIMITS.organizer} characters`);
+    if (address !== null && !(typeof address === "string" && ethers.utils.isAddress(address))) {
+      problems.push("organizer address is not an address");
+    }
+  }
+  return problems;
+}
+
+// details: { title, description, venue, organizer } as from validateMeetupDetails()
+export function buildMeetupMetadata({ contract, chainId, title, description = "", venue = null, organizer = null }) {
+  const doc = {
+    type: METADATA_TYPE,
+    version: METADATA_VERSION,
+    contract: ethers.utils.getAddress(contract),
+    chainId: Number(chainId),
+    title: String(title ?? "").trim(),
+    description: String(description ?? "").trim(),
+    venue,
+    organizer,
+  };
+  const problems = validateMeetupMetadata(doc);
+  if (problems.length) throw new Error(`Invalid meetup metadata: ${problems.join(", ")}`);
+  return doc;
+}
+
+// form: { title, description, venueName, coordinates, organizerName }; organizer: address or null.
+// Returns { errors, details } — details is null when every field is blank (no document to publish).
+export function validateMeetupDetails(form, organizer = null) {
+  const errors = {};
+  const text = (field) => String(form[field] ?? "").trim();
+  const [title, description, venueName, organizerName] = ["title", "description", "venueName", "organizerName"].map(text);
+
+  if (![title, description, venueName, organizerName, text("coordinates")].some(Boolean)) return { errors, details: null };
+
+  if (!title) errors.title = "A title is required once any detail is filled in";
+  else if (title.length > LIMITS.title) errors.title = `Title must be at most ${LIMITS.title} characters`;
+  if (description.length > LIMITS.description) errors.description = `Description must be at most ${LIMITS.description} characters`;
+  if (venueName.length > LIMITS.venue) errors.venueName = `Venue must be at most ${LIMITS.venue} characters`;
+  if (organizerName.length > LIMITS.organizer) errors.organizerName = `Name must be at most ${LIMITS.organizer} characters`;
+  let coordinates = null;
+  try {
+    coordinates = parseCoordinates(form.coordinates);
+  } catch (e) {
+    errors.coordinates = e.message;
+  }
+
+  if (Object.keys(errors).length > 0) return { errors, details: null };
+  const venue = venueName || coordinates ? { name: venueName, lat: coordinates?.lat ?? null, lon: coordinates?.lon ?? null } : null;
+  const address = organizer && ethers.utils.isAddress(organizer) ? ethers.utils.getAddress(organizer) : null;
+  return {
+    errors,
+    details: {
+      title,
+      description,
+      venue,
+      organizer: organizerName || address ? { name: organizerName, address } : null,
+    },
+  };
+}
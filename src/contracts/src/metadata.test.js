@@ -0,0 +1,42 @@
+import { buildMeetupMetadata, parseCoordinates, validateMeetupDetails, validateMeetupMetadata } from "./metadata.js";
+
+const CONTRACT = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+const ORGANIZER = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+
+const form = {
+  title: " Coffee at the canal ",
+  description: "Bring your phone.",
+  venueName: "Café Kanal, Berlin",
+  coordinates: "52.4966, 13.4318",
+  organizerName: "Alice",
+};
+
+test("wizard details become a document tied to its contract", () => {
+  const { errors, details } = validateMeetupDetails(form, ORGANIZER.toLowerCase());
+  expect(errors).toEqual({});
+  const doc = buildMeetupMetadata({ ...details, contract: CONTRACT.toLowerCase(), chainId: 31337 });
+  expect(doc).toEqual({
+    type: "meetup-metadata",
+    version: 1,
+    contract: CONTRACT,
+    chainId: 31337,
+    title: "Coffee at the canal",
+    description: "Bring your phone.",
+    venue: { name: "Café Kanal, Berlin", lat: 52.4966, lon: 13.4318 },
+    organizer: { name: "Alice", address: ORGANIZER },
+  });
+  expect(validateMeetupMetadata(doc, { contract: CONTRACT })).toEqual([]);
+  expect(validateMeetupMetadata(doc, { contract: ORGANIZER })).toEqual([`describes meetup ${CONTRACT}, not ${ORGANIZER}`]);
+  expect(validateMeetupMetadata({ ...doc, venue: { name: "x", lat: 91, lon: 0 } })).toHaveLength(1);
+  expect(validateMeetupMetadata("bafy")).toEqual(["not a JSON object"]);
+});
+
+test("details are optional, but a filled-in form needs a title and valid coordinates", () => {
+  expect(validateMeetupDetails({ title: "", coordinates: " " })).toEqual({ errors: {}, details: null });
+  expect(validateMeetupDetails({ venueName: "Park" }).errors).toEqual({ title: expect.stringMatching(/title is required/) });
+  expect(validateMeetupDetails({ title: "Walk", coordinates: "52.5" }).errors.coordinates).toMatch(/latitude, longitude/);
+  expect(validateMeetupDetails({ title: "Walk" }).details).toEqual({ title: "Walk", description: "", venue: null, organizer: null });
+  expect(parseCoordinates("-33.8568 151.2153")).toEqual({ lat: -33.8568, lon: 151.2153 });
+  expect(() => parseCoordinates("151.2, -33.8")).toThrow(/latitude, longitude/);
+  expect(() => buildMeetupMetadata({ contract: CONTRACT, chainId: 1, title: " " })).toThrow(/title must be/);
+});
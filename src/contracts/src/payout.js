@@ -0,0 +1,99 @@
+// Client-side mirror of finalize() and _calculatePenalty() in EscrowContract.sol.
+// Works on a snapshot from readMeetupSnapshot(); all amounts are ethers BigNumbers
+// and use the same integer arithmetic as the contract.
+import { ethers } from "ethers";
+import { STATE, countRecordedArrivals, finalizeOpensAt, finalizeWindowOpen } from "./meetup.js";
+import { previewVotingDistribution, tallyVotes } from "./voting.js";
+
+const ZERO = ethers.BigNumber.from(0);
+
+// _calculatePenalty(arrivalTime)
+export function calculatePenalty(arrivalTime, { meetingTime, depositAmount, penaltyRatePerMinute }) {
+  if (!arrivalTime || arrivalTime <= meetingTime) return ZERO;
+  const minutesLate = Math.floor((arrivalTime - meetingTime) / 60);
+  const penalty = depositAmount.mul(minutesLate).mul(penaltyRatePerMinute).div(10000);
+  return penalty.gt(depositAmount) ? depositAmount : penalty;
+}
+
+// Late-penalty branch: penalties are redistributed equally to punctual participants.
+// Integer division leaves any remainder (and everything, if nobody was punctual) in the contract.
+export function simulatePenaltyBranch(snapshot) {
+  const { depositAmount } = snapshot;
+  let totalPenalties = ZERO;
+
+  const rows = snapshot.participants.map((p) => {
+    const row = {
+      address: p.address,
+      before: p.balance,
+      penalty: ZERO,
+      reward: ZERO,
+      after: p.balance,
+      outcome: "no-deposit",
+      minutesLate: p.arrivalTime > snapshot.meetingTime ? Math.floor((p.arrivalTime - snapshot.meetingTime) / 60) : 0,
+    };
+    if (p.balance.eq(depositAmount)) {
+      row.penalty = calculatePenalty(p.arrivalTime, snapshot);
+      row.after = p.balance.sub(row.penalty);
+      totalPenalties = totalPenalties.add(row.penalty);
+      if (row.penalty.isZero() && p.arrivalTime !== 0) row.outcome = "punctual";
+      else if (p.arrivalTime === 0) row.outcome = "absent";
+      else row.outcome = "late";
+    }
+    return row;
+  });
+
+  const punctualCount = rows.filter((r) => r.outcome === "punctual").length;
+  let rewardPerPunctual = ZERO;
+  if (totalPenalties.gt(0) && punctualCount > 0) {
+    rewardPerPunctual = totalPenalties.div(punctualCount);
+    for (const r of rows) {
+      if (r.outcome === "punctual") {
+        r.reward = rewardPerPunctual;
+        r.after = r.after.add(rewardPerPunctual);
+      }
+    }
+  }
+
+  const distributed = rewardPerPunctual.mul(punctualCount);
+  return {
+    payouts: rows,
+    totalPenalties,
+    punctualCount,
+    rewardPerPunctual,
+    undistributed: totalPenalties.sub(distributed),
+  };
+}
+
+// Full finalize() at time `now` (defaults to the earliest moment it can succeed).
+// Returns { branch: "voting" | "penalty" | null, reverts, at, payouts, ... }.
+export function simulateFinalize(snapshot, now) {
+  const at = now ?? Math.max(snapshot.blockTime, finalizeOpensAt(snapshot));
+
+  if (!finalizeWindowOpen(snapshot, at)) {
+    return { branch: null, at, reverts: "Finalization window not yet open", payouts: [] };
+  }
+  if (snapshot.state === STATE.Finalized) {
+    return { branch: null, at, reverts: "Contract already finalized", payouts: [] };
+  }
+
+  const votingWindowExpired = at > snapshot.meetingTime + snapshot.reportingWindowSeconds;
+  if (countRecordedArrivals(snapshot) === 0 && votingWindowExpired && snapshot.totalVotes > 0) {
+    if (tallyVotes(snapshot).quorumReached) {
+      const voting = previewVotingDistribution(snapshot);
+      return {
+        branch: "voting",
+        at,
+        reverts: voting.stuck ? "Voting branch runs out of gas (a non-winning participant has no deposit)" : null,
+        winning: voting.winning,
+        payouts: voting.payouts.map((p) => ({
+          ...p,
+          penalty: p.before.gt(p.after) ? p.before.sub(p.after) : ZERO,
+          reward: p.after.gt(p.before) ? p.after.sub(p.before) : ZERO,
+        })),
+      };
+    }
+    // no quorum: the contract falls through to the penalty logic
+  }
+
+  return { branch: "penalty", at, reverts: null, ...simulatePenaltyBranch(snapshot) };
+}
@@ -0,0 +1,151 @@
+import { ethers } from "ethers";
+import { calculatePenalty, simulateFinalize } from "./payout.js";
+import { STATE } from "./meetup.js";
+
+const { parseEther } = ethers.utils;
+
+const A = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const B = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+const C = "0x6813Eb9362372EEF6200f3b1dbC3f819671cBA69";
+
+const MEETING = 1_700_000_000;
+const DEPOSIT = parseEther("1");
+
+// Same defaults as the Foundry tests: 1 ether, 2%/minute, 50% honesty, 1h window
+function makeSnapshot(participants, overrides = {}) {
+  const list = participants.map((p) => ({
+    balance: DEPOSIT,
+    arrivalTime: 0,
+    vote: null,
+    voteCount: 0,
+    ...p,
+  }));
+  return {
+    meetingTime: MEETING,
+    depositAmount: DEPOSIT,
+    penaltyRatePerMinute: ethers.BigNumber.from(200),
+    honestyRatePercent: 50,
+    reportingWindowSeconds: 3600,
+    state: STATE.InProgress,
+    blockTime: MEETING + 2 * 3600,
+    totalVotes: list.reduce((sum, p) => sum + p.voteCount, 0),
+    participants: list,
+    ...overrides,
+  };
+}
+
+function payoutOf(result, addr) {
+  return result.payouts.find((p) => p.address === addr).after.toString();
+}
+
+describe("calculatePenalty", () => {
+  const config = { meetingTime: MEETING, depositAmount: DEPOSIT, penaltyRatePerMinute: ethers.BigNumber.from(200) };
+
+  test("no penalty when absent or on time", () => {
+    expect(calculatePenalty(0, config).toString()).toBe("0");
+    expect(calculatePenalty(MEETING, config).toString()).toBe("0");
+  });
+
+  test("charges whole minutes only", () => {
+    expect(calculatePenalty(MEETING + 59, config).toString()).toBe("0");
+    expect(calculatePenalty(MEETING + 5 * 60 + 30, config).toString()).toBe(parseEther("0.1").toString());
+  });
+
+  test("is capped at the deposit", () => {
+    expect(calculatePenalty(MEETING + 120 * 60, config).toString()).toBe(DEPOSIT.toString());
+  });
+});
+
+describe("simulateFinalize – penalty branch", () => {
+  test("redistributes late penalties to punctual participants", () => {
+    const snapshot = makeSnapshot([
+      { address: A, arrivalTime: MEETING + 10 },
+      { address: B, arrivalTime: MEETING + 10 * 60 },
+      { address: C },
+    ]);
+    const result = simulateFinalize(snapshot);
+    expect(result.branch).toBe("penalty");
+    expect(result.reverts).toBeNull();
+    expect(payoutOf(result, A)).toBe(parseEther("1.2").toString());
+    expect(payoutOf(result, B)).toBe(parseEther("0.8").toString());
+    // absentees keep their deposit in this branch
+    expect(payoutOf(result, C)).toBe(DEPOSIT.toString());
+  });
+
+  test("leaves integer-division dust in the contract", () => {
+    const deposit = ethers.BigNumber.from(10000);
+    const snapshot = makeSnapshot(
+      [
+        { address: A, arrivalTime: MEETING, balance: deposit },
+        { address: B, arrivalTime: MEETING + 30, balance: deposit },
+        { address: C, arrivalTime: MEETING + 3 * 60, balance: deposit },
+      ],
+      { depositAmount: deposit, penaltyRatePerMinute: ethers.BigNumber.from(1) }
+    );
+    const result = simulateFinalize(snapshot);
+    // C pays 3 wei; A and B (under a minute late) count as punctual and get 1 wei each
+    expect(result.punctualCount).toBe(2);
+    expect(result.rewardPerPunctual.toString()).toBe("1");
+    expect(result.undistributed.toString()).toBe("1");
+    expect(payoutOf(result, C)).toBe("9997");
+  });
+
+  test("ignores participants who did not deposit", () => {
+    const snapshot = makeSnapshot([
+      { address: A, arrivalTime: MEETING },
+      { address: B, arrivalTime: MEETING + 60 * 60, balance: ethers.BigNumber.from(0) },
+    ]);
+    const result = simulateFinalize(snapshot);
+    expect(result.totalPenalties.toString()).toBe("0");
+    expect(payoutOf(result, B)).toBe("0");
+  });
+});
+
+describe("simulateFinalize – voting branch", () => {
+  test("pays the reported arriver and refunds honest absentees", () => {
+    const snapshot = makeSnapshot([
+      { address: A, vote: A, voteCount: 2 },
+      { address: B, vote: A },
+      { address: C, vote: B, voteCount: 1 },
+    ]);
+    const result = simulateFinalize(snapshot);
+    expect(result.branch).toBe("voting");
+    expect(result.winning).toBe(A);
+    expect(payoutOf(result, A)).toBe(parseEther("2.5").toString());
+    expect(payoutOf(result, B)).toBe(parseEther("0.5").toString());
+    expect(payoutOf(result, C)).toBe("0");
+  });
+
+  test("falls through to the penalty branch without quorum", () => {
+    const snapshot = makeSnapshot([
+      { address: A, vote: A, voteCount: 1 },
+      { address: B, vote: B, voteCount: 1 },
+      { address: C, vote: C, voteCount: 1 },
+    ]);
+    const result = simulateFinalize(snapshot);
+    expect(result.branch).toBe("penalty");
+    expect(payoutOf(result, A)).toBe(DEPOSIT.toString());
+  });
+
+  test("flags the out-of-gas loop when a loser has no deposit", () => {
+    const snapshot = makeSnapshot([
+      { address: A, vote: A, voteCount: 2 },
+      { address: B, vote: A },
+      { address: C, balance: ethers.BigNumber.from(0) },
+    ]);
+    expect(simulateFinalize(snapshot).reverts).toMatch(/out of gas/);
+  });
+});
+
+describe("simulateFinalize – window", () => {
+  test("defaults to the earliest finalize time", () => {
+    const snapshot = makeSnapshot([{ address: A, arrivalTime: MEETING }, { address: B }], { blockTime: MEETING });
+    expect(simulateFinalize(snapshot).at).toBe(MEETING + 3600 + 1);
+  });
+
+  test("reverts before the window or after finalization", () => {
+    const snapshot = makeSnapshot([{ address: A, arrivalTime: MEETING }, { address: B }]);
+    expect(simulateFinalize(snapshot, MEETING + 3600).reverts).toBe("Finalization window not yet open");
+    expect(simulateFinalize({ ...snapshot, state: STATE.Finalized }).reverts).toBe("Contract already finalized");
+  });
+});
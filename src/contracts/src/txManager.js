@@ -0,0 +1,193 @@
+// Contract writes with a dry run first, decoded revert reasons and a tracked lifecycle:
+//   simulating → awaiting-signature → pending → mined | replaced | cancelled | failed
+import { ethers } from "ethers";
+
+export const TX_STATUS = {
+  simulating: "simulating",
+  awaitingSignature: "awaiting-signature",
+  pending: "pending",
+  mined: "mined",
+  replaced: "replaced",
+  cancelled: "cancelled",
+  failed: "failed",
+};
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+const PANIC_CODES = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x32: "array index out of bounds",
+};
+
+// require() strings and custom errors of EscrowContract → what the user can do about it
+export const REVERT_MESSAGES = {
+  "Not a participant": "Your connected account is not a participant of this meetup. Switch accounts in your wallet.",
+  "Incorrect deposit amount": "The deposit must be exactly the meetup's deposit amount.",
+  "Deposits are closed": "Deposits are closed: arrivals have already been recorded, or the meetup was cancelled or finalized.",
+  "Attesters must be participants": "Both attesters must be on this meetup's participant list.",
+  "Attesters cannot be the arriver": "You cannot attest your own arrival. Pick two other participants.",
+  "Attesters must be distinct": "Pick two different people as attesters.",
+  "Already finalized": "This meetup has already been finalized; arrivals can no longer be recorded.",
+  "Contract already finalized": "This meetup has already been finalized.",
+  "IPFS hash required": "The attestation was not uploaded to IPFS. Check the IPFS settings and try again.",
+  "Attestation cannot be from before the meeting time":
+    "The attestation was signed before the meeting started. Request a new one now.",
+  "Invalid signature length": "A signature is malformed. Ask the attester to sign again.",
+  "Invalid signatures": "A signature could not be verified. Ask the attesters to sign again.",
+  "Signatures must be from two distinct attesters":
+    "The two signatures must come from the two named attesters. Ask the missing attester to sign.",
+  "Other must be a participant": "The other person is not a participant of this meetup.",
+  "Other cannot be self": "A mutual attestation needs another participant, not yourself.",
+  "Other's signature invalid for caller": "The other participant's signature does not match. Redo the mutual handshake.",
+  "Caller signature invalid for other": "Your own signature does not match. Redo the mutual handshake.",
+  "Punctual must be a participant": "You can only vote for a participant of this meetup.",
+  "Reporting not yet open": "Voting opens at the meeting time.",
+  "Reporting window closed": "The reporting window has closed.",
+  "Already reported": "You have already voted.",
+  "Only deposited participants may report": "Only participants who deposited can vote.",
+  "Cannot cancel after arrivals have begun": "The meetup can no longer be cancelled because arrivals were recorded.",
+  "Finalization window not yet open": "Finalize opens one hour after the meeting (earlier only if nobody arrived).",
+  "Contract not finalized": "Withdrawals open once the meetup is finalized.",
+  "No balance to withdraw": "You have nothing to withdraw.",
+  "Transfer failed": "The payout transfer failed. Try withdrawing again.",
+  ECDSAInvalidSignature: "A signature is not a valid ECDSA signature. Ask the signer to sign again.",
+  ECDSAInvalidSignatureLength: "A signature has the wrong length. Ask the signer to sign again.",
+  ECDSAInvalidSignatureS: "A signature is malleable (high s value). Ask the signer to sign again with a standard wallet.",
+  StringTooLong: "A text value is too long for the contract.",
+};
+
+export class TxError extends Error {
+  constructor(message, { status = TX_STATUS.failed, reason = null, decoded = null, cause = null } = {}) {
+    super(message);
+    this.name = "TxError";
+    this.status = status;
+    this.reason = reason; // raw require string or custom error name
+    this.decoded = decoded;
+    this.cause = cause;
+    this.code = cause?.code;
+  }
+}
+
+// revert data is buried at different depths depending on wallet / provider
+function findRevertData(err, depth = 0) {
+  if (!err || depth > 5) return null;
+  if (typeof err === "string") {
+    return /^0x[0-9a-fA-F]{8}/.test(err) ? err : null;
+  }
+  if (typeof err !== "object") return null;
+  for (const key of ["data", "error", "originalError", "cause"]) {
+    const found = findRevertData(err[key], depth + 1);
+    if (found) return found;
+  }
+  if (typeof err.body === "string") {
+    try {
+      return findRevertData(JSON.parse(err.body), depth + 1);
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// { kind: "require" | "panic" | "custom", name, args, reason } or null
+export function decodeRevert(err, iface) {
+  const data = findRevertData(err);
+  if (data) {
+    const selector = data.slice(0, 10).toLowerCase();
+    try {
+      if (selector === ERROR_STRING_SELECTOR) {
+        const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + data.slice(10));
+        return { kind: "require", name: "Error", args: [reason], reason };
+      }
+      if (selector === PANIC_SELECTOR) {
+        const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], "0x" + data.slice(10));
+        const reason = `panic: ${PANIC_CODES[code.toNumber()] ?? `code 0x${code.toNumber().toString(16)}`}`;
+        return { kind: "panic", name: "Panic", args: [code.toNumber()], reason };
+      }
+      if (iface) {
+        const parsed = iface.parseError(data);
+        return { kind: "custom", name: parsed.name, args: [...parsed.args], reason: parsed.name };
+      }
+    } catch (e) {
+      // not decodable with this ABI: fall through to the message heuristics
+    }
+  }
+  // ethers already decoded it (callStatic on a JsonRpcProvider)
+  if (err?.errorName) return { kind: "custom", name: err.errorName, args: [...(err.errorArgs || [])], reason: err.errorName };
+  const text = [err?.reason, err?.error?.message, err?.data?.message, err?.message].filter(Boolean).join(" ");
+  const known = Object.keys(REVERT_MESSAGES).find((r) => text.includes(r));
+  if (known) return { kind: "require", name: "Error", args: [known], reason: known };
+  return null;
+}
+
+// One user-facing sentence for any error out of a contract write
+export function describeTxError(err, iface) {
+  if (err instanceof TxError) return err.message;
+  if (err?.code === "ACTION_REJECTED" || err?.code === 4001) return "Transaction rejected in your wallet.";
+  if (err?.code === "INSUFFICIENT_FUNDS") return "Not enough ETH in this account to pay for the transaction.";
+  const decoded = decodeRevert(err, iface);
+  if (decoded) return REVERT_MESSAGES[decoded.reason] ?? `The contract rejected the transaction: ${decoded.reason}`;
+  if (err?.code === "NETWORK_ERROR" || err?.code === "SERVER_ERROR" || err?.code === "TIMEOUT") {
+    return "Could not reach the network. Check your connection and try again.";
+  }
+  return err?.reason || err?.error?.message || err?.message || String(err);
+}
+
+function toTxError(err, iface, status) {
+  if (err instanceof TxError) return err;
+  const decoded = decodeRevert(err, iface);
+  return new TxError(describeTxError(err, iface), { status, reason: decoded?.reason ?? null, decoded, cause: err });
+}
+
+// Dry-run `method` with callStatic, send it, and follow it until mined.
+// onUpdate({ status, hash?, replacementHash?, receipt? }) is called on every transition.
+// Resolves with the receipt; rejects with a TxError carrying the final status.
+export async function sendContractTx(contract, method, args = [], { overrides, onUpdate = () => {} } = {}) {
+  const iface = contract.interface;
+  const callArgs = overrides ? [...args, overrides] : args;
+
+  onUpdate({ status: TX_STATUS.simulating });
+  try {
+    await contract.callStatic[method](...callArgs);
+  } catch (err) {
+    throw toTxError(err, iface, TX_STATUS.failed);
+  }
+
+  onUpdate({ status: TX_STATUS.awaitingSignature });
+  let tx;
+  try {
+    tx = await contract[method](...callArgs);
+  } catch (err) {
+    throw toTxError(err, iface, TX_STATUS.failed);
+  }
+
+  onUpdate({ status: TX_STATUS.pending, hash: tx.hash });
+  try {
+    const receipt = await tx.wait();
+    onUpdate({ status: TX_STATUS.mined, hash: tx.hash, receipt });
+    return receipt;
+  } catch (err) {
+    if (err?.code === "TRANSACTION_REPLACED") {
+      const replacementHash = err.replacement?.hash;
+      // sped up in the wallet: same call, new hash
+      if (err.reason === "repriced" && err.receipt?.status === 1) {
+        onUpdate({ status: TX_STATUS.mined, hash: replacementHash, replacedHash: tx.hash, receipt: err.receipt });
+        return err.receipt;
+      }
+      const status = err.cancelled && err.reason === "cancelled" ? TX_STATUS.cancelled : TX_STATUS.replaced;
+      onUpdate({ status, hash: tx.hash, replacementHash });
+      throw new TxError(
+        status === TX_STATUS.cancelled
+          ? "The transaction was cancelled in your wallet."
+          : "The transaction was replaced by a different one in your wallet.",
+        { status, cause: err }
+      );
+    }
+    const failure = toTxError(err, iface, TX_STATUS.failed);
+    onUpdate({ status: TX_STATUS.failed, hash: tx.hash });
+    throw failure;
+  }
+}
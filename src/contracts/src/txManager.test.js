@@ -0,0 +1,80 @@
+import { ethers } from "ethers";
+import abis from "./abis.js";
+import { TX_STATUS, TxError, decodeRevert, describeTxError, sendContractTx } from "./txManager.js";
+
+const iface = new ethers.utils.Interface(abis.meetup);
+
+function requireData(reason) {
+  return "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], [reason]).slice(2);
+}
+
+test("decodes require strings nested the way MetaMask reports them", () => {
+  const err = { code: -32603, message: "Internal JSON-RPC error.", data: { originalError: { data: requireData("Attesters must be distinct") } } };
+  expect(decodeRevert(err, iface)).toMatchObject({ kind: "require", reason: "Attesters must be distinct" });
+  expect(describeTxError(err, iface)).toBe("Pick two different people as attesters.");
+});
+
+test("the deposit revert names every state that closes deposits", () => {
+  // the same require fails after an arrival, cancel() and finalize(); the meeting time alone does not close it
+  expect(describeTxError({ data: requireData("Deposits are closed") }, iface)).toMatch(/arrivals .* cancelled or finalized/);
+});
+
+test("decodes custom errors and panics", () => {
+  const custom = { error: { data: iface.encodeErrorResult("ECDSAInvalidSignatureLength", [64]) } };
+  expect(decodeRevert(custom, iface)).toMatchObject({ kind: "custom", name: "ECDSAInvalidSignatureLength", args: [ethers.BigNumber.from(64)] });
+  expect(describeTxError(custom, iface)).toMatch(/wrong length/);
+
+  const panic = { data: "0x4e487b71" + ethers.utils.defaultAbiCoder.encode(["uint256"], [0x11]).slice(2) };
+  expect(decodeRevert(panic, iface).reason).toBe("panic: arithmetic overflow or underflow");
+});
+
+test("unknown reverts fall back to the raw reason", () => {
+  expect(describeTxError({ data: requireData("Something new") }, iface)).toBe("The contract rejected the transaction: Something new");
+  expect(describeTxError({ code: "ACTION_REJECTED" }, iface)).toBe("Transaction rejected in your wallet.");
+});
+
+function fakeContract({ staticError, waitError } = {}) {
+  const tx = {
+    hash: "0x01",
+    wait: async () => {
+      if (waitError) throw waitError;
+      return { status: 1, transactionHash: "0x01" };
+    },
+  };
+  return {
+    interface: iface,
+    callStatic: {
+      finalize: async () => {
+        if (staticError) throw staticError;
+      },
+    },
+    finalize: jest.fn(async () => tx),
+  };
+}
+
+test("tracks a transaction through to mined", async () => {
+  const updates = [];
+  const receipt = await sendContractTx(fakeContract(), "finalize", [], { onUpdate: (u) => updates.push(u.status) });
+  expect(receipt.transactionHash).toBe("0x01");
+  expect(updates).toEqual([TX_STATUS.simulating, TX_STATUS.awaitingSignature, TX_STATUS.pending, TX_STATUS.mined]);
+});
+
+test("a failing dry run never reaches the wallet", async () => {
+  const contract = fakeContract({ staticError: { data: requireData("Finalization window not yet open") } });
+  const err = await sendContractTx(contract, "finalize").catch((e) => e);
+  expect(err).toBeInstanceOf(TxError);
+  expect(err.reason).toBe("Finalization window not yet open");
+  expect(err.message).toMatch(/one hour after the meeting/);
+  expect(contract.finalize).not.toHaveBeenCalled();
+});
+
+test("replacement and cancellation in the wallet are reported", async () => {
+  const cancelled = { code: "TRANSACTION_REPLACED", reason: "cancelled", cancelled: true, replacement: { hash: "0x02" } };
+  const updates = [];
+  const err = await sendContractTx(fakeContract({ waitError: cancelled }), "finalize", [], { onUpdate: (u) => updates.push(u) }).catch((e) => e);
+  expect(err.status).toBe(TX_STATUS.cancelled);
+  expect(updates[updates.length - 1]).toMatchObject({ status: TX_STATUS.cancelled, replacementHash: "0x02" });
+
+  const sped = { code: "TRANSACTION_REPLACED", reason: "repriced", cancelled: false, replacement: { hash: "0x03" }, receipt: { status: 1 } };
+  await expect(sendContractTx(fakeContract({ waitError: sped }), "finalize")).resolves.toEqual({ status: 1 });
+});
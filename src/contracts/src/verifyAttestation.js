@@ -0,0 +1,145 @@
+// Offline checks for scanned attestations, mirroring the require()s in
+// confirmArrival() / confirmMutualArrival() so a bad attestation never costs gas.
+import { ethers } from "ethers";
+import { attestationDigest, attestationValue, mutualDigest, mutualValue } from "./eip712.js";
+import { sameAddress } from "./format.js";
+
+// The contract first recovers over the EIP-712 digest, then over the
+// "\x19Ethereum Signed Message:\n32" prefixed digest (older personal_sign attestations).
+export function recoverLikeContract(digest, signature, accepted) {
+  let recovered = null;
+  try {
+    recovered = ethers.utils.recoverAddress(digest, signature);
+  } catch (e) {
+    recovered = null;
+  }
+  if (accepted.some((a) => sameAddress(a, recovered))) return recovered;
+  try {
+    return ethers.utils.recoverAddress(ethers.utils.hashMessage(ethers.utils.arrayify(digest)), signature);
+  } catch (e) {
+    return null;
+  }
+}
+
+function isSignature(sig) {
+  return ethers.utils.isHexString(sig) && ethers.utils.hexDataLength(sig) === 65;
+}
+
+function isParticipantOf(participants, addr) {
+  return participants.some((p) => sameAddress(p, addr));
+}
+
+function report(checks) {
+  return { ok: checks.every((c) => c.ok), checks };
+}
+
+// Three-party attestation { attester1, attester2, timestamp, signature1, signature2 } for `arriver`
+export function verifyArrivalAttestation({ attestation, arriver, domain, participants, meetingTime }) {
+  const { attester1, attester2, timestamp, signature1, signature2 } = attestation || {};
+  const checks = [];
+  const fieldsOk = [attester1, attester2, signature1, signature2].every(Boolean) && !!timestamp;
+  checks.push({ label: "Required fields present", ok: fieldsOk });
+  if (!fieldsOk) return report(checks);
+
+  const addressesOk = ethers.utils.isAddress(attester1) && ethers.utils.isAddress(attester2);
+  checks.push({ label: "Attester addresses are valid", ok: addressesOk });
+  if (!addressesOk) return report(checks);
+
+  checks.push({
+    label: "Arriver is a participant",
+    ok: isParticipantOf(participants, arriver),
+    detail: arriver,
+  });
+  checks.push({
+    label: "Attesters are participants",
+    ok: isParticipantOf(participants, attester1) && isParticipantOf(participants, attester2),
+  });
+  checks.push({
+    label: "Arriver is not an attester",
+    ok: !sameAddress(attester1, arriver) && !sameAddress(attester2, arriver),
+  });
+  checks.push({ label: "Attesters are distinct", ok: !sameAddress(attester1, attester2) });
+  checks.push({
+    label: "Timestamp is not before the meeting time",
+    ok: Number(timestamp) >= Number(meetingTime),
+    detail: `${timestamp} >= ${meetingTime}`,
+  });
+
+  const lengthsOk = isSignature(signature1) && isSignature(signature2);
+  checks.push({ label: "Signatures are 65 bytes", ok: lengthsOk });
+  if (!lengthsOk) return report(checks);
+
+  const digest = attestationDigest(domain, attestationValue(arriver, attester1, attester2, timestamp));
+  const signer1 = recoverLikeContract(digest, signature1, [attester1, attester2]);
+  const signer2 = recoverLikeContract(digest, signature2, [attester1, attester2]);
+  const signersOk =
+    (sameAddress(signer1, attester1) && sameAddress(signer2, attester2)) ||
+    (sameAddress(signer1, attester2) && sameAddress(signer2, attester1));
+  checks.push({
+    label: "Signatures are from both attesters",
+    ok: signersOk,
+    detail: `recovered ${signer1 ?? "?"} / ${signer2 ?? "?"}`,
+  });
+  return report(checks);
+}
+
+// Mutual attestation { a, b, timestamp, sigAForB, sigBForA } submitted by `caller`
+export function verifyMutualAttestation({ attestation, caller, domain, participants, meetingTime }) {
+  const { a, b, timestamp, sigAForB, sigBForA } = attestation || {};
+  const checks = [];
+  const fieldsOk = [a, b, sigAForB, sigBForA].every(Boolean) && !!timestamp;
+  checks.push({ label: "Required fields present", ok: fieldsOk });
+  if (!fieldsOk) return report(checks);
+
+  const addressesOk = ethers.utils.isAddress(a) && ethers.utils.isAddress(b);
+  checks.push({ label: "Addresses are valid", ok: addressesOk });
+  if (!addressesOk) return report(checks);
+
+  checks.push({
+    label: "Connected account is part of the attestation",
+    ok: sameAddress(caller, a) || sameAddress(caller, b),
+    detail: caller,
+  });
+  checks.push({
+    label: "Both sides are participants",
+    ok: isParticipantOf(participants, a) && isParticipantOf(participants, b),
+  });
+  checks.push({ label: "Participants are distinct", ok: !sameAddress(a, b) });
+  checks.push({
+    label: "Timestamp is not before the meeting time",
+    ok: Number(timestamp) >= Number(meetingTime),
+    detail: `${timestamp} >= ${meetingTime}`,
+  });
+
+  const lengthsOk = isSignature(sigAForB) && isSignature(sigBForA);
+  checks.push({ label: "Signatures are 65 bytes", ok: lengthsOk });
+  if (!lengthsOk) return report(checks);
+
+  // sigAForB: a attests b's arrival (arriver = b); sigBForA: b attests a's arrival
+  const signerAForB = recoverLikeContract(mutualDigest(domain, mutualValue(b, a, timestamp)), sigAForB, [a]);
+  const signerBForA = recoverLikeContract(mutualDigest(domain, mutualValue(a, b, timestamp)), sigBForA, [b]);
+  checks.push({ label: "A's signature attests B", ok: sameAddress(signerAForB, a), detail: signerAForB ?? "" });
+  checks.push({ label: "B's signature attests A", ok: sameAddress(signerBForA, b), detail: signerBForA ?? "" });
+  return report(checks);
+}
+
+// A scanned attest-request / mutual-request before its signing prompt opens. `attesters` are the
+// signers it asks for; the timestamp must be about `now`, so a signature can't be collected now
+// for an earlier arrival time (or kept for a later one).
+export function verifyAttestationRequest({ arriver, attesters, timestamp, participants, meetingTime, now, maxSkew }) {
+  const checks = [
+    { label: "Arriver is a participant", ok: isParticipantOf(participants, arriver), detail: arriver },
+    { label: "Attesters are participants", ok: attesters.every((a) => isParticipantOf(participants, a)) },
+    {
+      label: "Timestamp is not before the meeting time",
+      ok: Number(timestamp) >= Number(meetingTime),
+      detail: `${timestamp} >= ${meetingTime}`,
+    },
+    {
+      label: "Timestamp is close to now",
+      ok: Math.abs(Number(now) - Number(timestamp)) <= maxSkew,
+      detail: `${Math.abs(Number(now) - Number(timestamp))} s off`,
+    },
+  ];
+  return report(checks);
+}
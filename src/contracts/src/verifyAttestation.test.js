@@ -0,0 +1,123 @@
+import { ethers } from "ethers";
+import { attestationDigest, attestationValue, mutualValue, signAttestation, signMutual } from "./eip712.js";
+import { verifyArrivalAttestation, verifyAttestationRequest, verifyMutualAttestation } from "./verifyAttestation.js";
+
+// same private keys as the Foundry tests (0x1, 0x2, 0x3)
+const pk = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 32);
+const arriver = new ethers.Wallet(pk(1));
+const attester1 = new ethers.Wallet(pk(2));
+const attester2 = new ethers.Wallet(pk(3));
+const outsider = new ethers.Wallet(pk(4));
+
+const domain = {
+  name: "MeetupAttestation",
+  version: "1",
+  chainId: 31337,
+  verifyingContract: "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D",
+};
+const participants = [arriver.address, attester1.address, attester2.address];
+const MEETING = 1_700_000_000;
+
+function failed(result) {
+  return result.checks.filter((c) => !c.ok).map((c) => c.label);
+}
+
+describe("verifyArrivalAttestation", () => {
+  async function build(signers = [attester1, attester2], timestamp = MEETING + 60) {
+    const value = attestationValue(arriver.address, attester1.address, attester2.address, timestamp);
+    const [signature1, signature2] = await Promise.all(signers.map((s) => signAttestation(s, domain, value)));
+    return { attester1: attester1.address, attester2: attester2.address, timestamp, signature1, signature2 };
+  }
+
+  test("accepts a valid typed-data attestation", async () => {
+    const attestation = await build();
+    const result = verifyArrivalAttestation({ attestation, arriver: arriver.address, domain, participants, meetingTime: MEETING });
+    expect(failed(result)).toEqual([]);
+    expect(result.ok).toBe(true);
+  });
+
+  test("accepts legacy personal_sign signatures like the contract does", async () => {
+    const attestation = await build();
+    const digest = attestationDigest(domain, attestationValue(arriver.address, attester1.address, attester2.address, attestation.timestamp));
+    attestation.signature1 = await attester1.signMessage(ethers.utils.arrayify(digest));
+    const result = verifyArrivalAttestation({ attestation, arriver: arriver.address, domain, participants, meetingTime: MEETING });
+    expect(result.ok).toBe(true);
+  });
+
+  test("rejects a signature from someone else", async () => {
+    const attestation = await build([attester1, outsider]);
+    const result = verifyArrivalAttestation({ attestation, arriver: arriver.address, domain, participants, meetingTime: MEETING });
+    expect(failed(result)).toEqual(["Signatures are from both attesters"]);
+  });
+
+  test("rejects attestations from before the meeting and self-attestation", async () => {
+    const attestation = await build(undefined, MEETING - 1);
+    const result = verifyArrivalAttestation({ attestation, arriver: attester1.address, domain, participants, meetingTime: MEETING });
+    expect(failed(result)).toEqual(
+      expect.arrayContaining(["Arriver is not an attester", "Timestamp is not before the meeting time"])
+    );
+  });
+
+  test("stops early on missing fields", () => {
+    const result = verifyArrivalAttestation({ attestation: {}, arriver: arriver.address, domain, participants, meetingTime: MEETING });
+    expect(failed(result)).toEqual(["Required fields present"]);
+  });
+});
+
+describe("verifyMutualAttestation", () => {
+  const a = arriver;
+  const b = attester1;
+
+  async function build(timestamp = MEETING + 60) {
+    return {
+      type: "mutual",
+      a: a.address,
+      b: b.address,
+      timestamp,
+      sigAForB: await signMutual(a, domain, mutualValue(b.address, a.address, timestamp)),
+      sigBForA: await signMutual(b, domain, mutualValue(a.address, b.address, timestamp)),
+    };
+  }
+
+  test("accepts both signatures for either caller", async () => {
+    const attestation = await build();
+    for (const caller of [a.address, b.address]) {
+      const result = verifyMutualAttestation({ attestation, caller, domain, participants, meetingTime: MEETING });
+      expect(failed(result)).toEqual([]);
+    }
+  });
+
+  test("rejects swapped signatures and outside callers", async () => {
+    const attestation = await build();
+    const swapped = { ...attestation, sigAForB: attestation.sigBForA, sigBForA: attestation.sigAForB };
+    const result = verifyMutualAttestation({ attestation: swapped, caller: outsider.address, domain, participants, meetingTime: MEETING });
+    expect(failed(result)).toEqual([
+      "Connected account is part of the attestation",
+      "A's signature attests B",
+      "B's signature attests A",
+    ]);
+  });
+});
+
+describe("verifyAttestationRequest", () => {
+  const request = { arriver: arriver.address, attesters: [attester1.address, attester2.address], participants, meetingTime: MEETING };
+
+  test("accepts a current request from participants", () => {
+    const result = verifyAttestationRequest({ ...request, timestamp: MEETING + 60, now: MEETING + 90, maxSkew: 300 });
+    expect(failed(result)).toEqual([]);
+  });
+
+  test("rejects outsiders, pre-meeting and stale timestamps", () => {
+    const outsiderRequest = { ...request, arriver: outsider.address, attesters: [attester1.address, outsider.address] };
+    expect(failed(verifyAttestationRequest({ ...outsiderRequest, timestamp: MEETING, now: MEETING, maxSkew: 300 }))).toEqual([
+      "Arriver is a participant",
+      "Attesters are participants",
+    ]);
+    expect(failed(verifyAttestationRequest({ ...request, timestamp: MEETING - 10, now: MEETING, maxSkew: 300 }))).toEqual([
+      "Timestamp is not before the meeting time",
+    ]);
+    expect(failed(verifyAttestationRequest({ ...request, timestamp: MEETING + 60, now: MEETING + 3600, maxSkew: 300 }))).toEqual([
+      "Timestamp is close to now",
+    ]);
+  });
+});
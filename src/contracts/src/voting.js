@@ -0,0 +1,113 @@
+// Voting resolution helpers, mirroring reportOnlyArrived() and the voting branch of finalize()
+import { ethers } from "ethers";
+import { countRecordedArrivals } from "./meetup.js";
+import { sameAddress } from "./format.js";
+
+// quorum = ceil(2N/3), written the same way as the contract
+export function quorumFor(n) {
+  return Math.floor((2 * n + 2) / 3);
+}
+
+// reportOnlyArrived() accepts votes within [meetingTime, meetingTime + reportingWindowSeconds]
+export function reportingWindow(snapshot, now = snapshot.blockTime) {
+  const opensAt = snapshot.meetingTime;
+  const closesAt = snapshot.meetingTime + snapshot.reportingWindowSeconds;
+  let phase = "open";
+  if (now < opensAt) phase = "not-open";
+  else if (now > closesAt) phase = "closed";
+  return { opensAt, closesAt, phase, open: phase === "open" };
+}
+
+// Why the connected account may not vote right now (null when it can)
+export function voteBlocker(snapshot, now = snapshot.blockTime) {
+  const { me } = snapshot;
+  if (!me) return "Connected account is not a participant.";
+  const window = reportingWindow(snapshot, now);
+  if (window.phase === "not-open") return "Reporting not yet open.";
+  if (window.phase === "closed") return "Reporting window closed.";
+  if (me.vote) return "You already reported.";
+  if (!me.balance.eq(snapshot.depositAmount)) return "Only deposited participants may report.";
+  return null;
+}
+
+// Tally in participant order; like finalize(), a tie keeps the earlier participant
+export function tallyVotes(snapshot) {
+  const n = snapshot.participants.length;
+  let winning = null;
+  let winningCount = 0;
+  for (const p of snapshot.participants) {
+    if (p.voteCount > winningCount) {
+      winningCount = p.voteCount;
+      winning = p.address;
+    }
+  }
+  const quorum = quorumFor(n);
+  return {
+    quorum,
+    totalVotes: snapshot.totalVotes,
+    winning,
+    winningCount,
+    quorumReached: !!winning && winningCount >= quorum,
+  };
+}
+
+// Would finalize() take the voting branch at time `now`?
+export function votingBranchApplies(snapshot, now = snapshot.blockTime) {
+  const votingWindowExpired = now > snapshot.meetingTime + snapshot.reportingWindowSeconds;
+  return (
+    countRecordedArrivals(snapshot) === 0 &&
+    votingWindowExpired &&
+    snapshot.totalVotes > 0 &&
+    tallyVotes(snapshot).quorumReached
+  );
+}
+
+// Balances after the voting branch of finalize(), given the current votes.
+// Note: the contract loop `continue`s without ++i when a non-winner has not deposited,
+// so finalize() runs out of gas in that case; `stuck` flags it.
+export function previewVotingDistribution(snapshot) {
+  const { depositAmount, honestyRatePercent } = snapshot;
+  const tally = tallyVotes(snapshot);
+  if (!tally.quorumReached) {
+    return { ...tally, payouts: [], stuck: false };
+  }
+
+  const balances = new Map(snapshot.participants.map((p) => [p.address, p.balance]));
+  const outcomes = new Map();
+  let winnerBalance = ethers.BigNumber.from(0);
+  let stuck = false;
+
+  if (balances.get(tally.winning).eq(depositAmount)) {
+    winnerBalance = winnerBalance.add(balances.get(tally.winning));
+    balances.set(tally.winning, ethers.BigNumber.from(0));
+  }
+  outcomes.set(tally.winning, "winner");
+
+  for (const p of snapshot.participants) {
+    if (p.address === tally.winning) continue;
+    if (!balances.get(p.address).eq(depositAmount)) {
+      stuck = true;
+      outcomes.set(p.address, "no-deposit");
+      continue;
+    }
+    if (sameAddress(p.vote, tally.winning)) {
+      const honestBack = depositAmount.mul(honestyRatePercent).div(100);
+      balances.set(p.address, honestBack);
+      winnerBalance = winnerBalance.add(depositAmount.sub(honestBack));
+      outcomes.set(p.address, "honest");
+    } else {
+      balances.set(p.address, ethers.BigNumber.from(0));
+      winnerBalance = winnerBalance.add(depositAmount);
+      outcomes.set(p.address, "punished");
+    }
+  }
+  balances.set(tally.winning, winnerBalance);
+
+  const payouts = snapshot.participants.map((p) => ({
+    address: p.address,
+    before: p.balance,
+    after: balances.get(p.address),
+    outcome: outcomes.get(p.address),
+  }));
+  return { ...tally, payouts, stuck };
+}
@@ -0,0 +1,9 @@
+// Invites for a freshly deployed meetup (constructor args: validateMeetupForm in @project/contracts)
+import { ethers } from "ethers";
+import { appUrl, meetupPath } from "./routes";
+
+// Link that adds the meetup on the invitee's side, with its metadata document if any. It is also
+// the invite QR's content: any camera app opens it, and the in-app scanner follows /m links too.
+export function buildInviteLink(address, chainId, { metadataCid = null, origin = window.location.origin } = {}) {
+  return appUrl(meetupPath(ethers.utils.getAddress(address), { chainId, metadataCid }), origin);
+}
@@ -0,0 +1,175 @@
+// Demo mode (open the app with ?demo): simulated participants sharing one tab, an
+// in-memory chain (lib/demoChain) with a movable clock and an in-memory IPFS store.
+// The app talks to it through the same EIP-1193 interface as a browser wallet, so
+// every flow — deposit, attest, vote, finalize, withdraw — runs the real code paths.
+import { ethers } from "ethers";
+import { MeetupClient, abis, buildMeetupMetadata, bytecodes, rawCid, sameAddress } from "../contracts";
+import { createDemoChain, rpcError } from "./demoChain";
+import { createMemoryIpfs } from "./ipfs";
+import { createPresenceToken } from "./presence";
+import { createSeenNonceStore, decodeQrMessage, encodeQrMessage } from "./qrProtocol";
+import { ROUTE, linkRoute } from "./routes";
+
+export const DEMO_NAMES = ["Alice", "Bob", "Carol", "Dave"];
+
+// the meetup every demo starts with
+export const DEMO_MEETUP = {
+  startsIn: 10 * 60,
+  depositEth: "0.01",
+  penaltyRatePerMinute: 200, // 2% of the deposit per minute late
+  honestyRatePercent: 50,
+  reportingWindowSeconds: 60 * 60,
+  // published as its metadata document, organized by the first participant
+  details: {
+    title: "Demo meetup",
+    description: "Everyone meets at the fountain; whoever is late pays the others.",
+    venue: { name: "Fountain, Central Park", lat: 40.7757, lon: -73.9712 },
+  },
+};
+
+export function isDemoRequested(location = window.location, env = process.env) {
+  return new URLSearchParams(location.search).has("demo") || env.REACT_APP_DEMO === "1";
+}
+
+// localStorage stand-in, so the demo doesn't touch the real meetup registry
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k),
+  };
+}
+
+// EIP-1193 wallet over the demo chain holding every demo key; `select` switches the
+// connected account and fires accountsChanged like a browser wallet would
+function createDemoWallet(chain, signers) {
+  let selected = signers[0].address;
+  const handlers = { accountsChanged: new Set(), chainChanged: new Set() };
+  const signerFor = (address) => {
+    const signer = signers.find((s) => sameAddress(s.address, address));
+    if (!signer) throw rpcError(4100, `The demo wallet has no key for ${address}`);
+    return signer;
+  };
+
+  async function request({ method, params = [] }) {
+    switch (method) {
+      case "eth_accounts":
+      case "eth_requestAccounts":
+        return [selected];
+      case "wallet_switchEthereumChain":
+        if (Number(params[0]?.chainId) !== chain.chainId) throw rpcError(4902, "The demo wallet only knows the demo chain");
+        return null;
+      case "personal_sign":
+        return signerFor(params[1]).signMessage(ethers.utils.arrayify(params[0]));
+      case "eth_signTypedData_v4": {
+        const { domain, types, message } = JSON.parse(params[1]);
+        const { EIP712Domain, ...messageTypes } = types;
+        return signerFor(params[0])._signTypedData(domain, messageTypes, message);
+      }
+      case "eth_sendTransaction": {
+        const tx = params[0];
+        if (!sameAddress(tx.from, selected)) throw rpcError(4100, `Transaction from ${tx.from}, but ${selected} is connected`);
+        return chain.sendTransaction(tx);
+      }
+      default:
+        return chain.request({ method, params });
+    }
+  }
+
+  return {
+    request,
+    on: (event, fn) => handlers[event]?.add(fn),
+    removeListener: (event, fn) => handlers[event]?.delete(fn),
+    selected: () => selected,
+    select(address) {
+      selected = signerFor(address).address;
+      handlers.accountsChanged.forEach((fn) => fn([selected]));
+    },
+  };
+}
+
+// A fresh demo: funded participants, a deployed meetup that starts in DEMO_MEETUP.startsIn
+// seconds, the wallet (connected to the first participant), IPFS store and registry storage.
+export function createDemo({ clock, names = DEMO_NAMES, meetup = DEMO_MEETUP } = {}) {
+  const chain = createDemoChain({ clock });
+  const readProvider = new ethers.providers.Web3Provider({ request: chain.request });
+  const signers = names.map((name) => new ethers.Wallet(ethers.utils.id(`meetup demo ${name}`), readProvider));
+  signers.forEach((s) => chain.fund(s.address, ethers.utils.parseEther("100")));
+
+  const participants = signers.map((s) => s.address);
+  const args = [
+    participants,
+    chain.now() + meetup.startsIn,
+    ethers.utils.parseEther(meetup.depositEth),
+    meetup.penaltyRatePerMinute,
+    meetup.honestyRatePercent,
+    meetup.reportingWindowSeconds,
+  ];
+  const { data } = new ethers.ContractFactory(abis.meetup, bytecodes.meetup.bytecode).getDeployTransaction(...args);
+  chain.sendTransaction({ from: participants[0], data });
+  const address = ethers.utils.getContractAddress({ from: participants[0], nonce: 0 }); // first transaction on a fresh chain
+
+  // the memory store keeps a block as soon as it is added, so the CID is known right away
+  const ipfs = createMemoryIpfs();
+  let metadataCid = null;
+  if (meetup.details) {
+    const organizer = { name: names[0], address: participants[0] };
+    const metadata = buildMeetupMetadata({ organizer, ...meetup.details, contract: address, chainId: chain.chainId });
+    metadataCid = rawCid(ethers.utils.toUtf8Bytes(JSON.stringify(metadata)));
+    ipfs.addJson(metadata, { name: "meetup-metadata" });
+  }
+
+  return {
+    chain,
+    ethereum: createDemoWallet(chain, signers),
+    ipfs,
+    storage: createMemoryStorage(),
+    meetup: address,
+    metadataCid,
+    participants: signers.map((s, i) => ({ name: names[i], address: s.address })),
+    // MeetupClient acting as another participant, for the peer side of QR flows
+    clientFor: (participant) =>
+      new MeetupClient({ address, signer: signers.find((s) => sameAddress(s.address, participant)) }),
+  };
+}
+
+// What a simulated participant shows back after scanning `content` (a message or a /q link):
+// the QR content of their answer, or null if the message isn't addressed to them. Mirrors
+// the app's handlers for attest-request and mutual-request on the peer's device.
+export async function respondAsPeer(demo, peer, content) {
+  const link = linkRoute(content);
+  if (link?.name === ROUTE.qr) content = link.payload;
+  const client = demo.clientFor(peer);
+  const { chainId } = await client.domain();
+  const now = demo.chain.now();
+  const { type, body } = decodeQrMessage(content, {
+    chainId,
+    contract: client.address,
+    now,
+    seenNonces: createSeenNonceStore(createMemoryStorage(), () => now),
+  });
+  const envelope = { chainId, contract: client.address, now };
+
+  if (type === "attest-request") {
+    if (!sameAddress(peer, body.attester1) && !sameAddress(peer, body.attester2)) return null;
+    const signature = await client.signArrival({ ...body, timestamp: body.ts });
+    const { arriver, attester1, attester2, ts } = body;
+    return encodeQrMessage("attest-sig", { arriver, attester1, attester2, ts, attester: peer, signature }, envelope);
+  }
+  if (type === "mutual-request") {
+    if (!sameAddress(peer, body.b)) return null;
+    const sigOtherForCaller = await client.signMutual({ a: body.a, b: body.b, timestamp: body.ts });
+    return encodeQrMessage("mutual-sig", { a: body.a, b: body.b, ts: body.ts, sigOtherForCaller }, envelope);
+  }
+  return null;
+}
+
+// A simulated participant's "Generate my QR"
+export async function peerPresenceQr(demo, peer) {
+  const client = demo.clientFor(peer);
+  const { chainId } = await client.domain();
+  const now = demo.chain.now();
+  const token = await createPresenceToken(client.signer, { contract: client.address, chainId, now });
+  return encodeQrMessage("presence", token, { chainId, contract: client.address, now });
+}
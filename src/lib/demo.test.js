@@ -0,0 +1,97 @@
+import { ethers } from "ethers";
+import { MeetupClient, STATE } from "../contracts";
+import { DEMO_MEETUP, createDemo, peerPresenceQr, respondAsPeer } from "./demo";
+import { decodeQrMessage, encodeQrMessage } from "./qrProtocol";
+import { appUrl, qrPath } from "./routes";
+
+const T0 = 1_800_000_000;
+
+function setup() {
+  const demo = createDemo({ clock: () => T0 });
+  const [alice, bob, carol, dave] = demo.participants.map((p) => p.address);
+  // one signer for the whole test: it follows the demo wallet's selected account
+  const signer = new ethers.providers.Web3Provider(demo.ethereum).getSigner();
+  const client = new MeetupClient({ address: demo.meetup, signer, ipfs: demo.ipfs });
+  const as = (address) => {
+    demo.ethereum.select(address);
+    return client;
+  };
+  return { demo, client, as, alice, bob, carol, dave };
+}
+
+test("rehearses deposit, attest, vote, finalize and withdraw on the in-memory chain", async () => {
+  const { demo, client, as, alice, bob, carol, dave } = setup();
+  expect(await client.state()).toBe(STATE.Created);
+  expect(await client.fetchMetadata(demo.metadataCid)).toMatchObject({ title: DEMO_MEETUP.details.title, organizer: { address: alice } });
+  for (const p of [alice, bob, carol, dave]) await as(p).deposit();
+  await expect(as(alice).send("deposit", [], { overrides: { value: 1 } })).rejects.toMatchObject({ reason: "Incorrect deposit amount" });
+
+  demo.chain.increaseTime(DEMO_MEETUP.startsIn);
+  const ts = demo.chain.now();
+  const request = { arriver: alice, attester1: bob, attester2: carol, timestamp: ts };
+  const arrival = {
+    ...request,
+    signature1: await demo.clientFor(bob).signArrival(request),
+    signature2: await demo.clientFor(carol).signArrival(request),
+  };
+  await as(alice).confirmArrival(arrival, await client.uploadAttestation(arrival));
+  expect(await client.arrivalTime(alice)).toBe(ts);
+
+  // Bob and Carol vouch for each other two minutes late
+  const late = ts + 120;
+  const mutual = {
+    type: "mutual",
+    a: bob,
+    b: carol,
+    timestamp: late,
+    sigAForB: await demo.clientFor(bob).signMutual({ a: carol, b: bob, timestamp: late }),
+    sigBForA: await demo.clientFor(carol).signMutual({ a: bob, b: carol, timestamp: late }),
+  };
+  await as(bob).confirmMutualArrival(mutual, await client.uploadAttestation(mutual, "mutual"));
+  expect(await client.arrivalTime(carol)).toBe(late);
+  expect(await client.fetchAttestation(await client.arrivalProof(carol))).toEqual(mutual);
+
+  await as(dave).reportOnlyArrived(alice);
+  await expect(as(dave).finalize()).rejects.toMatchObject({ reason: "Finalization window not yet open" });
+
+  demo.chain.increaseTime(DEMO_MEETUP.reportingWindowSeconds + 1);
+  const preview = await client.payoutPreview(demo.chain.now());
+  expect(preview.reverts).toBeNull();
+  await as(dave).finalize();
+  expect(await client.state()).toBe(STATE.Finalized);
+
+  // Alice was on time, Bob and Carol two minutes late (2% each), Dave never arrived
+  const expected = { [alice]: "0.0108", [bob]: "0.0096", [carol]: "0.0096", [dave]: "0.01" };
+  for (const p of [alice, bob, carol, dave]) expect(ethers.utils.formatEther(await client.balanceOf(p))).toBe(expected[p]);
+
+  // the model ports finalize() on its own, so the preview is checked against it
+  for (const payout of preview.payouts) {
+    expect((await client.balanceOf(payout.address)).toString()).toBe(payout.after.toString());
+    const before = demo.chain.balanceOf(payout.address);
+    await as(payout.address).withdraw();
+    expect(demo.chain.balanceOf(payout.address).sub(before).toString()).toBe(payout.after.toString()); // no gas in the demo
+  }
+  await expect(as(dave).withdraw()).rejects.toMatchObject({ reason: "No balance to withdraw" });
+  expect((await client.snapshot(null)).contractBalance.toString()).toBe("0");
+});
+
+test("simulated participants answer the QR requests addressed to them", async () => {
+  const { demo, alice, bob, carol, dave } = setup();
+  demo.chain.increaseTime(DEMO_MEETUP.startsIn);
+  const now = demo.chain.now();
+  const envelope = { chainId: demo.chain.chainId, contract: demo.meetup, now };
+  const decode = (content) => decodeQrMessage(content, { chainId: demo.chain.chainId, contract: demo.meetup, now });
+
+  const attestRequest = encodeQrMessage("attest-request", { arriver: alice, attester1: bob, attester2: carol, ts: now }, envelope);
+  expect(await respondAsPeer(demo, dave, attestRequest)).toBeNull();
+  const { type, body } = decode(await respondAsPeer(demo, carol, attestRequest));
+  expect(type).toBe("attest-sig");
+  const client = new MeetupClient({ address: demo.meetup, provider: demo.clientFor(alice).provider });
+  expect(await client.arrivalSigner({ ...body, timestamp: body.ts }, body.signature)).toBe(carol);
+  // requests shown as links (lib/routes) are answered the same way
+  expect(decode(await respondAsPeer(demo, bob, appUrl(qrPath(attestRequest), "https://meetup.example"))).type).toBe("attest-sig");
+
+  const presence = decode(await peerPresenceQr(demo, bob));
+  expect(presence.type).toBe("presence");
+  expect(presence.body.payload).toMatchObject({ address: bob, ts: now });
+});
@@ -0,0 +1,343 @@
+// In-memory EVM stand-in for demo mode and tests: accounts, blocks, logs and EscrowContract
+// deployments (contracts/escrowModel) behind the EIP-1193 request() interface ethers'
+// Web3Provider speaks. Every transaction is mined at once, in its own block. The clock can
+// be moved forward to reach the meeting, reporting and finalize windows without waiting.
+import { ethers } from "ethers";
+import { EscrowModel, Revert, abis, bytecodes } from "../contracts";
+
+export const DEMO_CHAIN_ID = 31337;
+
+const ZERO = ethers.BigNumber.from(0);
+const GAS_LIMIT = 30_000_000;
+const GAS_USED = 100_000;
+
+const iface = new ethers.utils.Interface(abis.meetup);
+const hex = (n) => ethers.BigNumber.from(n).toHexString().replace(/^0x0+(?=.)/, "0x");
+
+// EIP-1193 error (ethers reads `code`, `message` and revert `data`)
+export function rpcError(code, message, data) {
+  const err = new Error(message);
+  err.code = code;
+  if (data !== undefined) err.data = data;
+  return err;
+}
+
+function revertData(err) {
+  if (err.panic != null) return "0x4e487b71" + ethers.utils.defaultAbiCoder.encode(["uint256"], [err.panic]).slice(2);
+  return "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], [err.reason]).slice(2);
+}
+
+// clock: () => unix seconds of the wall clock; the chain adds its own offset on top
+export function createDemoChain({ chainId = DEMO_CHAIN_ID, clock = () => Math.floor(Date.now() / 1000) } = {}) {
+  let offset = 0;
+  const balances = new Map(); // lowercase address → BigNumber
+  const nonces = new Map();
+  const contracts = new Map(); // lowercase address → EscrowModel
+  const blocks = [];
+  const transactions = new Map(); // hash → { tx, receipt }
+  const logs = [];
+  const listeners = new Set();
+
+  const now = () => clock() + offset;
+
+  function mine(txHashes = [], timestamp = now()) {
+    const parent = blocks[blocks.length - 1];
+    const number = blocks.length;
+    const block = {
+      number,
+      timestamp: Math.max(timestamp, parent?.timestamp ?? 0),
+      hash: ethers.utils.id(`demo-block:${chainId}:${number}:${timestamp}`),
+      parentHash: parent?.hash ?? ethers.constants.HashZero,
+      transactions: txHashes,
+    };
+    blocks.push(block);
+    listeners.forEach((fn) => fn(block));
+    return block;
+  }
+
+  mine(); // genesis
+
+  const balanceOf = (address) => balances.get(address.toLowerCase()) ?? ZERO;
+  const nonceOf = (address) => nonces.get(address.toLowerCase()) ?? 0;
+
+  function blockFor(tag) {
+    if (tag === undefined || tag === "latest" || tag === "pending" || tag === "safe" || tag === "finalized") {
+      return blocks[blocks.length - 1];
+    }
+    if (tag === "earliest") return blocks[0];
+    return blocks[Number(tag)] ?? null;
+  }
+
+  // copies of everything a call may touch, so a revert leaves the chain as it was
+  function copyWorld() {
+    return {
+      balances: new Map(balances),
+      contracts: new Map([...contracts].map(([a, c]) => [a, c.clone()])),
+      logs: [],
+    };
+  }
+
+  // run `fn(world)` on a copy and keep it only if it returns
+  function transact(fn) {
+    const world = copyWorld();
+    const result = fn(world);
+    balances.clear();
+    world.balances.forEach((v, k) => balances.set(k, v));
+    contracts.clear();
+    world.contracts.forEach((v, k) => contracts.set(k, v));
+    return { result, logs: world.logs };
+  }
+
+  function move(world, from, to, amount) {
+    if (amount.isZero()) return;
+    const fromKey = from.toLowerCase();
+    const available = world.balances.get(fromKey) ?? ZERO;
+    if (available.lt(amount)) throw rpcError(-32000, "insufficient funds for transfer");
+    world.balances.set(fromKey, available.sub(amount));
+    world.balances.set(to.toLowerCase(), (world.balances.get(to.toLowerCase()) ?? ZERO).add(amount));
+  }
+
+  // one message call or deployment; throws Revert / rpcError without touching chain state
+  function execute(world, { from, to, data = "0x", value = ZERO }, timestamp) {
+    const sender = ethers.utils.getAddress(from);
+    if (!to) {
+      if (!data.startsWith(bytecodes.meetup.bytecode)) {
+        throw rpcError(-32000, "The demo chain can only deploy EscrowContract");
+      }
+      const args = ethers.utils.defaultAbiCoder.decode(iface.deploy.inputs, "0x" + data.slice(bytecodes.meetup.bytecode.length));
+      const address = ethers.utils.getContractAddress({ from: sender, nonce: nonceOf(sender) });
+      world.contracts.set(address.toLowerCase(), new EscrowModel({ address, chainId }, args, { timestamp }));
+      return { contractAddress: address, output: "0x" };
+    }
+
+    const target = ethers.utils.getAddress(to);
+    move(world, sender, target, value);
+    const contract = world.contracts.get(target.toLowerCase());
+    if (!contract) return { output: "0x" }; // plain transfer, or a call to an address without code
+
+    const fn = iface.getFunction(data.slice(0, 10));
+    const args = iface.decodeFunctionData(fn, data);
+    if (fn.stateMutability === "view" || fn.stateMutability === "pure") {
+      return { output: iface.encodeFunctionResult(fn, [].concat(contract.view(fn.name, [...args]))) };
+    }
+    if (!value.isZero() && !fn.payable) throw new Revert("non-payable function received ether");
+    const ctx = {
+      sender,
+      value,
+      timestamp,
+      emit: (name, ...eventArgs) => world.logs.push({ address: target, ...iface.encodeEventLog(iface.getEvent(name), eventArgs) }),
+      transfer: (recipient, amount) => move(world, target, recipient, amount),
+    };
+    contract[fn.name](ctx, ...args);
+    return { output: "0x" };
+  }
+
+  function asRevert(err) {
+    if (err instanceof Revert && err.outOfGas) return rpcError(-32000, "out of gas");
+    if (err instanceof Revert) {
+      return rpcError(3, `execution reverted: ${err.reason}`, revertData(err));
+    }
+    return err;
+  }
+
+  // eth_call / eth_estimateGas: execute on a throwaway copy
+  function simulate(call) {
+    try {
+      return execute(copyWorld(), normalizeCall(call), now());
+    } catch (err) {
+      throw asRevert(err);
+    }
+  }
+
+  function normalizeCall({ from, to, data, input, value }) {
+    return {
+      from: from ?? ethers.constants.AddressZero,
+      to: to ?? null,
+      data: data ?? input ?? "0x",
+      value: value ? ethers.BigNumber.from(value) : ZERO,
+    };
+  }
+
+  // Mine `call` from an unlocked account (the demo wallet has checked who signs). Reverted
+  // transactions are mined with status 0, as on a real chain. Returns the transaction hash.
+  function sendTransaction(call) {
+    const tx = normalizeCall(call);
+    const nonce = nonceOf(tx.from);
+    const hash = ethers.utils.id(`demo-tx:${chainId}:${tx.from.toLowerCase()}:${nonce}`);
+    const timestamp = Math.max(now(), blocks[blocks.length - 1].timestamp);
+
+    let status = 1;
+    let outcome = { result: {}, logs: [] };
+    try {
+      outcome = transact((world) => execute(world, tx, timestamp));
+    } catch (err) {
+      if (!(err instanceof Revert)) throw err;
+      status = 0;
+    }
+    nonces.set(tx.from.toLowerCase(), nonce + 1);
+
+    const block = mine([hash], timestamp);
+    const position = { blockNumber: block.number, blockHash: block.hash, transactionIndex: 0, transactionHash: hash };
+    const txLogs = outcome.logs.map((log, logIndex) => ({ ...log, ...position, logIndex }));
+    logs.push(...txLogs);
+    transactions.set(hash, {
+      tx: { ...tx, hash, nonce, ...position },
+      receipt: { ...position, status, contractAddress: outcome.result.contractAddress ?? null, logs: txLogs },
+    });
+    return hash;
+  }
+
+  function formatBlock(block, full) {
+    return {
+      number: hex(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: hex(block.timestamp),
+      nonce: "0x0000000000000000",
+      difficulty: "0x0",
+      gasLimit: hex(GAS_LIMIT),
+      gasUsed: hex(block.transactions.length * GAS_USED),
+      miner: ethers.constants.AddressZero,
+      extraData: "0x",
+      baseFeePerGas: "0x0",
+      transactions: full ? block.transactions.map((h) => formatTransaction(transactions.get(h).tx)) : block.transactions,
+    };
+  }
+
+  function formatTransaction(tx) {
+    return {
+      hash: tx.hash,
+      from: tx.from,
+      to: tx.to,
+      nonce: hex(tx.nonce),
+      gas: hex(GAS_USED),
+      gasPrice: "0x0",
+      input: tx.data,
+      value: hex(tx.value),
+      chainId: hex(chainId),
+      type: "0x0",
+      blockHash: tx.blockHash,
+      blockNumber: hex(tx.blockNumber),
+      transactionIndex: hex(tx.transactionIndex),
+    };
+  }
+
+  function formatLog(log) {
+    return {
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      blockNumber: hex(log.blockNumber),
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      transactionIndex: hex(log.transactionIndex),
+      logIndex: hex(log.logIndex),
+      removed: false,
+    };
+  }
+
+  function formatReceipt(receipt, tx) {
+    return {
+      transactionHash: receipt.transactionHash,
+      transactionIndex: hex(receipt.transactionIndex),
+      blockHash: receipt.blockHash,
+      blockNumber: hex(receipt.blockNumber),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: receipt.contractAddress,
+      cumulativeGasUsed: hex(GAS_USED),
+      gasUsed: hex(GAS_USED),
+      effectiveGasPrice: "0x0",
+      logs: receipt.logs.map(formatLog),
+      logsBloom: "0x" + "00".repeat(256),
+      status: hex(receipt.status),
+      type: "0x0",
+    };
+  }
+
+  function topicMatches(wanted, actual) {
+    if (wanted == null) return true;
+    return [].concat(wanted).some((t) => t.toLowerCase() === actual?.toLowerCase());
+  }
+
+  function getLogs({ fromBlock, toBlock, address, topics = [], blockHash }) {
+    const from = blockHash ? blocks.find((b) => b.hash === blockHash)?.number : blockFor(fromBlock ?? "latest").number;
+    const to = blockHash ? from : blockFor(toBlock ?? "latest").number;
+    const addresses = address ? [].concat(address).map((a) => a.toLowerCase()) : null;
+    return logs
+      .filter((log) => log.blockNumber >= from && log.blockNumber <= to)
+      .filter((log) => !addresses || addresses.includes(log.address.toLowerCase()))
+      .filter((log) => topics.every((t, i) => topicMatches(t, log.topics[i])))
+      .map(formatLog);
+  }
+
+  // JSON-RPC methods that need no account; wallets add the signing ones (lib/demo)
+  async function request({ method, params = [] }) {
+    switch (method) {
+      case "eth_chainId":
+        return hex(chainId);
+      case "net_version":
+        return String(chainId);
+      case "eth_blockNumber":
+        return hex(blocks.length - 1);
+      case "eth_gasPrice":
+      case "eth_maxPriorityFeePerGas":
+        return "0x0";
+      case "eth_accounts":
+        return [];
+      case "eth_getBalance":
+        return hex(balanceOf(params[0]));
+      case "eth_getTransactionCount":
+        return hex(nonceOf(params[0]));
+      case "eth_getCode":
+        return contracts.has(params[0].toLowerCase()) ? bytecodes.meetup.deployedBytecode : "0x";
+      case "eth_getBlockByNumber": {
+        const block = blockFor(params[0]);
+        return block ? formatBlock(block, params[1]) : null;
+      }
+      case "eth_getBlockByHash": {
+        const block = blocks.find((b) => b.hash === params[0]);
+        return block ? formatBlock(block, params[1]) : null;
+      }
+      case "eth_getTransactionByHash": {
+        const found = transactions.get(params[0]);
+        return found ? formatTransaction(found.tx) : null;
+      }
+      case "eth_getTransactionReceipt": {
+        const found = transactions.get(params[0]);
+        return found ? formatReceipt(found.receipt, found.tx) : null;
+      }
+      case "eth_getLogs":
+        return getLogs(params[0] ?? {});
+      case "eth_call":
+        return simulate(params[0]).output;
+      case "eth_estimateGas":
+        simulate(params[0]);
+        return hex(GAS_USED);
+      default:
+        throw rpcError(4200, `The demo chain does not support ${method}`);
+    }
+  }
+
+  return {
+    chainId,
+    request,
+    sendTransaction,
+    now,
+    // move the clock forward and mine an empty block at the new time
+    increaseTime(seconds) {
+      offset += Math.max(0, Math.floor(seconds));
+      return mine();
+    },
+    fund(address, amount) {
+      balances.set(address.toLowerCase(), balanceOf(address).add(amount));
+    },
+    balanceOf,
+    latestBlock: () => blocks[blocks.length - 1],
+    // fn(block) after every mined block; returns an unsubscribe function
+    onBlock(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,49 @@
+import { ethers } from "ethers";
+import { abis, bytecodes } from "../contracts";
+import { createDemoChain } from "./demoChain";
+
+const T0 = 1_800_000_000;
+const ALICE = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const BOB = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+
+function deploy(chain, meetingTime = T0 + 600) {
+  const factory = new ethers.ContractFactory(abis.meetup, bytecodes.meetup.bytecode);
+  const { data } = factory.getDeployTransaction([ALICE, BOB], meetingTime, 100, 200, 50, 3600);
+  const hash = chain.sendTransaction({ from: ALICE, data });
+  return chain.request({ method: "eth_getTransactionReceipt", params: [hash] });
+}
+
+test("mines every transaction in its own block and moves the clock on request", async () => {
+  const chain = createDemoChain({ clock: () => T0 });
+  const provider = new ethers.providers.Web3Provider({ request: chain.request });
+  const receipt = await deploy(chain);
+  expect(receipt.contractAddress).toBe(ethers.utils.getContractAddress({ from: ALICE, nonce: 0 }));
+  expect(await provider.getBlockNumber()).toBe(1);
+  expect(await provider.getCode(receipt.contractAddress)).toBe(bytecodes.meetup.deployedBytecode);
+
+  chain.increaseTime(3600);
+  expect((await provider.getBlock("latest")).timestamp).toBe(T0 + 3600);
+  expect(chain.now()).toBe(T0 + 3600);
+});
+
+test("reverts decode like a real node and leave state untouched", async () => {
+  const chain = createDemoChain({ clock: () => T0 });
+  chain.fund(BOB, 1000);
+  const { contractAddress } = await deploy(chain);
+  const contract = new ethers.Contract(contractAddress, abis.meetup, new ethers.providers.Web3Provider({ request: chain.request }));
+
+  await expect(contract.callStatic.deposit({ from: BOB, value: 99 })).rejects.toMatchObject({ reason: "Incorrect deposit amount" });
+  await expect(contract.participants(2)).rejects.toThrow();
+
+  // a failed transaction is still mined, with status 0 and no balance change
+  const hash = chain.sendTransaction({ from: BOB, to: contractAddress, data: contract.interface.encodeFunctionData("withdraw") });
+  const receipt = await chain.request({ method: "eth_getTransactionReceipt", params: [hash] });
+  expect(receipt.status).toBe("0x0");
+  expect(chain.balanceOf(BOB).toNumber()).toBe(1000);
+
+  chain.sendTransaction({ from: BOB, to: contractAddress, data: contract.interface.encodeFunctionData("deposit"), value: "0x64" });
+  expect(chain.balanceOf(BOB).toNumber()).toBe(900);
+  expect((await contract.balances(BOB)).toNumber()).toBe(100);
+  const [log] = await contract.queryFilter(contract.filters.Deposited());
+  expect(log.args.participant).toBe(BOB);
+});
@@ -0,0 +1,169 @@
+// Health checks for "why doesn't it work here?": wallet, network, contract, participation and IPFS.
+// Every check runs on its own, so one failure never hides the others.
+import { ethers } from "ethers";
+import { STATE, STATE_LABELS, formatEth, readParticipants, sameAddress } from "../contracts";
+import { PROVIDER_MODE } from "./providers";
+import { chainName, isWrongChain } from "./wallet";
+
+export const CHECK_STATUS = { pass: "pass", warn: "warn", fail: "fail" };
+
+const RANK = { pass: 0, warn: 1, fail: 2 };
+
+// Zero the byte ranges solc fills with immutables at deploy time ({ [astId]: [{ start, length }] })
+export function maskImmutables(hex, immutableReferences = {}) {
+  const chars = hex.toLowerCase().replace(/^0x/, "").split("");
+  Object.values(immutableReferences)
+    .flat()
+    .forEach(({ start, length }) => chars.fill("0", start * 2, (start + length) * 2));
+  return "0x" + chars.join("");
+}
+
+// Does runtime code from eth_getCode come from this artifact?
+export function compareBytecode(onchain, { deployedBytecode, immutableReferences }) {
+  if (!onchain || onchain === "0x") return { match: false, reason: "no code" };
+  if (onchain.length !== deployedBytecode.length) {
+    return { match: false, reason: `size differs (${(onchain.length - 2) / 2} vs ${(deployedBytecode.length - 2) / 2} bytes)` };
+  }
+  const match = maskImmutables(onchain, immutableReferences) === maskImmutables(deployedBytecode, immutableReferences);
+  return { match, reason: match ? "identical apart from immutables" : "code differs" };
+}
+
+// the worst status of all checks
+export function overallStatus(checks) {
+  return checks.reduce((worst, c) => (RANK[c.status] > RANK[worst] ? c.status : worst), CHECK_STATUS.pass);
+}
+
+function check(id, label, status, detail) {
+  return { id, label, status, detail };
+}
+
+async function run(id, label, fn) {
+  try {
+    return await fn((status, detail) => check(id, label, status, detail));
+  } catch (e) {
+    return check(id, label, CHECK_STATUS.fail, e?.reason || e?.message || String(e));
+  }
+}
+
+// Run every check against the active meetup.
+// connection: lib/providers connection; wallet: { account, chainId }; artifact: bytecodes.meetup
+export async function runDiagnostics({ connection, wallet, expectedChainId, contract, artifact, ipfs }) {
+  const { account, chainId } = wallet;
+  const provider = contract.provider;
+  const facts = {};
+  let code = null;
+
+  const checks = [
+    await run("wallet", "Wallet connected", async (result) => {
+      if (account) return result(CHECK_STATUS.pass, `${account} (${connection.mode})`);
+      return connection.mode === PROVIDER_MODE.readOnly
+        ? result(CHECK_STATUS.warn, "Read-only mode — no wallet, nothing can be signed")
+        : result(CHECK_STATUS.fail, "Wallet not connected");
+    }),
+
+    await run("chain", "Correct network", async (result) => {
+      const current = chainId ?? (await provider.getNetwork()).chainId;
+      if (expectedChainId == null) {
+        return result(CHECK_STATUS.warn, `On ${chainName(current)}; this meetup's network is not known yet`);
+      }
+      return isWrongChain(current, expectedChainId)
+        ? result(CHECK_STATUS.fail, `On ${chainName(current)}, but the meetup lives on ${chainName(expectedChainId)}`)
+        : result(CHECK_STATUS.pass, chainName(current));
+    }),
+
+    await run("code", "Contract deployed", async (result) => {
+      code = await provider.getCode(contract.address);
+      return code === "0x"
+        ? result(CHECK_STATUS.fail, `No code at ${contract.address} on this network`)
+        : result(CHECK_STATUS.pass, `${(code.length - 2) / 2} bytes at ${contract.address}`);
+    }),
+
+    await run("bytecode", "Matches this app's contract build", async (result) => {
+      if (!code || code === "0x") return result(CHECK_STATUS.fail, "Skipped — no contract code");
+      const { match, reason } = compareBytecode(code, artifact);
+      return match
+        ? result(CHECK_STATUS.pass, reason)
+        : result(CHECK_STATUS.warn, `${reason} — deployed from another version; calls may not match the ABI`);
+    }),
+  ];
+
+  // contract state the old console dump showed; absent if the contract can't be read
+  try {
+    const [meetingTime, depositAmount, state, balance] = await Promise.all([
+      contract.meetingTime(),
+      contract.depositAmount(),
+      contract.contractState(),
+      provider.getBalance(contract.address),
+    ]);
+    Object.assign(facts, {
+      meetingTime: Number(meetingTime.toString()),
+      depositAmount: depositAmount.toString(),
+      state: STATE_LABELS[Number(state)],
+      contractBalance: balance.toString(),
+    });
+    if (account) facts.arrivalProof = (await contract.arrivalProofIPFS(account)) || null;
+  } catch (e) {
+    facts.error = e?.reason || e?.message || String(e);
+  }
+
+  checks.push(
+    await run("participant", "Signer is a participant", async (result) => {
+      if (!account) return result(CHECK_STATUS.warn, "Skipped — no account");
+      const participants = await readParticipants(contract);
+      facts.participants = participants;
+      return participants.some((p) => sameAddress(p, account))
+        ? result(CHECK_STATUS.pass, `One of ${participants.length} participants`)
+        : result(CHECK_STATUS.fail, `${account} is not on the participant list`);
+    }),
+
+    await run("deposit", "Deposit made", async (result) => {
+      if (!account) return result(CHECK_STATUS.warn, "Skipped — no account");
+      const [balance, depositAmount, state] = await Promise.all([
+        contract.balances(account),
+        contract.depositAmount(),
+        contract.contractState(),
+      ]);
+      if (Number(state) === STATE.Finalized) {
+        return result(CHECK_STATUS.pass, `Finalized — ${formatEth(balance)} left to withdraw`);
+      }
+      if (balance.gte(depositAmount) && !balance.isZero()) return result(CHECK_STATUS.pass, formatEth(balance));
+      return Number(state) === STATE.Created
+        ? result(CHECK_STATUS.warn, `No deposit yet (${formatEth(depositAmount)} required)`)
+        : result(CHECK_STATUS.fail, "No deposit, and deposits are closed");
+    }),
+
+    await run("kubo", "IPFS (kubo) RPC reachable", async (result) => {
+      const version = await ipfs.checkRpc();
+      return result(CHECK_STATUS.pass, `kubo ${version} at ${ipfs.config.rpcUrl}`);
+    }),
+
+    await run("gateway", "IPFS gateway reachable", async (result) => {
+      if (ipfs.config.gateways.length === 0) return result(CHECK_STATUS.fail, "No gateways configured");
+      const outcomes = await Promise.all(
+        ipfs.config.gateways.map((gateway) =>
+          ipfs.checkGateway(gateway).then(
+            () => ({ gateway, error: null }),
+            (e) => ({ gateway, error: e?.message ?? String(e) })
+          )
+        )
+      );
+      const reachable = outcomes.filter((o) => !o.error).length;
+      const status =
+        reachable === outcomes.length ? CHECK_STATUS.pass : reachable > 0 ? CHECK_STATUS.warn : CHECK_STATUS.fail;
+      return result(status, outcomes.map((o) => `${o.gateway}: ${o.error ?? "ok"}`).join("; "));
+    })
+  );
+
+  return {
+    createdAt: new Date().toISOString(),
+    contract: ethers.utils.getAddress(contract.address),
+    chainId: chainId ?? null,
+    expectedChainId: expectedChainId ?? null,
+    account: account ?? null,
+    mode: connection.mode,
+    userAgent: typeof navigator === "undefined" ? null : navigator.userAgent,
+    status: overallStatus(checks),
+    checks,
+    facts,
+  };
+}
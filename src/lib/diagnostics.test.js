@@ -0,0 +1,99 @@
+import { ethers } from "ethers";
+import { bytecodes } from "../contracts";
+import { CHECK_STATUS, compareBytecode, overallStatus, runDiagnostics } from "./diagnostics";
+import { PROVIDER_MODE } from "./providers";
+
+const ME = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const OTHER = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+const artifact = bytecodes.meetup;
+
+// the artifact's runtime code with every immutable slot filled in, as eth_getCode returns it
+function deployedCode(fill = "ab") {
+  const chars = artifact.deployedBytecode.slice(2).split("");
+  Object.values(artifact.immutableReferences)
+    .flat()
+    .forEach(({ start, length }) => chars.splice(start * 2, length * 2, ...fill.repeat(length).split("")));
+  return "0x" + chars.join("");
+}
+
+test("on-chain code matches the artifact regardless of immutable values", () => {
+  expect(compareBytecode(deployedCode("ab"), artifact).match).toBe(true);
+  expect(compareBytecode(deployedCode("01"), artifact).match).toBe(true);
+
+  const tampered = deployedCode().slice(0, 12) + "ff" + deployedCode().slice(14);
+  expect(compareBytecode(tampered, artifact)).toEqual({ match: false, reason: "code differs" });
+  expect(compareBytecode(deployedCode() + "00", artifact).reason).toMatch(/size differs/);
+  expect(compareBytecode("0x", artifact).match).toBe(false);
+});
+
+function fakeContract({ participants, balance, state = 0 }) {
+  const bn = ethers.BigNumber.from;
+  return {
+    address: CONTRACT,
+    provider: {
+      getNetwork: async () => ({ chainId: 31337 }),
+      getCode: async () => deployedCode(),
+      getBalance: async () => bn(0),
+    },
+    participants: async (i) => {
+      if (i >= participants.length) throw Object.assign(new Error("revert"), { code: "CALL_EXCEPTION" });
+      return participants[i];
+    },
+    meetingTime: async () => bn(1_700_000_000),
+    depositAmount: async () => bn(100),
+    contractState: async () => state,
+    balances: async () => bn(balance),
+    arrivalProofIPFS: async () => "",
+  };
+}
+
+const ipfs = {
+  config: { rpcUrl: "http://127.0.0.1:5001/api/v0", gateways: ["http://up", "http://down"] },
+  checkRpc: async () => {
+    throw new Error("Failed to fetch");
+  },
+  checkGateway: async (gateway) => {
+    if (gateway === "http://down") throw new Error("timed out after 8000 ms");
+  },
+};
+
+test("every check reports on its own and the worst status wins", async () => {
+  const report = await runDiagnostics({
+    connection: { mode: PROVIDER_MODE.injected },
+    wallet: { account: ME, chainId: 31337 },
+    expectedChainId: 31337,
+    contract: fakeContract({ participants: [ME, OTHER], balance: 0 }),
+    artifact,
+    ipfs,
+  });
+  const byId = Object.fromEntries(report.checks.map((c) => [c.id, c.status]));
+  expect(byId).toEqual({
+    wallet: CHECK_STATUS.pass,
+    chain: CHECK_STATUS.pass,
+    code: CHECK_STATUS.pass,
+    bytecode: CHECK_STATUS.pass,
+    participant: CHECK_STATUS.pass,
+    deposit: CHECK_STATUS.warn,
+    kubo: CHECK_STATUS.fail,
+    gateway: CHECK_STATUS.warn,
+  });
+  expect(report.status).toBe(CHECK_STATUS.fail);
+  expect(report.facts).toMatchObject({ depositAmount: "100", state: "Created", participants: [ME, OTHER] });
+  expect(JSON.parse(JSON.stringify(report)).checks).toHaveLength(8);
+});
+
+test("a wrong network and an outsider account fail their checks", async () => {
+  const report = await runDiagnostics({
+    connection: { mode: PROVIDER_MODE.injected },
+    wallet: { account: ME, chainId: 1 },
+    expectedChainId: 31337,
+    contract: fakeContract({ participants: [OTHER], balance: 0, state: 1 }),
+    artifact,
+    ipfs,
+  });
+  const failed = report.checks.filter((c) => c.status === CHECK_STATUS.fail).map((c) => c.id);
+  expect(failed).toEqual(["chain", "participant", "deposit", "kubo"]);
+  expect(overallStatus([{ status: CHECK_STATUS.pass }])).toBe(CHECK_STATUS.pass);
+});
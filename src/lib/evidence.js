@@ -0,0 +1,111 @@
+// Photo evidence for arrival proofs: EXIF capture time + GPS, checked against the
+// meeting time and venue. The photo is kept locally (packEvidence) and queued with the
+// attestation; the outbox uploads it as a bundle when it submits, so no signal is needed
+// at the venue.
+import exifr from "exifr";
+import { FINALIZE_GRACE_SECONDS } from "../contracts";
+
+const VENUE_KEY_PREFIX = "meetup.venue.";
+
+// photos taken a little before the meeting still count (people arrive early)
+export const EVIDENCE_EARLY_SECONDS = 15 * 60;
+export const DEFAULT_VENUE_RADIUS_METERS = 150;
+
+export function loadVenue(contractAddress) {
+  try {
+    const raw = window.localStorage.getItem(VENUE_KEY_PREFIX + contractAddress.toLowerCase());
+    if (raw) return JSON.parse(raw);
+  } catch (e) {
+    console.warn("loadVenue failed:", e?.message ?? e);
+  }
+  return { latitude: "", longitude: "", radiusMeters: DEFAULT_VENUE_RADIUS_METERS };
+}
+
+export function saveVenue(contractAddress, venue) {
+  try {
+    window.localStorage.setItem(VENUE_KEY_PREFIX + contractAddress.toLowerCase(), JSON.stringify(venue));
+  } catch (e) {
+    console.warn("saveVenue failed:", e?.message ?? e);
+  }
+  return venue;
+}
+
+// { capturedAt (unix seconds | null), latitude, longitude (numbers | null) }
+export async function readPhotoMetadata(file) {
+  const [tags, gps] = await Promise.all([
+    exifr.parse(file, ["DateTimeOriginal", "CreateDate"]).catch(() => null),
+    exifr.gps(file).catch(() => null),
+  ]);
+  const date = tags?.DateTimeOriginal || tags?.CreateDate || null;
+  return {
+    capturedAt: date instanceof Date ? Math.floor(date.getTime() / 1000) : null,
+    latitude: Number.isFinite(gps?.latitude) ? gps.latitude : null,
+    longitude: Number.isFinite(gps?.longitude) ? gps.longitude : null,
+  };
+}
+
+// great-circle distance (haversine), metres
+export function distanceMeters(a, b) {
+  const R = 6371000;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// Same { ok, checks } shape as lib/verifyAttestation reports
+export function checkEvidence(meta, { meetingTime, venue }) {
+  const checks = [];
+  const earliest = meetingTime - EVIDENCE_EARLY_SECONDS;
+  const latest = meetingTime + FINALIZE_GRACE_SECONDS;
+
+  checks.push({ label: "Photo has a capture time", ok: meta.capturedAt !== null });
+  if (meta.capturedAt !== null) {
+    checks.push({
+      label: "Taken around the meeting time",
+      ok: meta.capturedAt >= earliest && meta.capturedAt <= latest,
+      detail: new Date(meta.capturedAt * 1000).toLocaleString(),
+    });
+  }
+
+  const hasGps = meta.latitude !== null && meta.longitude !== null;
+  checks.push({ label: "Photo has GPS coordinates", ok: hasGps });
+
+  const venueSet = venue && venue.latitude !== "" && venue.longitude !== "";
+  if (hasGps && venueSet) {
+    const distance = distanceMeters(meta, { latitude: Number(venue.latitude), longitude: Number(venue.longitude) });
+    checks.push({
+      label: `Within ${venue.radiusMeters} m of the venue`,
+      ok: distance <= Number(venue.radiusMeters),
+      detail: `${Math.round(distance)} m away`,
+    });
+  } else if (!venueSet) {
+    checks.push({ label: "Venue location configured", ok: false });
+  }
+
+  return { ok: checks.every((c) => c.ok), checks };
+}
+
+// The picked photo and its checks as plain data the outbox can store in IndexedDB
+export async function packEvidence(file, meta, report, venue) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return { photo: { bytes, name: file.name, mimeType: file.type, size: file.size }, meta, report, venue };
+}
+
+// Upload photo + metadata from packEvidence(); returns the bundle CID to reference from the attestation
+export async function uploadEvidenceBundle(ipfs, { photo, meta, report, venue }) {
+  const photoCid = await ipfs.addBytes(photo.bytes, { name: `arrival-photo-${photo.name}` });
+  const bundle = {
+    type: "arrival-evidence",
+    version: 1,
+    photo: { cid: photoCid, name: photo.name, mimeType: photo.mimeType, size: photo.size },
+    capturedAt: meta.capturedAt,
+    gps: meta.latitude !== null ? { latitude: meta.latitude, longitude: meta.longitude } : null,
+    venue: venue && venue.latitude !== "" ? venue : null,
+    checks: report.checks,
+  };
+  const bundleCid = await ipfs.addJson(bundle, { name: "arrival-evidence" });
+  return { bundleCid, photoCid, bundle };
+}
@@ -0,0 +1,37 @@
+import { checkEvidence, distanceMeters } from "./evidence";
+
+const MEETING = 1_700_000_000;
+const VENUE = { latitude: "52.5163", longitude: "13.3777", radiusMeters: 150 };
+
+function labels(report) {
+  return Object.fromEntries(report.checks.map((c) => [c.label, c.ok]));
+}
+
+test("distanceMeters: one degree of latitude is ~111 km", () => {
+  const d = distanceMeters({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 });
+  expect(Math.round(d / 1000)).toBe(111);
+});
+
+test("photo taken at the venue around the meeting passes", () => {
+  const meta = { capturedAt: MEETING + 120, latitude: 52.5164, longitude: 13.3779 };
+  const report = checkEvidence(meta, { meetingTime: MEETING, venue: VENUE });
+  expect(report.ok).toBe(true);
+});
+
+test("photo taken the day before or far away is flagged", () => {
+  const meta = { capturedAt: MEETING - 86400, latitude: 48.1374, longitude: 11.5755 };
+  const report = checkEvidence(meta, { meetingTime: MEETING, venue: VENUE });
+  expect(report.ok).toBe(false);
+  expect(labels(report)["Taken around the meeting time"]).toBe(false);
+  expect(labels(report)["Within 150 m of the venue"]).toBe(false);
+});
+
+test("missing EXIF data and venue are reported, not thrown", () => {
+  const meta = { capturedAt: null, latitude: null, longitude: null };
+  const report = checkEvidence(meta, { meetingTime: MEETING, venue: { latitude: "", longitude: "", radiusMeters: 150 } });
+  expect(labels(report)).toEqual({
+    "Photo has a capture time": false,
+    "Photo has GPS coordinates": false,
+    "Venue location configured": false,
+  });
+});
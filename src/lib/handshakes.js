@@ -0,0 +1,47 @@
+// Pending mutual handshakes (requester side), persisted in IndexedDB so a reload
+// or locked phone mid-handshake doesn't lose the request the mutual-sig answers.
+import { sameAddress } from "../contracts";
+import { createIdbStore } from "./idb";
+import { QR_SCHEMAS } from "./qrProtocol";
+
+const store = createIdbStore({ dbName: "meetup-handshakes", storeName: "mutual", indexes: ["contract"] });
+
+// the counterparty has the request's lifetime to sign, then the answer's lifetime to be scanned
+export const HANDSHAKE_TTL = QR_SCHEMAS["mutual-request"].ttl + QR_SCHEMAS["mutual-sig"].ttl;
+
+// primary key: contract + counterparty + request timestamp
+export function handshakeId({ contract, b, ts }) {
+  return `${contract.toLowerCase()}:${b.toLowerCase()}:${Number(ts)}`;
+}
+
+// h: { contract, a, b, ts, sigCallerForOther, requestQr (QR content) }
+export async function saveHandshake(h) {
+  const record = {
+    ...h,
+    contract: h.contract.toLowerCase(),
+    id: handshakeId(h),
+    expiresAt: Number(h.ts) + HANDSHAKE_TTL,
+  };
+  await store.put(record);
+  return record;
+}
+
+export function deleteHandshake(id) {
+  return store.remove(id);
+}
+
+// Unexpired handshakes for `contract`, newest first; expired ones are dropped from the DB.
+// `now` must be on the clock the handshakes' `ts` came from (nowSeconds() in the app).
+export async function listHandshakes(contract, now = Math.floor(Date.now() / 1000)) {
+  const all = await store.getAllBy("contract", contract.toLowerCase());
+  const expired = all.filter((h) => h.expiresAt < now);
+  if (expired.length) await store.removeMany(expired.map((h) => h.id));
+  return all.filter((h) => h.expiresAt >= now).sort((x, y) => y.ts - x.ts);
+}
+
+// The pending handshake a scanned mutual-sig { a, b, ts } answers, if any
+export function findHandshake(handshakes, { a, b, ts }) {
+  return (
+    handshakes.find((h) => sameAddress(h.a, a) && sameAddress(h.b, b) && Number(h.ts) === Number(ts)) || null
+  );
+}
@@ -0,0 +1,50 @@
+import "fake-indexeddb/auto";
+import { HANDSHAKE_TTL, deleteHandshake, findHandshake, handshakeId, listHandshakes, saveHandshake } from "./handshakes";
+
+const A = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const B = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+const C = "0x6813Eb9362372EEF6200f3b1dbC3f819671cBA69";
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+test("handshake ids are case-insensitive per contract, counterparty and timestamp", () => {
+  expect(handshakeId({ contract: CONTRACT, b: B, ts: 100 })).toBe(
+    handshakeId({ contract: CONTRACT.toLowerCase(), b: B.toUpperCase().replace("0X", "0x"), ts: "100" })
+  );
+  expect(handshakeId({ contract: CONTRACT, b: B, ts: 100 })).not.toBe(handshakeId({ contract: CONTRACT, b: C, ts: 100 }));
+});
+
+test("a mutual-sig matches whichever pending handshake it answers", () => {
+  const pending = [
+    { id: "1", a: A, b: B, ts: 200 },
+    { id: "2", a: A, b: C, ts: 150 },
+    { id: "3", a: A, b: B, ts: 100 },
+  ];
+  expect(findHandshake(pending, { a: A, b: C, ts: 150 }).id).toBe("2");
+  expect(findHandshake(pending, { a: A.toLowerCase(), b: B, ts: "100" }).id).toBe("3");
+  expect(findHandshake(pending, { a: A, b: B, ts: 150 })).toBeNull();
+});
+
+test("handshakes outlive the request and its answer", () => {
+  expect(HANDSHAKE_TTL).toBe(10 * 60);
+});
+
+test("saved handshakes are listed per contract until they expire, then dropped", async () => {
+  const T = 1_800_000_000;
+  const OTHER = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+  const older = await saveHandshake({ contract: CONTRACT, a: A, b: B, ts: T, sigCallerForOther: "0x01", requestQr: "qr" });
+  const newer = await saveHandshake({ contract: CONTRACT, a: A, b: C, ts: T + 60, sigCallerForOther: "0x02", requestQr: "qr" });
+  await saveHandshake({ contract: OTHER, a: A, b: B, ts: T, sigCallerForOther: "0x03", requestQr: "qr" });
+  expect(older.expiresAt).toBe(T + HANDSHAKE_TTL);
+
+  const pending = await listHandshakes(CONTRACT, T + 30);
+  expect(pending.map((h) => h.id)).toEqual([newer.id, older.id]);
+  expect(findHandshake(pending, { a: A, b: B, ts: T })).toMatchObject({ sigCallerForOther: "0x01" });
+
+  // past the first one's TTL: it is gone for good, even when asked about an earlier time
+  expect((await listHandshakes(CONTRACT.toLowerCase(), T + HANDSHAKE_TTL + 1)).map((h) => h.id)).toEqual([newer.id]);
+  expect((await listHandshakes(CONTRACT, T)).map((h) => h.id)).toEqual([newer.id]);
+
+  await deleteHandshake(newer.id);
+  expect(await listHandshakes(CONTRACT, T)).toEqual([]);
+  expect(await listHandshakes(OTHER, T)).toHaveLength(1);
+});
@@ -0,0 +1,47 @@
+// Tiny promise wrapper around one IndexedDB object store (keyPath "id")
+export function createIdbStore({ dbName, storeName, version = 1, indexes = [] }) {
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available in this browser"));
+          return;
+        }
+        const req = indexedDB.open(dbName, version);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(storeName, { keyPath: "id" });
+          indexes.forEach((name) => store.createIndex(name, name));
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  // run `fn(store)` in a transaction; resolves with the request's result once committed
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  return {
+    put: (record) => withStore("readwrite", (store) => store.put(record)),
+    get: (id) => withStore("readonly", (store) => store.get(id)),
+    remove: (id) => withStore("readwrite", (store) => store.delete(id)),
+    removeMany: (ids) => withStore("readwrite", (store) => ids.forEach((id) => store.delete(id))),
+    getAll: () => withStore("readonly", (store) => store.getAll()),
+    getAllBy: (index, value) => withStore("readonly", (store) => store.index(index).getAll(value)),
+  };
+}
@@ -0,0 +1,166 @@
+// Configurable IPFS access: kubo RPC for uploads/pinning, ordered gateway
+// fallback for reads, and CID verification of everything fetched.
+import { ethers } from "ethers";
+import { fetchFromGateways, fetchWithTimeout, rawCid, trimSlash, verifyBlock } from "../contracts";
+
+const STORAGE_KEY = "meetup.ipfs.v1";
+
+// CIDv1, raw codec, identity hash of zero bytes
+const EMPTY_IDENTITY_CID = "bafkqaaa";
+
+export const DEFAULT_IPFS_CONFIG = {
+  rpcUrl: process.env.REACT_APP_IPFS_RPC_URL || "http://127.0.0.1:5001/api/v0",
+  gateways: (process.env.REACT_APP_IPFS_GATEWAYS || "http://127.0.0.1:8080,https://ipfs.io")
+    .split(",")
+    .map((g) => g.trim())
+    .filter(Boolean),
+  timeoutMs: 8000,
+  // optional remote pinning (IPFS Pinning Service API), e.g. { endpoint: "https://…/psa", token: "…" }
+  pinningService: { endpoint: "", token: "" },
+};
+
+export function loadIpfsConfig() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (raw) return { ...DEFAULT_IPFS_CONFIG, ...JSON.parse(raw) };
+  } catch (e) {
+    console.warn("loadIpfsConfig failed:", e?.message ?? e);
+  }
+  return DEFAULT_IPFS_CONFIG;
+}
+
+export function saveIpfsConfig(config) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (e) {
+    console.warn("saveIpfsConfig failed:", e?.message ?? e);
+  }
+  return config;
+}
+
+export function createIpfsService(config = loadIpfsConfig()) {
+  let clientPromise = null;
+
+  // loaded on first upload so read-only use never pulls in the RPC client
+  function rpcClient() {
+    if (!clientPromise) {
+      clientPromise = import("kubo-rpc-client").then(({ create }) => create({ url: config.rpcUrl }));
+      clientPromise.catch(() => {
+        clientPromise = null;
+      });
+    }
+    return clientPromise;
+  }
+
+  async function pinRemote(cid, name) {
+    const { endpoint, token } = config.pinningService || {};
+    if (!endpoint) return;
+    const res = await fetchWithTimeout(
+      `${trimSlash(endpoint)}/pins`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ cid, name }),
+      },
+      config.timeoutMs
+    );
+    if (!res.ok) throw new Error(`Remote pinning failed: HTTP ${res.status}`);
+  }
+
+  // Upload bytes and pin them locally (and remotely if configured). Returns the CID string.
+  async function addBytes(bytes, { name = "" } = {}) {
+    const client = await rpcClient();
+    // CIDv1 with raw leaves: small files become one raw block whose sha256 is the CID
+    const res = await client.add(bytes, { cidVersion: 1, rawLeaves: true, pin: false });
+    await client.pin.add(res.cid);
+    const cid = res.cid.toString();
+    await pinRemote(cid, name);
+    return cid;
+  }
+
+  function addJson(value, options) {
+    return addBytes(ethers.utils.toUtf8Bytes(JSON.stringify(value)), options);
+  }
+
+  // Try each gateway in order; a gateway whose bytes don't match the CID is skipped
+  function fetchBytes(cid) {
+    return fetchFromGateways(cid, config.gateways, {
+      timeoutMs: config.timeoutMs,
+      onFailure: (gateway, e) => console.warn(`IPFS gateway ${gateway} failed for ${cid}:`, e?.message ?? e),
+    });
+  }
+
+  async function fetchJson(cid) {
+    const bytes = await fetchBytes(cid);
+    return JSON.parse(ethers.utils.toUtf8String(bytes));
+  }
+
+  // Reachability probes for the diagnostics panel. kubo answers /version on POST only.
+  async function checkRpc() {
+    const res = await fetchWithTimeout(`${trimSlash(config.rpcUrl)}/version`, { method: "POST" }, config.timeoutMs);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { Version } = await res.json();
+    return Version;
+  }
+
+  // the empty identity CID is answered by the gateway itself, without a network lookup
+  async function checkGateway(gateway) {
+    const res = await fetchWithTimeout(
+      `${trimSlash(gateway)}/ipfs/${EMPTY_IDENTITY_CID}?format=raw`,
+      { headers: { Accept: "application/vnd.ipld.raw" } },
+      config.timeoutMs
+    );
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  }
+
+  function gatewayUrl(cid) {
+    return `${trimSlash(config.gateways[0] || "https://ipfs.io")}/ipfs/${cid}`;
+  }
+
+  return { config, addBytes, addJson, fetchBytes, fetchJson, gatewayUrl, checkRpc, checkGateway };
+}
+
+// Same interface as createIpfsService, kept in memory (demo mode and tests). CIDs are the
+// ones kubo would assign, and fetched blocks go through the same CID verification.
+export function createMemoryIpfs() {
+  const blocks = new Map();
+  const config = { ...DEFAULT_IPFS_CONFIG, rpcUrl: "memory://demo", gateways: ["memory://demo"] };
+
+  async function addBytes(bytes) {
+    const block = Uint8Array.from(bytes);
+    const cid = rawCid(block);
+    blocks.set(cid, block);
+    return cid;
+  }
+
+  function addJson(value, options) {
+    return addBytes(ethers.utils.toUtf8Bytes(JSON.stringify(value)), options);
+  }
+
+  async function fetchBytes(cid) {
+    const block = blocks.get(cid);
+    if (!block) throw new Error(`Could not fetch ${cid}: not in the demo IPFS store`);
+    return verifyBlock(cid, block);
+  }
+
+  async function fetchJson(cid) {
+    return JSON.parse(ethers.utils.toUtf8String(await fetchBytes(cid)));
+  }
+
+  // no gateway to link to: hand out the content itself
+  function gatewayUrl(cid) {
+    const block = blocks.get(cid);
+    return block ? `data:application/octet-stream;base64,${ethers.utils.base64.encode(block)}` : "#";
+  }
+
+  return {
+    config,
+    addBytes,
+    addJson,
+    fetchBytes,
+    fetchJson,
+    gatewayUrl,
+    checkRpc: async () => "in-memory",
+    checkGateway: async () => {},
+  };
+}
@@ -0,0 +1,177 @@
+// Offline-first outbox for fully signed attestations. Entries are kept in
+// IndexedDB and driven through upload (photo evidence, then the attestation) → transaction → done; transient failures
+// (no network, kubo or RPC unreachable) stay queued for the next retry, while
+// failures retrying can't fix (finalized meetup, invalid signatures) are parked.
+import { MeetupClient, STATE, mutualCallArgs, sameAddress, sendContractTx } from "../contracts";
+import { uploadEvidenceBundle } from "./evidence";
+import { createIdbStore } from "./idb";
+
+const store = createIdbStore({ dbName: "meetup-outbox", storeName: "attestations", indexes: ["contract"] });
+
+export const OUTBOX_STATUS = {
+  queued: "queued", // waiting for (re)try
+  uploaded: "uploaded", // on IPFS, transaction not confirmed yet
+  done: "done",
+  failed: "failed", // permanent; needs the user's attention
+};
+
+// contract require() messages that no retry will ever get past
+const PERMANENT_REVERTS = [
+  "Already finalized",
+  "Not a participant",
+  "Attesters must be participants",
+  "Attesters cannot be the arriver",
+  "Attesters must be distinct",
+  "Invalid signature length",
+  "Invalid signatures",
+  "Signatures must be from two distinct attesters",
+  "Attestation cannot be from before the meeting time",
+  "Other must be a participant",
+  "Other cannot be self",
+  "Other's signature invalid for caller",
+  "Caller signature invalid for other",
+  "ECDSAInvalidSignature", // also matches the ...Length / ...S custom errors
+];
+
+export class PermanentOutboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermanentOutboxError";
+  }
+}
+
+// "permanent" for errors a retry cannot fix, otherwise "transient"
+export function classifyError(err) {
+  if (err instanceof PermanentOutboxError) return "permanent";
+  const text = [err?.reason, err?.error?.message, err?.data?.message, err?.message].filter(Boolean).join(" ");
+  return PERMANENT_REVERTS.some((r) => text.includes(r)) ? "permanent" : "transient";
+}
+
+// kind: "arrival" | "mutual"; chainId: the network the attestation was signed for (its EIP-712 domain);
+// account: the address that will send the transaction;
+// evidence: photo evidence from packEvidence(), uploaded and referenced when the entry is sent
+export async function enqueueAttestation({ contract, chainId, account, kind, attestation, evidence = null }) {
+  const now = Date.now();
+  const entry = {
+    id: `${Number(chainId)}:${contract.toLowerCase()}:${kind}:${account.toLowerCase()}:${now}`,
+    contract: contract.toLowerCase(),
+    chainId: Number(chainId),
+    account,
+    kind,
+    attestation,
+    evidence,
+    cid: null,
+    txHash: null,
+    status: OUTBOX_STATUS.queued,
+    attempts: 0,
+    lastError: null,
+    heldByUser: false, // rejected in the wallet: only retried on request, not automatically
+    createdAt: now,
+    updatedAt: now,
+  };
+  await store.put(entry);
+  return entry;
+}
+
+export async function listOutbox() {
+  const all = await store.getAll();
+  return all.sort((x, y) => x.createdAt - y.createdAt);
+}
+
+export function removeOutboxEntry(id) {
+  return store.remove(id);
+}
+
+export async function clearDoneEntries() {
+  const all = await store.getAll();
+  await store.removeMany(all.filter((e) => e.status === OUTBOX_STATUS.done).map((e) => e.id));
+}
+
+async function save(entry, changes) {
+  const next = { ...entry, ...changes, updatedAt: Date.now() };
+  await store.put(next);
+  return next;
+}
+
+// Chain state that makes sending pointless: throws if it never can succeed,
+// returns a reason if the arrival is already recorded, otherwise null
+async function precheck(client, entry) {
+  if ((await client.state()) === STATE.Finalized) throw new PermanentOutboxError("Meetup is already finalized");
+
+  const mine = await client.arrivalTime(entry.account);
+  if (entry.kind === "arrival") return mine === 0 ? null : "Arrival already confirmed on-chain";
+  const { other } = mutualCallArgs(entry.attestation, entry.account);
+  const theirs = await client.arrivalTime(other);
+  return mine === 0 || theirs === 0 ? null : "Both arrivals already confirmed on-chain";
+}
+
+async function verifyOffline(client, entry) {
+  const report =
+    entry.kind === "arrival"
+      ? await client.verifyArrival(entry.attestation, entry.account)
+      : await client.verifyMutual(entry.attestation, entry.account);
+  if (!report.ok) {
+    const failed = report.checks.filter((c) => !c.ok).map((c) => c.label);
+    throw new PermanentOutboxError(`Attestation failed offline verification: ${failed.join(", ")}`);
+  }
+}
+
+// Drive one entry as far as it gets. Never throws: returns the updated entry.
+// onProgress(entry, message) reports each step; sendTx is handed to MeetupClient (default: sendContractTx).
+export async function processOutboxEntry(entry, { ipfs, signer, abi, sendTx = sendContractTx, onProgress = () => {} }) {
+  let current = await save(entry, { attempts: entry.attempts + 1, heldByUser: false });
+  try {
+    const account = await signer.getAddress();
+    if (!sameAddress(account, entry.account)) {
+      throw new Error(`Switch your wallet to ${entry.account} to send this attestation`);
+    }
+    if (!onChain(entry, await signer.getChainId())) {
+      throw new Error(`Switch your wallet to chain ${entry.chainId} to send this attestation`);
+    }
+    const client = new MeetupClient({ address: entry.contract, signer, ipfs, abi, sendTx });
+
+    const alreadyDone = await precheck(client, current);
+    if (alreadyDone) return await save(current, { status: OUTBOX_STATUS.done, lastError: alreadyDone });
+    await verifyOffline(client, current);
+
+    // the bundle CID goes into the attestation document; the signatures don't cover it
+    if (current.evidence) {
+      onProgress(current, "Uploading photo evidence to IPFS…");
+      const { bundleCid } = await uploadEvidenceBundle(ipfs, current.evidence);
+      current = await save(current, { attestation: { ...current.attestation, evidence: bundleCid }, evidence: null });
+    }
+
+    if (!current.cid) {
+      onProgress(current, "Uploading attestation to IPFS…");
+      const cid = await client.uploadAttestation(current.attestation, entry.kind);
+      current = await save(current, { cid, status: OUTBOX_STATUS.uploaded });
+    }
+
+    onProgress(current, "Submitting attestation to contract…");
+    const receipt =
+      entry.kind === "arrival"
+        ? await client.confirmArrival(current.attestation, current.cid)
+        : await client.confirmMutualArrival(current.attestation, current.cid);
+    return await save(current, { status: OUTBOX_STATUS.done, txHash: receipt.transactionHash, lastError: null });
+  } catch (err) {
+    // TxError messages are already user-facing; its `reason` keeps the raw revert for classification
+    const message = err?.name === "TxError" ? err.message : err?.reason || err?.error?.message || err?.message || String(err);
+    if (err?.code === "ACTION_REJECTED" || err?.code === 4001) {
+      return save(current, { status: current.cid ? OUTBOX_STATUS.uploaded : OUTBOX_STATUS.queued, heldByUser: true, lastError: "Rejected in wallet" });
+    }
+    const status = classifyError(err) === "permanent" ? OUTBOX_STATUS.failed : current.cid ? OUTBOX_STATUS.uploaded : OUTBOX_STATUS.queued;
+    return save(current, { status, lastError: message });
+  }
+}
+
+// entries queued before chain ids were recorded go to whatever network is connected
+export function onChain(entry, chainId) {
+  return entry.chainId == null || Number(entry.chainId) === Number(chainId);
+}
+
+// automatic retries skip entries the user rejected in their wallet and, given the
+// connected `chainId`, entries signed for another network
+export function isRetryable(entry, { manual = false, chainId = null } = {}) {
+  const pending = entry.status === OUTBOX_STATUS.queued || entry.status === OUTBOX_STATUS.uploaded;
+  return pending && (manual || (!entry.heldByUser && (chainId === null || onChain(entry, chainId))));
+}
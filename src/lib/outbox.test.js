@@ -0,0 +1,105 @@
+import "fake-indexeddb/auto";
+import { ethers } from "ethers";
+import { MeetupClient, mutualCallArgs } from "../contracts";
+import { DEMO_MEETUP, createDemo } from "./demo";
+import {
+  OUTBOX_STATUS,
+  PermanentOutboxError,
+  classifyError,
+  enqueueAttestation,
+  isRetryable,
+  processOutboxEntry,
+} from "./outbox";
+
+const A = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const B = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+
+test("contract reverts no retry can fix are permanent, connectivity problems are not", () => {
+  expect(classifyError({ reason: "Already finalized" })).toBe("permanent");
+  expect(classifyError({ error: { message: "execution reverted: Attesters must be distinct" } })).toBe("permanent");
+  expect(classifyError(new PermanentOutboxError("Meetup is already finalized"))).toBe("permanent");
+  expect(classifyError(new Error("Failed to fetch"))).toBe("transient");
+  expect(classifyError({ code: "NETWORK_ERROR", message: "could not detect network" })).toBe("transient");
+});
+
+test("mutual call arguments follow the calling side", () => {
+  const attestation = { a: A, b: B, timestamp: "1700000000", sigAForB: "0xaa", sigBForA: "0xbb" };
+  expect(mutualCallArgs(attestation, A)).toEqual({
+    other: B,
+    timestamp: 1700000000,
+    sigOtherForCaller: "0xbb",
+    sigCallerForOther: "0xaa",
+  });
+  expect(mutualCallArgs(attestation, B.toLowerCase())).toMatchObject({
+    other: A,
+    sigOtherForCaller: "0xaa",
+    sigCallerForOther: "0xbb",
+  });
+});
+
+test("automatic retries skip finished, failed and wallet-rejected entries", () => {
+  const entry = (status, heldByUser = false) => ({ status, heldByUser });
+  expect(isRetryable(entry(OUTBOX_STATUS.queued))).toBe(true);
+  expect(isRetryable(entry(OUTBOX_STATUS.uploaded))).toBe(true);
+  expect(isRetryable(entry(OUTBOX_STATUS.done))).toBe(false);
+  expect(isRetryable(entry(OUTBOX_STATUS.failed))).toBe(false);
+  expect(isRetryable(entry(OUTBOX_STATUS.queued, true))).toBe(false);
+  expect(isRetryable(entry(OUTBOX_STATUS.queued, true), { manual: true })).toBe(true);
+});
+
+const T0 = 1_800_000_000;
+
+async function queuedArrival(demo, chainId = demo.chain.chainId) {
+  const [alice, bob, carol] = demo.participants.map((p) => p.address);
+  demo.chain.increaseTime(DEMO_MEETUP.startsIn);
+  const request = { arriver: alice, attester1: bob, attester2: carol, timestamp: demo.chain.now() };
+  const attestation = {
+    ...request,
+    signature1: await demo.clientFor(bob).signArrival(request),
+    signature2: await demo.clientFor(carol).signArrival(request),
+  };
+  const evidence = {
+    photo: { bytes: Uint8Array.from([0xff, 0xd8, 0xff]), name: "venue.jpg", mimeType: "image/jpeg", size: 3 },
+    meta: { capturedAt: request.timestamp, latitude: null, longitude: null },
+    report: { ok: true, checks: [] },
+    venue: null,
+  };
+  return enqueueAttestation({ contract: demo.meetup, chainId, account: alice, kind: "arrival", attestation, evidence });
+}
+
+test("entries signed for another network wait for the wallet to switch", async () => {
+  const demo = createDemo({ clock: () => T0 });
+  const signer = new ethers.providers.Web3Provider(demo.ethereum).getSigner();
+  const entry = await queuedArrival(demo, 11155111);
+
+  expect(isRetryable(entry, { chainId: demo.chain.chainId })).toBe(false);
+  expect(isRetryable(entry, { chainId: 11155111 })).toBe(true);
+  expect(isRetryable({ ...entry, chainId: undefined }, { chainId: demo.chain.chainId })).toBe(true);
+
+  // a manual retry reports the network instead of sending a transaction that reverts
+  const result = await processOutboxEntry(entry, { ipfs: demo.ipfs, signer });
+  expect(result).toMatchObject({ status: OUTBOX_STATUS.queued, lastError: "Switch your wallet to chain 11155111 to send this attestation" });
+  expect(result.cid).toBeNull();
+});
+
+describe("photo evidence", () => {
+  test("is uploaded when the outbox sends the attestation, not when it is attached", async () => {
+    const demo = createDemo({ clock: () => T0 });
+    const signer = new ethers.providers.Web3Provider(demo.ethereum).getSigner();
+    const entry = await queuedArrival(demo);
+
+    // no signal at the venue: the entry stays queued with the photo
+    const offline = { ...demo.ipfs, addBytes: async () => Promise.reject(new Error("Failed to fetch")) };
+    const stuck = await processOutboxEntry(entry, { ipfs: offline, signer });
+    expect(stuck).toMatchObject({ status: OUTBOX_STATUS.queued, lastError: "Failed to fetch" });
+    expect(stuck.evidence.photo.name).toBe("venue.jpg");
+
+    const sent = await processOutboxEntry(stuck, { ipfs: demo.ipfs, signer });
+    expect(sent.status).toBe(OUTBOX_STATUS.done);
+    expect(sent.evidence).toBeNull();
+    const client = new MeetupClient({ address: demo.meetup, provider: signer.provider, ipfs: demo.ipfs });
+    const proof = await client.fetchAttestation(await client.arrivalProof(sent.account));
+    expect(proof.evidence).toBe(sent.attestation.evidence);
+    expect(await demo.ipfs.fetchJson(proof.evidence)).toMatchObject({ type: "arrival-evidence", photo: { name: "venue.jpg", size: 3 } });
+  });
+});
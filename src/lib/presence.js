@@ -0,0 +1,68 @@
+// Presence tokens ("Generate my QR"): a short-lived personal_sign statement
+// "I am <address> at meetup <contract> on <chainId>" that peers scan to pick
+// their attesters for confirmArrival().
+import { ethers } from "ethers";
+import { sameAddress } from "../contracts";
+
+export const PRESENCE_TYPE = "presence";
+
+// fixed key order so signer and verifier hash the same string
+function presenceMessage({ address, contract, chainId, ts }) {
+  return JSON.stringify({ type: PRESENCE_TYPE, address, contract, chainId, ts });
+}
+
+export async function createPresenceToken(signer, { contract, chainId, now = Math.floor(Date.now() / 1000) }) {
+  const address = await signer.getAddress();
+  const payload = { address, contract, chainId: Number(chainId), ts: now };
+  const sig = await signer.signMessage(presenceMessage(payload));
+  // sent as the body of a "presence" QR message (lib/qrProtocol)
+  return { payload, sig };
+}
+
+function recoverPresenceSigner({ payload, sig }) {
+  try {
+    const recovered = ethers.utils.verifyMessage(presenceMessage(payload), sig);
+    return sameAddress(recovered, payload.address) ? recovered : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Same { ok, checks } report shape as lib/verifyAttestation
+export function verifyPresenceToken(token, { contract, chainId, participants, me, now, maxSkew }) {
+  const payload = token?.payload || {};
+  const checks = [];
+  const fieldsOk = ethers.utils.isAddress(payload.address || "") && !!payload.contract && Number.isFinite(Number(payload.ts));
+  checks.push({ label: "Token fields present", ok: fieldsOk });
+  if (!fieldsOk) return { ok: false, checks, address: null };
+
+  checks.push({ label: "Signed by the token's address", ok: recoverPresenceSigner(token) !== null, detail: payload.address });
+  checks.push({ label: "Issued for this meetup contract", ok: sameAddress(payload.contract, contract), detail: payload.contract });
+  checks.push({ label: "Issued on this chain", ok: Number(payload.chainId) === Number(chainId), detail: `chain ${payload.chainId}` });
+  const age = now - Number(payload.ts);
+  checks.push({
+    label: `Issued within the last ${Math.round(maxSkew / 60)} minutes`,
+    ok: Math.abs(age) <= maxSkew,
+    detail: age >= 0 ? `${age}s ago` : `${-age}s in the future`,
+  });
+  checks.push({ label: "Issuer is a participant", ok: participants.some((p) => sameAddress(p, payload.address)) });
+  checks.push({ label: "Not your own token", ok: !sameAddress(payload.address, me) });
+
+  return { ok: checks.every((c) => c.ok), checks, address: ethers.utils.getAddress(payload.address) };
+}
+
+// Keep one candidate per peer, newest token wins
+export function addCandidate(candidates, address, ts) {
+  const rest = candidates.filter((c) => !sameAddress(c.address, address));
+  return [...rest, { address, ts: Number(ts) }].sort((x, y) => y.ts - x.ts);
+}
+
+// Fill empty attester inputs from collected candidates (most recent first)
+export function prefillAttesters(inputs, candidates) {
+  const taken = [inputs.attester1, inputs.attester2].filter(Boolean);
+  const free = candidates.map((c) => c.address).filter((a) => !taken.some((t) => sameAddress(t, a)));
+  const next = { ...inputs };
+  if (!next.attester1 && free.length) next.attester1 = free.shift();
+  if (!next.attester2 && free.length) next.attester2 = free.shift();
+  return next;
+}
@@ -0,0 +1,62 @@
+import { ethers } from "ethers";
+import { addCandidate, createPresenceToken, prefillAttesters, verifyPresenceToken } from "./presence";
+
+const alice = new ethers.Wallet("0x" + "1".padStart(64, "0"));
+const bob = new ethers.Wallet("0x" + "2".padStart(64, "0"));
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OTHER_CONTRACT = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+function context(overrides = {}) {
+  return {
+    contract: CONTRACT,
+    chainId: 31337,
+    participants: [alice.address, bob.address],
+    me: bob.address,
+    now: Math.floor(Date.now() / 1000),
+    maxSkew: 300,
+    ...overrides,
+  };
+}
+
+function failed(result) {
+  return result.checks.filter((c) => !c.ok).map((c) => c.label);
+}
+
+test("a fresh token from a participant verifies", async () => {
+  const token = await createPresenceToken(alice, { contract: CONTRACT, chainId: 31337 });
+  const result = verifyPresenceToken(token, context());
+  expect(failed(result)).toEqual([]);
+  expect(result.address).toBe(alice.address);
+});
+
+test("tampered, stale, foreign and own tokens are rejected", async () => {
+  const token = await createPresenceToken(alice, { contract: CONTRACT, chainId: 31337 });
+
+  const forged = { ...token, payload: { ...token.payload, address: bob.address } };
+  expect(failed(verifyPresenceToken(forged, context({ me: alice.address })))).toEqual(["Signed by the token's address"]);
+
+  expect(failed(verifyPresenceToken(token, context({ now: token.payload.ts + 301 })))).toEqual([
+    "Issued within the last 5 minutes",
+  ]);
+  expect(failed(verifyPresenceToken(token, context({ contract: OTHER_CONTRACT, chainId: 1 })))).toEqual([
+    "Issued for this meetup contract",
+    "Issued on this chain",
+  ]);
+  expect(failed(verifyPresenceToken(token, context({ me: alice.address })))).toEqual(["Not your own token"]);
+});
+
+test("candidates dedupe per peer and prefill empty attester slots", () => {
+  let list = addCandidate([], alice.address, 100);
+  list = addCandidate(list, bob.address, 200);
+  list = addCandidate(list, alice.address, 300);
+  expect(list.map((c) => c.address)).toEqual([alice.address, bob.address]);
+
+  expect(prefillAttesters({ attester1: "", attester2: "" }, list)).toEqual({
+    attester1: alice.address,
+    attester2: bob.address,
+  });
+  expect(prefillAttesters({ attester1: bob.address, attester2: "" }, list)).toEqual({
+    attester1: bob.address,
+    attester2: alice.address,
+  });
+});
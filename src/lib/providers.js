@@ -0,0 +1,87 @@
+// Where reads and signatures come from:
+//   injected  – the browser wallet (window.ethereum) reads and signs
+//   burner    – a key kept in this browser signs; reads go over JSON-RPC
+//   read-only – JSON-RPC reads only, nothing can be signed
+//   demo      – simulated wallets on an in-memory chain (lib/demo)
+import { ethers } from "ethers";
+
+export const PROVIDER_MODE = {
+  injected: "injected",
+  burner: "burner",
+  readOnly: "read-only",
+  demo: "demo",
+};
+
+export const DEFAULT_RPC_URL = process.env.REACT_APP_RPC_URL || "http://127.0.0.1:8545";
+
+const BURNER_STORAGE_KEY = "meetup.burner.v1";
+
+// The burner key is stored unencrypted: it is meant for a meetup's deposit, not for savings.
+// { privateKey, preferred } — `preferred` picks it over an installed browser wallet.
+export function loadBurner(storage = window.localStorage) {
+  try {
+    const raw = storage.getItem(BURNER_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && ethers.utils.isHexString(parsed.privateKey, 32) ? parsed : null;
+  } catch (e) {
+    console.warn("loadBurner failed:", e?.message ?? e);
+    return null;
+  }
+}
+
+export function saveBurner(burner, storage = window.localStorage) {
+  if (burner) storage.setItem(BURNER_STORAGE_KEY, JSON.stringify(burner));
+  else storage.removeItem(BURNER_STORAGE_KEY);
+  return burner;
+}
+
+export function createBurner() {
+  return { privateKey: ethers.Wallet.createRandom().privateKey, preferred: true };
+}
+
+// Encrypted JSON keystore (scrypt) of the burner, importable into MetaMask and most wallets
+export function exportKeystore(burner, password, onProgress) {
+  if (!password) throw new Error("Choose a password to encrypt the keystore.");
+  return new ethers.Wallet(burner.privateKey).encrypt(password, onProgress);
+}
+
+export async function importKeystore(json, password, onProgress) {
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password, onProgress);
+    return { privateKey: wallet.privateKey, preferred: true };
+  } catch (e) {
+    throw new Error("Could not decrypt the keystore — wrong password or not a keystore file.");
+  }
+}
+
+// { mode, provider, signer, ethereum, clock }; signer is null in read-only mode, `ethereum` is the
+// EIP-1193 wallet behind injected and demo connections, `clock` the demo chain's time
+export function createConnection({ ethereum, burner, rpcUrl = DEFAULT_RPC_URL, demo = null }) {
+  if (demo) {
+    const provider = new ethers.providers.Web3Provider(demo.ethereum, "any");
+    return { mode: PROVIDER_MODE.demo, provider, signer: provider.getSigner(), ethereum: demo.ethereum, clock: demo.chain.now };
+  }
+  if (ethereum && !(burner && burner.preferred)) {
+    // "any" keeps the provider usable after the user switches networks in the wallet
+    const provider = new ethers.providers.Web3Provider(ethereum, "any");
+    return { mode: PROVIDER_MODE.injected, provider, signer: provider.getSigner(), ethereum };
+  }
+  const provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl);
+  if (burner) {
+    return { mode: PROVIDER_MODE.burner, provider, signer: new ethers.Wallet(burner.privateKey, provider) };
+  }
+  return { mode: PROVIDER_MODE.readOnly, provider, signer: null };
+}
+
+// Unix seconds on the connection's clock: the wall clock, or the demo chain's moved-forward time
+export function nowSeconds(connection) {
+  return connection?.clock ? connection.clock() : Math.floor(Date.now() / 1000);
+}
+
+// The signer of `connection`, or a user-facing error explaining how to get one
+export function requireSigner(connection) {
+  if (!connection.signer) {
+    throw new Error("Read-only mode — connect a wallet or create a burner wallet to sign.");
+  }
+  return connection.signer;
+}
@@ -0,0 +1,55 @@
+import { ethers } from "ethers";
+import { PROVIDER_MODE, createConnection, importKeystore, loadBurner, requireSigner, saveBurner } from "./providers";
+
+// hardhat / anvil account #1
+const KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+const ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (k) => data[k] ?? null,
+    setItem: (k, v) => (data[k] = v),
+    removeItem: (k) => delete data[k],
+  };
+}
+
+const fakeEthereum = { request: async () => null, on: () => {}, removeListener: () => {} };
+
+test("without a browser wallet reads fall back to JSON-RPC and nothing can sign", () => {
+  const connection = createConnection({ ethereum: undefined, burner: null, rpcUrl: "http://127.0.0.1:8545" });
+  expect(connection.mode).toBe(PROVIDER_MODE.readOnly);
+  expect(connection.provider).toBeInstanceOf(ethers.providers.JsonRpcProvider);
+  expect(connection.signer).toBeNull();
+  expect(() => requireSigner(connection)).toThrow(/Read-only mode/);
+});
+
+test("a burner signs when there is no browser wallet or when it is preferred", async () => {
+  const alone = createConnection({ ethereum: undefined, burner: { privateKey: KEY, preferred: false } });
+  expect(alone.mode).toBe(PROVIDER_MODE.burner);
+  expect(await requireSigner(alone).getAddress()).toBe(ADDRESS);
+
+  expect(createConnection({ ethereum: fakeEthereum, burner: { privateKey: KEY, preferred: true } }).mode).toBe(
+    PROVIDER_MODE.burner
+  );
+  expect(createConnection({ ethereum: fakeEthereum, burner: { privateKey: KEY, preferred: false } }).mode).toBe(
+    PROVIDER_MODE.injected
+  );
+});
+
+test("the burner survives a reload and malformed records are ignored", () => {
+  const storage = memoryStorage();
+  saveBurner({ privateKey: KEY, preferred: true }, storage);
+  expect(loadBurner(storage)).toEqual({ privateKey: KEY, preferred: true });
+  saveBurner(null, storage);
+  expect(loadBurner(storage)).toBeNull();
+  storage.setItem("meetup.burner.v1", JSON.stringify({ privateKey: "0x1234" }));
+  expect(loadBurner(storage)).toBeNull();
+});
+
+test("keystores decrypt only with the right password", async () => {
+  // cheap scrypt parameters keep the test fast; real exports use ethers' defaults
+  const json = await new ethers.Wallet(KEY).encrypt("correct horse", { scrypt: { N: 1 << 10 } });
+  expect(await importKeystore(json, "correct horse")).toEqual({ privateKey: KEY, preferred: true });
+  await expect(importKeystore(json, "wrong")).rejects.toThrow(/wrong password/);
+});
@@ -0,0 +1,182 @@
+// Animated multi-frame QR transport for payloads too large for one readable QR.
+// The payload is cut into fixed-size blocks; frames carry either one block
+// (systematic) or the XOR of a pseudo-random set of blocks (fountain/LT repair
+// frames), so the receiver can start at any point, miss frames, and still
+// finish after roughly K + a few frames. Frame text:
+//   MQR1:<id>:<blockCount>:<byteLength>:<seq>:<base64 data>
+// where id is the first 4 bytes of sha256(payload), checked after reassembly.
+import { ethers } from "ethers";
+
+const PREFIX = "MQR1";
+export const BLOCK_SIZE = 120;
+// payloads up to this many characters still go into a single static QR
+export const MAX_SINGLE_FRAME_CHARS = 300;
+// largest payload a receiver reassembles (~120 KB); frames are untrusted input
+export const MAX_BLOCK_COUNT = 1000;
+
+// mulberry32: small deterministic PRNG so sender and receiver derive the same block sets
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Block indices combined in frame `seq`: the first K frames are the blocks themselves,
+// later ones draw a degree from the ideal soliton distribution and XOR that many blocks.
+export function frameIndices(seq, blockCount) {
+  if (seq < blockCount) return [seq];
+  const rand = prng(seq * 2654435761 + blockCount);
+  const u = rand();
+  const degree = u < 1 / blockCount ? 1 : Math.min(blockCount, Math.ceil(1 / (1 + 1 / blockCount - u)));
+  const picked = new Set();
+  while (picked.size < degree) picked.add(Math.floor(rand() * blockCount));
+  return [...picked].sort((x, y) => x - y);
+}
+
+function xorInto(target, source) {
+  for (let i = 0; i < target.length; i++) target[i] ^= source[i];
+}
+
+function payloadId(bytes) {
+  return ethers.utils.sha256(bytes).slice(2, 10);
+}
+
+export function isFrame(text) {
+  return typeof text === "string" && text.startsWith(`${PREFIX}:`);
+}
+
+// Sender side: { blockCount, frameAt(seq) } for a payload string
+export function createFrameEncoder(payload, blockSize = BLOCK_SIZE) {
+  const bytes = ethers.utils.toUtf8Bytes(payload);
+  const blockCount = Math.max(1, Math.ceil(bytes.length / blockSize));
+  const id = payloadId(bytes);
+  const blocks = [];
+  for (let i = 0; i < blockCount; i++) {
+    const block = new Uint8Array(blockSize);
+    block.set(bytes.slice(i * blockSize, (i + 1) * blockSize));
+    blocks.push(block);
+  }
+
+  function frameAt(seq) {
+    const data = new Uint8Array(blockSize);
+    for (const idx of frameIndices(seq, blockCount)) xorInto(data, blocks[idx]);
+    return `${PREFIX}:${id}:${blockCount}:${bytes.length}:${seq}:${ethers.utils.base64.encode(data)}`;
+  }
+
+  return { blockCount, frameAt };
+}
+
+// Display order: alternate systematic frames with fresh repair frames so a
+// late-joining receiver still gets new information from every frame.
+export function displaySeq(tick, blockCount) {
+  if (tick % 2 === 0) return (tick / 2) % blockCount;
+  return blockCount + (tick - 1) / 2;
+}
+
+// non-negative decimal integer field of a frame, or NaN
+function frameInt(text) {
+  return /^\d{1,15}$/.test(text) ? Number(text) : NaN;
+}
+
+// Every field is checked before the decoder sizes anything by it
+function parseFrame(text, blockSize) {
+  const parts = text.split(":");
+  if (parts.length !== 6 || parts[0] !== PREFIX) throw new Error("Not an animated QR frame");
+  const [, id, k, len, seq, encoded] = parts;
+  const blockCount = frameInt(k);
+  const byteLength = frameInt(len);
+  const frame = { id, blockCount, byteLength, seq: frameInt(seq) };
+  let data = null;
+  try {
+    data = ethers.utils.base64.decode(encoded);
+  } catch (e) {
+    // checked below
+  }
+  const valid =
+    /^[0-9a-f]{8}$/.test(id) &&
+    blockCount >= 1 &&
+    blockCount <= MAX_BLOCK_COUNT &&
+    blockCount === Math.max(1, Math.ceil(byteLength / blockSize)) &&
+    Number.isSafeInteger(frame.seq) &&
+    data?.length === blockSize;
+  if (!valid) throw new Error("Not an animated QR frame");
+  return { ...frame, data };
+}
+
+// Receiver side: push every scanned frame; returns progress and, once complete, the payload.
+// Frames of a different payload (the sender switched QR) restart the reassembly.
+export function createFrameDecoder(blockSize = BLOCK_SIZE) {
+  let stream = null;
+
+  function reset(frame) {
+    stream = {
+      id: frame.id,
+      blockCount: frame.blockCount,
+      byteLength: frame.byteLength,
+      blockSize,
+      blocks: new Array(frame.blockCount).fill(null),
+      solved: 0,
+      seen: new Set(),
+      equations: [], // unresolved [{ indices: Set, data }]
+    };
+  }
+
+  // peeling decoder: substitute known blocks, solve degree-1 equations, repeat
+  function addEquation(indices, data) {
+    const queue = [{ indices: new Set(indices), data }];
+    while (queue.length) {
+      const eq = queue.pop();
+      for (const idx of [...eq.indices]) {
+        if (stream.blocks[idx]) {
+          xorInto(eq.data, stream.blocks[idx]);
+          eq.indices.delete(idx);
+        }
+      }
+      if (eq.indices.size === 0) continue;
+      if (eq.indices.size > 1) {
+        stream.equations.push(eq);
+        continue;
+      }
+      const [idx] = eq.indices;
+      stream.blocks[idx] = eq.data;
+      stream.solved += 1;
+      // any stored equation touching idx may now reduce further
+      const remaining = [];
+      for (const other of stream.equations) (other.indices.has(idx) ? queue : remaining).push(other);
+      stream.equations = remaining;
+    }
+  }
+
+  function progress() {
+    return { done: false, solved: stream.solved, total: stream.blockCount };
+  }
+
+  function push(text) {
+    const frame = parseFrame(text, blockSize);
+    if (!stream || frame.id !== stream.id) reset(frame);
+    if (frame.blockCount !== stream.blockCount || frame.byteLength !== stream.byteLength) {
+      throw new Error("Inconsistent animated QR frame");
+    }
+    if (stream.seen.has(frame.seq)) return progress();
+    stream.seen.add(frame.seq);
+
+    addEquation(frameIndices(frame.seq, stream.blockCount), Uint8Array.from(frame.data));
+    if (stream.solved < stream.blockCount) return progress();
+
+    const bytes = new Uint8Array(stream.blockCount * stream.blockSize);
+    stream.blocks.forEach((block, i) => bytes.set(block, i * stream.blockSize));
+    const payloadBytes = bytes.slice(0, stream.byteLength);
+    if (payloadId(payloadBytes) !== stream.id) {
+      stream = null;
+      throw new Error("Animated QR checksum mismatch — rescan");
+    }
+    return { done: true, solved: stream.blockCount, total: stream.blockCount, payload: ethers.utils.toUtf8String(payloadBytes) };
+  }
+
+  return { push };
+}
@@ -0,0 +1,86 @@
+import { createFrameDecoder, createFrameEncoder, displaySeq, frameIndices, isFrame } from "./qrFrames";
+
+// ~5 KB of attestation-like JSON
+const PAYLOAD = JSON.stringify({
+  type: "attestation",
+  entries: Array.from({ length: 30 }, (_, i) => ({ i, signature: "0x" + String(i % 10).repeat(130) })),
+});
+
+function feed(decoder, frames) {
+  let last;
+  for (const f of frames) {
+    last = decoder.push(f);
+    if (last.done) break;
+  }
+  return last;
+}
+
+test("repair frames are deterministic and within range", () => {
+  expect(frameIndices(3, 10)).toEqual([3]);
+  expect(frameIndices(57, 10)).toEqual(frameIndices(57, 10));
+  for (let seq = 10; seq < 200; seq++) {
+    for (const idx of frameIndices(seq, 10)) expect(idx >= 0 && idx < 10).toBe(true);
+  }
+});
+
+test("reassembles a several-KB payload from the displayed frame sequence", () => {
+  const encoder = createFrameEncoder(PAYLOAD);
+  expect(PAYLOAD.length).toBeGreaterThan(4000);
+  const frames = Array.from({ length: encoder.blockCount * 3 }, (_, t) => encoder.frameAt(displaySeq(t, encoder.blockCount)));
+  expect(frames.every(isFrame)).toBe(true);
+  const result = feed(createFrameDecoder(), frames);
+  expect(result.done).toBe(true);
+  expect(result.payload).toBe(PAYLOAD);
+});
+
+test("recovers with a third of the frames lost and duplicates scanned", () => {
+  const encoder = createFrameEncoder(PAYLOAD);
+  const frames = [];
+  for (let t = 0; frames.length < encoder.blockCount * 6; t++) {
+    if (t % 3 === 1) continue; // dropped by the camera
+    const frame = encoder.frameAt(displaySeq(t, encoder.blockCount));
+    frames.push(frame, frame);
+  }
+  const result = feed(createFrameDecoder(), frames);
+  expect(result.done).toBe(true);
+  expect(result.payload).toBe(PAYLOAD);
+});
+
+test("starting mid-animation only on repair frames still completes", () => {
+  const encoder = createFrameEncoder(PAYLOAD);
+  const k = encoder.blockCount;
+  const frames = Array.from({ length: k * 6 }, (_, i) => encoder.frameAt(k + i));
+  const result = feed(createFrameDecoder(), frames);
+  expect(result.done).toBe(true);
+  expect(result.payload).toBe(PAYLOAD);
+});
+
+test("switching to another payload restarts reassembly", () => {
+  const first = createFrameEncoder(PAYLOAD);
+  const second = createFrameEncoder("short but animated " + "x".repeat(400));
+  const decoder = createFrameDecoder();
+  decoder.push(first.frameAt(0));
+  const frames = Array.from({ length: second.blockCount }, (_, i) => second.frameAt(i));
+  expect(feed(decoder, frames).payload).toBe("short but animated " + "x".repeat(400));
+});
+
+test("crafted frames are rejected before anything is sized by them", () => {
+  const frame = createFrameEncoder(PAYLOAD).frameAt(0);
+  const [prefix, id, k, len, , data] = frame.split(":");
+  const crafted = (fields) => [prefix, id, k, len, "0", data].map((v, i) => fields[i] ?? v).join(":");
+  const decoder = createFrameDecoder();
+  for (const fields of [
+    { 2: "100000000" }, // a block table nobody could fill
+    { 2: "-1" },
+    { 2: "NaN" },
+    { 3: "1" }, // byteLength that does not need blockCount blocks
+    { 3: String(Number(k) * 120 + 1) },
+    { 4: "-1" },
+    { 4: "1e3" },
+    { 5: data.slice(8) }, // shorter than a block
+    { 1: "zz" },
+  ]) {
+    expect(() => decoder.push(crafted(fields))).toThrow("Not an animated QR frame");
+  }
+  expect(decoder.push(frame).done).toBe(false);
+});
@@ -0,0 +1,292 @@
+// Versioned envelope for everything exchanged by QR:
+//   { version, type, chainId, contract, nonce, expiry, body }
+// Every message type has a schema for its body; scanned envelopes are checked
+// against the active chain/contract, their expiry and a local seen-nonce store.
+// The envelope itself is not signed — authenticity comes from the signatures in
+// the body; the envelope makes stale, replayed and cross-chain QRs fail early.
+import { ethers } from "ethers";
+import { sameAddress } from "../contracts";
+
+export const QR_VERSION = 1;
+
+const NONCE_STORAGE_KEY = "meetup.qr-nonces.v1";
+const SHORT_TTL = 5 * 60; // same 5 minutes the request flows always allowed
+const DAY = 24 * 60 * 60;
+
+// Field types: address | uint | signature | object | cid. A trailing "?" makes the field optional.
+// `anyContract`: the envelope names the contract (and its chain) being shared rather than the
+// active one, so neither is checked against the wallet — the registry records them instead.
+// `once`: remember the nonce and refuse a second scan. `fresh`: body.ts must be within ttl of now.
+export const QR_SCHEMAS = {
+  meetup: { ttl: 30 * DAY, anyContract: true, once: false, body: { metadata: "cid?" } },
+  presence: { ttl: SHORT_TTL, once: true, body: { payload: "object", sig: "signature" } },
+  "mutual-request": {
+    ttl: SHORT_TTL,
+    once: true,
+    fresh: true,
+    body: { a: "address", b: "address", ts: "uint", sigCallerForOther: "signature" },
+  },
+  "mutual-sig": {
+    ttl: SHORT_TTL,
+    once: true,
+    body: { a: "address", b: "address", ts: "uint", sigOtherForCaller: "signature" },
+  },
+  "attest-request": {
+    ttl: SHORT_TTL,
+    once: true,
+    fresh: true,
+    body: { arriver: "address", attester1: "address", attester2: "address", ts: "uint" },
+  },
+  "attest-sig": {
+    ttl: SHORT_TTL,
+    once: true,
+    body: {
+      arriver: "address",
+      attester1: "address",
+      attester2: "address",
+      ts: "uint",
+      attester: "address",
+      signature: "signature",
+    },
+  },
+  // complete attestations shared out of band (manual input)
+  mutual: {
+    ttl: DAY,
+    once: true,
+    body: { a: "address", b: "address", timestamp: "uint", sigAForB: "signature", sigBForA: "signature", evidence: "cid?" },
+  },
+  attestation: {
+    ttl: DAY,
+    once: true,
+    body: {
+      arriver: "address?",
+      attester1: "address",
+      attester2: "address",
+      timestamp: "uint",
+      signature1: "signature",
+      signature2: "signature",
+      evidence: "cid?",
+    },
+  },
+};
+
+const FIELD_CHECKS = {
+  address: (v) => typeof v === "string" && ethers.utils.isAddress(v),
+  uint: (v) => Number.isSafeInteger(Number(v)) && Number(v) >= 0 && String(v).trim() !== "",
+  signature: (v) => ethers.utils.isHexString(v) && ethers.utils.hexDataLength(v) === 65,
+  object: (v) => !!v && typeof v === "object" && !Array.isArray(v),
+  cid: (v) => typeof v === "string" && /^[A-Za-z0-9]{46,100}$/.test(v),
+};
+
+// Returns a list of problems with `body` for `type` (empty when valid)
+export function validateBody(type, body) {
+  const schema = QR_SCHEMAS[type];
+  if (!schema) return [`unknown message type "${type}"`];
+  if (!FIELD_CHECKS.object(body)) return ["body must be an object"];
+  const problems = [];
+  for (const [field, spec] of Object.entries(schema.body)) {
+    const optional = spec.endsWith("?");
+    const kind = optional ? spec.slice(0, -1) : spec;
+    const value = body[field];
+    if (value === undefined || value === null) {
+      if (!optional) problems.push(`missing ${field}`);
+    } else if (!FIELD_CHECKS[kind](value)) {
+      problems.push(`${field} is not a valid ${kind}`);
+    }
+  }
+  return problems;
+}
+
+function randomNonce() {
+  return ethers.utils.hexlify(ethers.utils.randomBytes(16));
+}
+
+// Build the JSON string to put into a QR code
+export function encodeQrMessage(type, body, { chainId, contract, now = Math.floor(Date.now() / 1000) }) {
+  const problems = validateBody(type, body);
+  if (problems.length) throw new Error(`Invalid ${type} message: ${problems.join(", ")}`);
+  return JSON.stringify({
+    version: QR_VERSION,
+    type,
+    chainId: Number(chainId),
+    contract: ethers.utils.getAddress(contract),
+    nonce: randomNonce(),
+    expiry: now + QR_SCHEMAS[type].ttl,
+    body,
+  });
+}
+
+// Parse and validate scanned QR content. Throws with a user-facing reason;
+// on success records the nonce (for `once` types) and returns { type, body, envelope }.
+export function decodeQrMessage(content, { chainId, contract, now = Math.floor(Date.now() / 1000), seenNonces }) {
+  let envelope;
+  try {
+    envelope = JSON.parse(content);
+  } catch (e) {
+    throw new Error("QR content is not a meetup message");
+  }
+  if (!FIELD_CHECKS.object(envelope)) throw new Error("QR content is not a meetup message");
+  if (envelope.version === undefined) {
+    throw new Error("Unversioned QR payload from an older app version — ask the sender to regenerate it");
+  }
+  if (envelope.version !== QR_VERSION) throw new Error(`Unsupported QR protocol version ${envelope.version}`);
+
+  const { type, body, nonce, expiry } = envelope;
+  const schema = QR_SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown QR message type "${type}"`);
+
+  if (!FIELD_CHECKS.uint(envelope.chainId)) throw new Error("QR has no valid chain id");
+  if (!schema.anyContract && Number(envelope.chainId) !== Number(chainId)) {
+    throw new Error(`QR was made for chain ${envelope.chainId}, but your wallet is on chain ${chainId}`);
+  }
+  if (!FIELD_CHECKS.address(envelope.contract)) throw new Error("QR names an invalid contract address");
+  if (!schema.anyContract && !sameAddress(envelope.contract, contract)) {
+    throw new Error(`QR is for meetup ${envelope.contract}, not the active one`);
+  }
+
+  if (!FIELD_CHECKS.uint(expiry)) throw new Error("QR has no valid expiry");
+  if (Number(expiry) < now) throw new Error("QR has expired — ask the sender to show a new one");
+  if (Number(expiry) > now + schema.ttl + SHORT_TTL) throw new Error("QR expiry is too far in the future");
+
+  if (typeof nonce !== "string" || !/^0x[0-9a-fA-F]{16,64}$/.test(nonce)) throw new Error("QR has no valid nonce");
+  if (schema.once && seenNonces?.has(nonce)) throw new Error("This QR was already scanned (replay rejected)");
+
+  const problems = validateBody(type, body);
+  if (problems.length) throw new Error(`Malformed ${type} QR: ${problems.join(", ")}`);
+  if (schema.fresh && Math.abs(now - Number(body.ts)) > schema.ttl) {
+    throw new Error(`${type} rejected: timestamp not within the allowed window`);
+  }
+
+  if (schema.once) seenNonces?.add(nonce, Number(expiry));
+  return { type, body, envelope };
+}
+
+// Nonces of accepted QRs, kept in localStorage until their envelope expires
+export function createSeenNonceStore(storage = window.localStorage, now = () => Math.floor(Date.now() / 1000)) {
+  function read() {
+    try {
+      const entries = JSON.parse(storage.getItem(NONCE_STORAGE_KEY) || "{}");
+      const t = now();
+      return Object.fromEntries(Object.entries(entries).filter(([, expiry]) => expiry >= t));
+    } catch (e) {
+      console.warn("seen nonce store unreadable, starting fresh:", e?.message ?? e);
+      return {};
+    }
+  }
+
+  function write(entries) {
+    try {
+      storage.setItem(NONCE_STORAGE_KEY, JSON.stringify(entries));
+    } catch (e) {
+      console.warn("seen nonce store not saved:", e?.message ?? e);
+    }
+  }
+
+  return {
+    has: (nonce) => Object.prototype.hasOwnProperty.call(read(), nonce.toLowerCase()),
+    add: (nonce, expiry) => write({ ...read(), [nonce.toLowerCase()]: expiry }),
+    // a scan whose handling failed (e.g. wallet prompt rejected) may be retried
+    forget: (nonce) => write(Object.fromEntries(Object.entries(read()).filter(([n]) => n !== nonce.toLowerCase()))),
+  };
+}
+
+// Compact binary form of an envelope for /q links, so a link QR stays small enough for one frame:
+//   version, type index, chainId, contract, nonce, expiry, then the body fields in schema order.
+// Addresses and signatures are raw bytes, uints length-prefixed big-endian, cids and objects
+// length-prefixed UTF-8 (objects as JSON); an optional field is preceded by a 0/1 presence byte.
+const TYPES = Object.keys(QR_SCHEMAS);
+const FIXED_BYTES = { address: 20, signature: 65 };
+
+function packUint(value) {
+  const bytes = ethers.utils.stripZeros(ethers.utils.arrayify(ethers.BigNumber.from(value)));
+  return ethers.utils.concat([[bytes.length], bytes]);
+}
+
+function packBytes(bytes, lengthBytes = 1) {
+  if (bytes.length >= 256 ** lengthBytes) throw new Error("field too long");
+  return ethers.utils.concat([ethers.utils.zeroPad(ethers.utils.hexlify(bytes.length), lengthBytes), bytes]);
+}
+
+function packField(kind, value) {
+  if (kind === "address" || kind === "signature") return ethers.utils.arrayify(value);
+  if (kind === "uint") return packUint(Number(value));
+  if (kind === "cid") return packBytes(ethers.utils.toUtf8Bytes(value));
+  return packBytes(ethers.utils.toUtf8Bytes(JSON.stringify(value)), 2);
+}
+
+function sameKeys(object, keys) {
+  return Object.keys(object).length === keys.length && keys.every((k) => Object.prototype.hasOwnProperty.call(object, k));
+}
+
+// The packed bytes of an encodeQrMessage() string, or null for content that has no exact compact form
+export function packQrMessage(content) {
+  try {
+    const envelope = JSON.parse(content);
+    const { version, type, chainId, contract, nonce, expiry, body } = envelope;
+    const schema = QR_SCHEMAS[type];
+    const envelopeOk =
+      version === QR_VERSION &&
+      schema &&
+      sameKeys(envelope, ["version", "type", "chainId", "contract", "nonce", "expiry", "body"]) &&
+      FIELD_CHECKS.uint(chainId) &&
+      FIELD_CHECKS.address(contract) &&
+      typeof nonce === "string" &&
+      /^0x([0-9a-fA-F]{2}){8,32}$/.test(nonce) &&
+      FIELD_CHECKS.uint(expiry) &&
+      validateBody(type, body).length === 0 &&
+      Object.keys(body).every((k) => schema.body[k] && body[k] !== null);
+    if (!envelopeOk) return null;
+
+    const parts = [[version, TYPES.indexOf(type)], packUint(chainId), ethers.utils.arrayify(contract)];
+    parts.push(packBytes(ethers.utils.arrayify(nonce)), packUint(expiry));
+    for (const [field, spec] of Object.entries(schema.body)) {
+      const optional = spec.endsWith("?");
+      if (optional) parts.push([body[field] === undefined ? 0 : 1]);
+      if (body[field] !== undefined) parts.push(packField(optional ? spec.slice(0, -1) : spec, body[field]));
+    }
+    return ethers.utils.concat(parts);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Inverse of packQrMessage(): the envelope as a JSON string for decodeQrMessage(); throws on malformed bytes
+export function unpackQrMessage(bytes) {
+  let offset = 0;
+  function take(length) {
+    if (offset + length > bytes.length) throw new Error("Truncated QR message");
+    const slice = bytes.slice(offset, offset + length);
+    offset += length;
+    return slice;
+  }
+  const readUint = (raw) => (raw.length ? ethers.BigNumber.from(raw).toNumber() : 0);
+  const takeUint = () => readUint(take(take(1)[0]));
+  const takeBytes = (lengthBytes = 1) => take(readUint(take(lengthBytes)));
+  function takeField(kind) {
+    if (kind === "address") return ethers.utils.getAddress(ethers.utils.hexlify(take(FIXED_BYTES.address)));
+    if (kind === "signature") return ethers.utils.hexlify(take(FIXED_BYTES.signature));
+    if (kind === "uint") return takeUint();
+    if (kind === "cid") return ethers.utils.toUtf8String(takeBytes());
+    return JSON.parse(ethers.utils.toUtf8String(takeBytes(2)));
+  }
+
+  const [version, typeIndex] = take(2);
+  const type = TYPES[typeIndex];
+  if (version !== QR_VERSION || !type) throw new Error("QR content is not a meetup message");
+  const envelope = {
+    version,
+    type,
+    chainId: takeUint(),
+    contract: ethers.utils.getAddress(ethers.utils.hexlify(take(FIXED_BYTES.address))),
+    nonce: ethers.utils.hexlify(takeBytes()),
+    expiry: takeUint(),
+    body: {},
+  };
+  for (const [field, spec] of Object.entries(QR_SCHEMAS[type].body)) {
+    const optional = spec.endsWith("?");
+    if (optional && take(1)[0] === 0) continue;
+    envelope.body[field] = takeField(optional ? spec.slice(0, -1) : spec);
+  }
+  if (offset !== bytes.length) throw new Error("QR content is not a meetup message");
+  return JSON.stringify(envelope);
+}
@@ -0,0 +1,93 @@
+import { createSeenNonceStore, decodeQrMessage, encodeQrMessage, packQrMessage, unpackQrMessage, validateBody } from "./qrProtocol";
+
+const A = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+const B = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF";
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OTHER_CONTRACT = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const SIG = "0x" + "11".repeat(65);
+const NOW = 1_700_000_000;
+
+function memoryStorage() {
+  const data = {};
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => (data[k] = v) };
+}
+
+function mutualRequest(overrides = {}) {
+  return encodeQrMessage(
+    "mutual-request",
+    { a: A, b: B, ts: NOW, sigCallerForOther: SIG },
+    { chainId: 31337, contract: CONTRACT, now: NOW, ...overrides }
+  );
+}
+
+function decode(content, overrides = {}) {
+  return decodeQrMessage(content, { chainId: 31337, contract: CONTRACT, now: NOW + 10, ...overrides });
+}
+
+test("round trips a message through the envelope", () => {
+  const { type, body, envelope } = decode(mutualRequest());
+  expect(type).toBe("mutual-request");
+  expect(body.b).toBe(B);
+  expect(envelope).toMatchObject({ version: 1, chainId: 31337, contract: CONTRACT, expiry: NOW + 300 });
+});
+
+test("schemas reject missing and malformed fields", () => {
+  expect(validateBody("attest-request", { arriver: A, attester1: B, ts: NOW })).toEqual(["missing attester2"]);
+  expect(validateBody("mutual-sig", { a: A, b: "0x1234", ts: NOW, sigOtherForCaller: SIG })).toEqual([
+    "b is not a valid address",
+  ]);
+  expect(() => encodeQrMessage("nope", {}, { chainId: 1, contract: CONTRACT })).toThrow(/unknown message type/);
+});
+
+test("unversioned, cross-chain, foreign-contract and expired QRs are rejected", () => {
+  expect(() => decode(JSON.stringify({ type: "mutual-request", a: A, b: B, ts: NOW }))).toThrow(/Unversioned/);
+  expect(() => decode(mutualRequest(), { chainId: 1 })).toThrow(/chain 31337/);
+  expect(() => decode(mutualRequest(), { contract: OTHER_CONTRACT })).toThrow(/not the active one/);
+  expect(() => decode(mutualRequest(), { now: NOW + 301 })).toThrow(/expired/);
+});
+
+test("invites may name any contract on any chain and are not single-use", () => {
+  const invite = encodeQrMessage("meetup", {}, { chainId: 31337, contract: OTHER_CONTRACT, now: NOW });
+  const seenNonces = createSeenNonceStore(memoryStorage(), () => NOW);
+  expect(decode(invite, { seenNonces }).envelope.contract).toBe(OTHER_CONTRACT);
+  expect(decode(invite, { seenNonces }).type).toBe("meetup");
+  expect(decode(invite, { chainId: 1 }).envelope.chainId).toBe(31337);
+
+  const metadata = "bafkreietui4xdkiu4xvmx4fi2jivjtndbhb4drzpxomrjvd4mdz4w2avra";
+  const withDetails = encodeQrMessage("meetup", { metadata }, { chainId: 31337, contract: OTHER_CONTRACT, now: NOW });
+  expect(decode(withDetails).body.metadata).toBe(metadata);
+  expect(() => encodeQrMessage("meetup", { metadata: "not a cid" }, { chainId: 31337, contract: OTHER_CONTRACT })).toThrow(/metadata is not a valid cid/);
+});
+
+test("a replayed QR is rejected until its nonce is forgotten or expires", () => {
+  let clock = NOW;
+  const seenNonces = createSeenNonceStore(memoryStorage(), () => clock);
+  const qr = mutualRequest();
+  const { envelope } = decode(qr, { seenNonces });
+  expect(() => decode(qr, { seenNonces })).toThrow(/replay/);
+
+  seenNonces.forget(envelope.nonce);
+  expect(decode(qr, { seenNonces }).type).toBe("mutual-request");
+
+  clock = NOW + 301;
+  expect(seenNonces.has(envelope.nonce)).toBe(false);
+});
+
+test("envelopes pack into a compact form that unpacks to the same message", () => {
+  const request = mutualRequest();
+  const packed = packQrMessage(request);
+  expect(packed.length).toBeLessThan(request.length / 2);
+  expect(JSON.parse(unpackQrMessage(packed))).toEqual(JSON.parse(request));
+
+  const presence = encodeQrMessage(
+    "presence",
+    { payload: { address: A, contract: CONTRACT, chainId: 31337, ts: NOW }, sig: SIG },
+    { chainId: 31337, contract: CONTRACT, now: NOW }
+  );
+  expect(decode(unpackQrMessage(packQrMessage(presence))).body.payload).toEqual({ address: A, contract: CONTRACT, chainId: 31337, ts: NOW });
+  const invite = encodeQrMessage("meetup", {}, { chainId: 31337, contract: OTHER_CONTRACT, now: NOW });
+  expect(JSON.parse(unpackQrMessage(packQrMessage(invite)))).toEqual(JSON.parse(invite));
+
+  expect(packQrMessage(JSON.stringify({ version: 1, type: "presence", body: { note: "x" } }))).toBeNull();
+  expect(() => unpackQrMessage(packed.slice(0, -1))).toThrow();
+});
@@ -0,0 +1,127 @@
+// Locally stored list of escrow contracts the user follows, plus the active one.
+// Each entry remembers the chain it lives on (null until known) and the CID of its
+// metadata document on IPFS (null when it has none).
+import { ethers } from "ethers";
+import { sameAddress } from "../contracts";
+
+const STORAGE_KEY = "meetup.registry.v1";
+
+// only look this far back through a deployer's nonces
+const MAX_DISCOVERY_NONCES = 200;
+
+function emptyRegistry(defaultAddress, defaultChainId) {
+  const entries = defaultAddress
+    ? [
+        {
+          address: ethers.utils.getAddress(defaultAddress),
+          chainId: defaultChainId ?? null,
+          metadataCid: null,
+          label: "Default meetup",
+          source: "config",
+          addedAt: 0,
+        },
+      ]
+    : [];
+  return { entries, active: entries[0]?.address ?? null };
+}
+
+export function loadRegistry(defaultAddress, defaultChainId = null, storage = window.localStorage) {
+  try {
+    const raw = storage.getItem(STORAGE_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed.entries) && parsed.entries.length > 0) {
+        return {
+          // entries saved before chains / metadata were tracked
+          entries: parsed.entries.map((e) => ({ chainId: null, metadataCid: null, ...e })),
+          active: parsed.entries.some((e) => sameAddress(e.address, parsed.active))
+            ? parsed.active
+            : parsed.entries[0].address,
+        };
+      }
+    }
+  } catch (e) {
+    console.warn("loadRegistry failed:", e?.message ?? e);
+  }
+  return emptyRegistry(defaultAddress, defaultChainId);
+}
+
+export function saveRegistry(registry, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(registry));
+  } catch (e) {
+    console.warn("saveRegistry failed:", e?.message ?? e);
+  }
+  return registry;
+}
+
+// Returns a new registry; re-adding an address keeps the existing entry (filling in its chain if
+// unknown, and taking a newly shared metadata CID)
+export function addEntry(registry, address, { source = "manual", label = "", chainId = null, metadataCid = null } = {}) {
+  if (!ethers.utils.isAddress(address)) {
+    throw new Error("Not a valid contract address: " + address);
+  }
+  const checksummed = ethers.utils.getAddress(address);
+  if (registry.entries.some((e) => sameAddress(e.address, checksummed))) {
+    const next = chainId == null ? registry : setEntryChain(registry, checksummed, chainId);
+    return metadataCid ? setEntryMetadata(next, checksummed, metadataCid) : next;
+  }
+  const entry = { address: checksummed, chainId, metadataCid, label, source, addedAt: Math.floor(Date.now() / 1000) };
+  return { entries: [...registry.entries, entry], active: registry.active ?? checksummed };
+}
+
+export function removeEntry(registry, address) {
+  const entries = registry.entries.filter((e) => !sameAddress(e.address, address));
+  const active = sameAddress(registry.active, address) ? entries[0]?.address ?? null : registry.active;
+  return { entries, active };
+}
+
+// Record the chain of an entry whose chain was unknown; a known chain is never overwritten
+export function setEntryChain(registry, address, chainId) {
+  const entry = registry.entries.find((e) => sameAddress(e.address, address));
+  if (!entry || entry.chainId != null || chainId == null) return registry;
+  return {
+    ...registry,
+    entries: registry.entries.map((e) => (e === entry ? { ...e, chainId: Number(chainId) } : e)),
+  };
+}
+
+// Attach a metadata document (null detaches it); its title names entries that have no label yet
+export function setEntryMetadata(registry, address, metadataCid, title = "") {
+  const entry = registry.entries.find((e) => sameAddress(e.address, address));
+  if (!entry || (entry.metadataCid === metadataCid && (entry.label || !title))) return registry;
+  return {
+    ...registry,
+    entries: registry.entries.map((e) => (e === entry ? { ...e, metadataCid, label: e.label || title } : e)),
+  };
+}
+
+export function setActive(registry, address) {
+  const entry = registry.entries.find((e) => sameAddress(e.address, address));
+  return entry ? { ...registry, active: entry.address } : registry;
+}
+
+// Find escrow contracts created by `deployer`: CREATE addresses are derived from
+// (deployer, nonce), so walk its nonces and keep the ones that answer like an EscrowContract.
+export async function discoverFromDeployer(provider, deployer, abi) {
+  if (!ethers.utils.isAddress(deployer)) {
+    throw new Error("Not a valid deployer address: " + deployer);
+  }
+  const txCount = await provider.getTransactionCount(deployer);
+  const first = Math.max(0, txCount - MAX_DISCOVERY_NONCES);
+  const found = [];
+
+  for (let nonce = txCount - 1; nonce >= first; nonce--) {
+    const address = ethers.utils.getContractAddress({ from: deployer, nonce });
+    const code = await provider.getCode(address);
+    if (!code || code === "0x") continue;
+    try {
+      const probe = new ethers.Contract(address, abi, provider);
+      await Promise.all([probe.meetingTime(), probe.depositAmount(), probe.participants(0)]);
+      found.push(address);
+    } catch (e) {
+      // some other contract from the same deployer
+    }
+  }
+  return found;
+}
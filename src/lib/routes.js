@@ -0,0 +1,136 @@
+// Client-side routes without a router dependency. Paths name what to open, so links — and QR
+// codes holding links — work from any phone camera app, not only the in-app scanner:
+//   /                   the active meetup
+//   /m/:address         follow and open a meetup (?chain=<id> names its network, ?meta=<cid> its metadata document)
+//   /m/:address/scan    … and start the QR scanner
+//   /create             open the create-meetup wizard
+//   /q#<payload>        handle a QR payload; base64url in the fragment, which browsers never send to the server.
+//                       Envelopes are packed (lib/qrProtocol packQrMessage) so the link fits in one static QR.
+// Invite links from before routing (/?meetup=0x…&chain=<id>) still open the meetup.
+import { ethers } from "ethers";
+import { QR_VERSION, packQrMessage, unpackQrMessage } from "./qrProtocol";
+import { parseChainId } from "./wallet";
+
+export const ROUTE = {
+  home: "home",
+  meetup: "meetup",
+  scan: "scan",
+  create: "create",
+  qr: "qr",
+  unknown: "unknown",
+};
+
+// path the app is served under (CRA's PUBLIC_URL), without a trailing slash; "" at the root
+export function basePath(publicUrl = process.env.PUBLIC_URL) {
+  if (!publicUrl) return "";
+  return new URL(publicUrl, "http://localhost").pathname.replace(/\/+$/, "");
+}
+
+function toBase64Url(base64) {
+  return base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function encodeLinkPayload(content) {
+  return toBase64Url(ethers.utils.base64.encode(packQrMessage(content) ?? ethers.utils.toUtf8Bytes(content)));
+}
+
+// null when the fragment is not a payload; hand-written links may carry URI-encoded JSON
+export function decodeLinkPayload(fragment) {
+  if (!fragment) return null;
+  try {
+    if (/^(\{|%7B)/i.test(fragment)) return decodeURIComponent(fragment);
+    const base64 = fragment.replace(/-/g, "+").replace(/_/g, "/");
+    const bytes = ethers.utils.base64.decode(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+    // packed envelopes start with the protocol version; links from before packing hold UTF-8 JSON
+    return bytes[0] === QR_VERSION ? unpackQrMessage(bytes) : ethers.utils.toUtf8String(bytes);
+  } catch (e) {
+    return null;
+  }
+}
+
+// { name, address?, chainId?, metadataCid?, payload?, path? } for a location (or URL)
+export function parseRoute({ pathname = "/", search = "", hash = "" }, base = basePath()) {
+  const relative = base && pathname.startsWith(base) ? pathname.slice(base.length) : pathname;
+  const path = relative.replace(/\/+$/, "") || "/";
+  const params = new URLSearchParams(search);
+  const chainId = parseChainId(params.get("chain"));
+  const metadataCid = params.get("meta");
+  const meetupRoute = (name, address) => ({
+    name,
+    address: ethers.utils.getAddress(address),
+    chainId,
+    ...(metadataCid && /^[A-Za-z0-9]{46,100}$/.test(metadataCid) ? { metadataCid } : {}),
+  });
+
+  const meetup = path.match(/^\/m\/([^/]+)(\/scan)?$/);
+  if (meetup && ethers.utils.isAddress(meetup[1])) {
+    return meetupRoute(meetup[2] ? ROUTE.scan : ROUTE.meetup, meetup[1]);
+  }
+  if (path === "/create") return { name: ROUTE.create };
+  if (path === "/q") {
+    const payload = decodeLinkPayload(hash.slice(1));
+    if (payload) return { name: ROUTE.qr, payload };
+  }
+  if (path === "/") {
+    const invited = params.get("meetup");
+    if (invited && ethers.utils.isAddress(invited)) {
+      return meetupRoute(ROUTE.meetup, invited);
+    }
+    return { name: ROUTE.home };
+  }
+  return { name: ROUTE.unknown, path };
+}
+
+// the route behind scanned QR content that is a link, or null for anything else
+export function linkRoute(content, base = basePath()) {
+  const text = String(content).trim();
+  if (!/^https?:\/\//i.test(text)) return null;
+  try {
+    return parseRoute(new URL(text), base);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function meetupPath(address, { chainId = null, scan = false, metadataCid = null } = {}) {
+  const params = new URLSearchParams();
+  if (chainId) params.set("chain", String(Number(chainId)));
+  if (metadataCid) params.set("meta", metadataCid);
+  const query = params.toString();
+  return `/m/${ethers.utils.getAddress(address)}${scan ? "/scan" : ""}${query ? `?${query}` : ""}`;
+}
+
+export function qrPath(content) {
+  return `/q#${encodeLinkPayload(content)}`;
+}
+
+// absolute link to `path` (one of the paths above) in this deployment of the app
+export function appUrl(path, origin = window.location.origin, base = basePath()) {
+  return `${origin}${base}${path}`;
+}
+
+// The meetup a QR payload is addressed to ({ address, chainId }), so a link can open it first
+export function payloadMeetup(payload) {
+  try {
+    const { contract, chainId } = JSON.parse(payload);
+    return ethers.utils.isAddress(contract) ? { address: ethers.utils.getAddress(contract), chainId: parseChainId(chainId) } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// history.pushState (or replaceState) plus the popstate event subscribeRoute() listens for;
+// notify: false only rewrites the address bar
+export function navigate(path, { replace = false, notify = true } = {}) {
+  const url = basePath() + path;
+  if (replace) window.history.replaceState(null, "", url);
+  else window.history.pushState(null, "", url);
+  if (notify) window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+// onChange(route) after back / forward and navigate(); returns an unsubscribe function
+export function subscribeRoute(onChange) {
+  const handler = () => onChange(parseRoute(window.location));
+  window.addEventListener("popstate", handler);
+  return () => window.removeEventListener("popstate", handler);
+}
@@ -0,0 +1,58 @@
+import {
+  ROUTE,
+  appUrl,
+  basePath,
+  decodeLinkPayload,
+  encodeLinkPayload,
+  linkRoute,
+  meetupPath,
+  parseRoute,
+  payloadMeetup,
+  qrPath,
+} from "./routes";
+
+const MEETUP = "0x3f79a2bC8837a924e93Cb596D1859ff505BA8B6D";
+const PAYLOAD = JSON.stringify({ version: 1, type: "presence", chainId: 31337, contract: MEETUP, body: { note: "naïve ✓" } });
+
+const route = (url, base = "") => parseRoute(new URL(url, "https://meetup.example"), base);
+
+test("parses meetup, scan, create and home routes", () => {
+  expect(route(`/m/${MEETUP.toLowerCase()}?chain=11155111`)).toEqual({ name: ROUTE.meetup, address: MEETUP, chainId: 11155111 });
+  expect(route(`/m/${MEETUP}/scan/`)).toEqual({ name: ROUTE.scan, address: MEETUP, chainId: null });
+  expect(route("/create")).toEqual({ name: ROUTE.create });
+  expect(route("/")).toEqual({ name: ROUTE.home });
+  expect(route("/m/0xnope")).toEqual({ name: ROUTE.unknown, path: "/m/0xnope" });
+  // invite links from before routing
+  expect(route(`/?meetup=${MEETUP}&chain=31337`)).toEqual({ name: ROUTE.meetup, address: MEETUP, chainId: 31337 });
+});
+
+test("QR payloads round-trip through the link fragment", () => {
+  expect(decodeLinkPayload(encodeLinkPayload(PAYLOAD))).toBe(PAYLOAD);
+  expect(qrPath(PAYLOAD)).toMatch(/^\/q#[A-Za-z0-9_-]+$/);
+  expect(route(qrPath(PAYLOAD))).toEqual({ name: ROUTE.qr, payload: PAYLOAD });
+  expect(route(`/q#${encodeURIComponent(PAYLOAD)}`).payload).toBe(PAYLOAD);
+  expect(route("/q").name).toBe(ROUTE.unknown);
+  expect(payloadMeetup(PAYLOAD)).toEqual({ address: MEETUP, chainId: 31337 });
+  expect(payloadMeetup("bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi")).toBeNull();
+});
+
+test("links work under a base path and from scanned QR content", () => {
+  expect(basePath("/meetup/")).toBe("/meetup");
+  expect(basePath("https://cdn.example/app")).toBe("/app");
+  expect(basePath("")).toBe("");
+
+  const link = appUrl(meetupPath(MEETUP, { chainId: 1, scan: true }), "https://meetup.example", "/app");
+  expect(link).toBe(`https://meetup.example/app/m/${MEETUP}/scan?chain=1`);
+  expect(linkRoute(link, "/app")).toEqual({ name: ROUTE.scan, address: MEETUP, chainId: 1 });
+  expect(linkRoute(appUrl(qrPath(PAYLOAD), "https://other.example", ""), "")).toEqual({ name: ROUTE.qr, payload: PAYLOAD });
+  const CID = "bafkreietui4xdkiu4xvmx4fi2jivjtndbhb4drzpxomrjvd4mdz4w2avra";
+  expect(linkRoute(appUrl(meetupPath(MEETUP, { chainId: 1, metadataCid: CID }), "https://meetup.example", ""), "")).toEqual({
+    name: ROUTE.meetup,
+    address: MEETUP,
+    chainId: 1,
+    metadataCid: CID,
+  });
+  expect(route(`/m/${MEETUP}?meta=not-a-cid`)).toEqual({ name: ROUTE.meetup, address: MEETUP, chainId: null });
+  expect(linkRoute(PAYLOAD)).toBeNull();
+  expect(linkRoute("bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi")).toBeNull();
+});
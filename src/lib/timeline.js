@@ -0,0 +1,130 @@
+// Event-sourced meetup history decoded from EscrowContract logs
+import { sameAddress } from "../contracts";
+
+// public RPCs often cap eth_getLogs ranges; fall back to scanning recent blocks in chunks
+const LOG_CHUNK_BLOCKS = 5000;
+const MAX_LOG_CHUNKS = 20;
+
+// events that are part of the meetup story (EIP712DomainChanged is not)
+const TIMELINE_EVENTS = new Set([
+  "Deposited",
+  "Arrived",
+  "ArrivalProofSubmitted",
+  "ReportedOnlyArrived",
+  "ContractCancelled",
+  "Finalized",
+  "Withdrawn",
+]);
+
+async function queryAllLogs(contract) {
+  try {
+    return await contract.queryFilter("*", 0, "latest");
+  } catch (e) {
+    console.warn("Full log query failed, scanning recent blocks:", e?.message ?? e);
+  }
+  const latest = await contract.provider.getBlockNumber();
+  const logs = [];
+  for (let i = 0; i < MAX_LOG_CHUNKS; i++) {
+    const toBlock = latest - i * LOG_CHUNK_BLOCKS;
+    const fromBlock = Math.max(0, toBlock - LOG_CHUNK_BLOCKS + 1);
+    logs.unshift(...(await contract.queryFilter("*", fromBlock, toBlock)));
+    if (fromBlock === 0) break;
+  }
+  return logs;
+}
+
+// Turn a decoded ethers Event into a timeline entry
+export function toTimelineEntry(event, blockTime, meetingTime) {
+  const args = event.args || {};
+  const entry = {
+    key: `${event.blockNumber}:${event.logIndex}`,
+    name: event.event,
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    txHash: event.transactionHash,
+    time: blockTime,
+    participant: null,
+    counterpart: null,
+    amount: null,
+    cid: null,
+    lateSeconds: null,
+  };
+
+  switch (event.event) {
+    case "Deposited":
+    case "Withdrawn":
+      entry.participant = args.participant;
+      entry.amount = args.amount;
+      break;
+    case "Arrived": {
+      const arrival = Number(args.arrivalTime.toString());
+      entry.participant = args.participant;
+      entry.time = arrival;
+      entry.lateSeconds = Math.max(0, arrival - meetingTime);
+      break;
+    }
+    case "ArrivalProofSubmitted":
+      entry.participant = args.participant;
+      entry.cid = args.ipfsHash;
+      break;
+    case "ReportedOnlyArrived":
+      entry.participant = args.reporter;
+      entry.counterpart = args.punctual;
+      break;
+    case "Finalized":
+      entry.time = Number(args.finalizationTime.toString());
+      break;
+    default:
+      break;
+  }
+  return entry;
+}
+
+// Chronological entries (block order) for every timeline event the contract emitted
+export async function fetchTimeline(contract, meetingTime) {
+  const logs = (await queryAllLogs(contract)).filter((e) => TIMELINE_EVENTS.has(e.event));
+
+  const blockTimes = new Map();
+  await Promise.all(
+    [...new Set(logs.map((e) => e.blockNumber))].map(async (n) => {
+      const block = await contract.provider.getBlock(n);
+      blockTimes.set(n, block ? Number(block.timestamp) : null);
+    })
+  );
+
+  return logs
+    .map((e) => toTimelineEntry(e, blockTimes.get(e.blockNumber), meetingTime))
+    .sort((x, y) => x.blockNumber - y.blockNumber || x.logIndex - y.logIndex);
+}
+
+// Live updates; returns an unsubscribe function
+export function subscribeTimeline(contract, meetingTime, onEntry) {
+  const listener = async (...params) => {
+    const event = params[params.length - 1];
+    if (!TIMELINE_EVENTS.has(event?.event)) return;
+    let blockTime = null;
+    try {
+      const block = await event.getBlock();
+      blockTime = Number(block.timestamp);
+    } catch (e) {
+      // keep the entry even if the block lookup fails
+    }
+    onEntry(toTimelineEntry(event, blockTime, meetingTime));
+  };
+  contract.on("*", listener);
+  return () => contract.off("*", listener);
+}
+
+// Merge a live entry into a list without duplicating already-fetched logs
+export function mergeEntry(entries, entry) {
+  if (entries.some((e) => e.key === entry.key)) return entries;
+  return [...entries, entry].sort((x, y) => x.blockNumber - y.blockNumber || x.logIndex - y.logIndex);
+}
+
+// Per-participant view: every entry where they are the actor or the one voted for
+export function groupByParticipant(entries, participants) {
+  return participants.map((address) => ({
+    address,
+    entries: entries.filter((e) => sameAddress(e.participant, address) || sameAddress(e.counterpart, address)),
+  }));
+}
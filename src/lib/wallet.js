@@ -0,0 +1,115 @@
+// Wallet connection and network awareness on top of an EIP-1193 provider (window.ethereum):
+// eth_requestAccounts to connect, accountsChanged / chainChanged to stay current,
+// wallet_switchEthereumChain (or wallet_addEthereumChain) to fix a wrong network.
+
+// Networks the app knows how to name and, where public, how to add to a wallet
+export const CHAINS = {
+  1: { name: "Ethereum Mainnet", currency: "ETH", explorer: "https://etherscan.io" },
+  11155111: {
+    name: "Sepolia",
+    currency: "SepoliaETH",
+    rpcUrls: ["https://rpc.sepolia.org"],
+    explorer: "https://sepolia.etherscan.io",
+  },
+  17000: {
+    name: "Holesky",
+    currency: "ETH",
+    rpcUrls: ["https://ethereum-holesky-rpc.publicnode.com"],
+    explorer: "https://holesky.etherscan.io",
+  },
+  31337: { name: "Local (anvil)", currency: "ETH", rpcUrls: ["http://127.0.0.1:8545"] },
+};
+
+const USER_REJECTED = 4001;
+const REQUEST_PENDING = -32002;
+const UNRECOGNIZED_CHAIN = 4902;
+
+export function chainName(chainId) {
+  if (chainId == null) return "unknown network";
+  return CHAINS[Number(chainId)]?.name ?? `chain ${Number(chainId)}`;
+}
+
+export function toHexChainId(chainId) {
+  return "0x" + Number(chainId).toString(16);
+}
+
+// wallets report chain ids as hex strings; everything else in the app uses numbers
+export function parseChainId(value) {
+  if (typeof value === "string" && value.startsWith("0x")) return parseInt(value, 16);
+  const n = Number(value);
+  return Number.isSafeInteger(n) && n > 0 ? n : null;
+}
+
+// true only when both chains are known and differ
+export function isWrongChain(walletChainId, contractChainId) {
+  return walletChainId != null && contractChainId != null && Number(walletChainId) !== Number(contractChainId);
+}
+
+// some wallets nest the EIP-1193 code (e.g. MetaMask mobile: data.originalError.code)
+function rpcCode(err) {
+  return err?.code ?? err?.data?.originalError?.code ?? null;
+}
+
+// { account, chainId } without prompting; account is null until the user connects
+export async function readWallet(ethereum) {
+  const [accounts, chainId] = await Promise.all([
+    ethereum.request({ method: "eth_accounts" }),
+    ethereum.request({ method: "eth_chainId" }),
+  ]);
+  return { account: accounts[0] ?? null, chainId: parseChainId(chainId) };
+}
+
+// Ask the wallet to connect; resolves with the selected account
+export async function requestAccounts(ethereum) {
+  try {
+    const accounts = await ethereum.request({ method: "eth_requestAccounts" });
+    return accounts[0] ?? null;
+  } catch (err) {
+    if (rpcCode(err) === USER_REJECTED) throw new Error("Connection request rejected in your wallet.");
+    if (rpcCode(err) === REQUEST_PENDING) throw new Error("A connection request is already open — check your wallet.");
+    throw err;
+  }
+}
+
+// onAccounts(account | null), onChain(chainId); returns the unsubscribe function
+export function subscribeWallet(ethereum, { onAccounts, onChain }) {
+  const handleAccounts = (accounts) => onAccounts(accounts?.[0] ?? null);
+  const handleChain = (chainId) => onChain(parseChainId(chainId));
+  ethereum.on("accountsChanged", handleAccounts);
+  ethereum.on("chainChanged", handleChain);
+  return () => {
+    ethereum.removeListener("accountsChanged", handleAccounts);
+    ethereum.removeListener("chainChanged", handleChain);
+  };
+}
+
+// Switch the wallet to `chainId`, offering to add networks the wallet doesn't know yet
+export async function switchChain(ethereum, chainId) {
+  const hexId = toHexChainId(chainId);
+  try {
+    await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexId }] });
+  } catch (err) {
+    if (rpcCode(err) === USER_REJECTED) throw new Error("Network switch rejected in your wallet.");
+    if (rpcCode(err) !== UNRECOGNIZED_CHAIN) throw err;
+
+    const chain = CHAINS[Number(chainId)];
+    if (!chain?.rpcUrls) throw new Error(`Your wallet doesn't know ${chainName(chainId)} — add it in the wallet first.`);
+    try {
+      await ethereum.request({
+        method: "wallet_addEthereumChain",
+        params: [
+          {
+            chainId: hexId,
+            chainName: chain.name,
+            nativeCurrency: { name: chain.currency, symbol: chain.currency, decimals: 18 },
+            rpcUrls: chain.rpcUrls,
+            ...(chain.explorer && { blockExplorerUrls: [chain.explorer] }),
+          },
+        ],
+      });
+    } catch (addErr) {
+      if (rpcCode(addErr) === USER_REJECTED) throw new Error("Adding the network was rejected in your wallet.");
+      throw addErr;
+    }
+  }
+}
@@ -0,0 +1,82 @@
+import { isWrongChain, parseChainId, requestAccounts, subscribeWallet, switchChain } from "./wallet";
+
+const ACCOUNT = "0x7e5f4552091a69125d5dfcb7b8c2659029395bdf";
+
+// minimal EIP-1193 provider: `handlers[method](params)` answers requests
+function fakeEthereum(handlers = {}) {
+  const listeners = {};
+  const calls = [];
+  return {
+    calls,
+    listeners,
+    request: async ({ method, params }) => {
+      calls.push(method);
+      if (!handlers[method]) throw Object.assign(new Error(`unsupported ${method}`), { code: 4200 });
+      return handlers[method](params);
+    },
+    on: (event, fn) => {
+      listeners[event] = fn;
+    },
+    removeListener: (event, fn) => {
+      if (listeners[event] === fn) delete listeners[event];
+    },
+  };
+}
+
+function rpcError(code) {
+  return Object.assign(new Error(`rpc error ${code}`), { code });
+}
+
+test("chain ids are normalized and only a known mismatch counts as wrong", () => {
+  expect(parseChainId("0xaa36a7")).toBe(11155111);
+  expect(parseChainId(31337)).toBe(31337);
+  expect(parseChainId(undefined)).toBeNull();
+  expect(isWrongChain(1, 31337)).toBe(true);
+  expect(isWrongChain(31337, "31337")).toBe(false);
+  expect(isWrongChain(1, null)).toBe(false);
+});
+
+test("connecting maps wallet rejections to readable errors", async () => {
+  expect(await requestAccounts(fakeEthereum({ eth_requestAccounts: () => [ACCOUNT] }))).toBe(ACCOUNT);
+  const rejected = fakeEthereum({
+    eth_requestAccounts: () => {
+      throw rpcError(4001);
+    },
+  });
+  await expect(requestAccounts(rejected)).rejects.toThrow(/rejected/);
+});
+
+test("wallet events are forwarded until unsubscribed", () => {
+  const ethereum = fakeEthereum();
+  const seen = [];
+  const unsubscribe = subscribeWallet(ethereum, {
+    onAccounts: (account) => seen.push(["account", account]),
+    onChain: (chainId) => seen.push(["chain", chainId]),
+  });
+  ethereum.listeners.accountsChanged([ACCOUNT]);
+  ethereum.listeners.accountsChanged([]);
+  ethereum.listeners.chainChanged("0x7a69");
+  expect(seen).toEqual([
+    ["account", ACCOUNT],
+    ["account", null],
+    ["chain", 31337],
+  ]);
+  unsubscribe();
+  expect(ethereum.listeners).toEqual({});
+});
+
+test("switching to a network the wallet doesn't know adds it first", async () => {
+  const added = [];
+  const ethereum = fakeEthereum({
+    wallet_switchEthereumChain: () => {
+      throw rpcError(4902);
+    },
+    wallet_addEthereumChain: ([params]) => added.push(params),
+  });
+  await switchChain(ethereum, 11155111);
+  expect(added[0]).toMatchObject({ chainId: "0xaa36a7", chainName: "Sepolia" });
+
+  // without public RPC details there is nothing to add
+  await expect(switchChain(ethereum, 1)).rejects.toThrow(/add it in the wallet/);
+  await expect(switchChain(ethereum, 424242)).rejects.toThrow(/chain 424242/);
+});